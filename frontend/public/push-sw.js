@@ -0,0 +1,38 @@
+/* Celebeaty – Service Worker nur für Web Push („<Sender> ist live“)
+ * - Payload kommt vom Backend (server/push.js): { type, title, body, url, senderId }
+ * - Klick öffnet den Deep-Link (?follow=<senderId>) – in einem offenen Tab, sonst neu
+ * - Kein Caching: die App bleibt eine normale Seite
+ */
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { title: "Celebeaty", body: event.data ? event.data.text() : "" };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Celebeaty", {
+      body: data.body || "",
+      icon: "/logo192.png",
+      tag: data.senderId ? `live-${data.senderId}` : undefined, // eine Meldung je Sender
+      renotify: !!data.senderId,
+      data: { url: data.url || "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || "/";
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((list) => {
+      const tab = list.find((c) => new URL(c.url).origin === self.location.origin && "navigate" in c);
+      if (tab) return tab.navigate(url).then((c) => (c || tab).focus());
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,150 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './App';
+
+// Verbindung der App gegen einen WebSocket-Ersatz: was meldet sie nach (Re-)Connects neu an?
+class FakeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(raw) {
+    this.sent.push(JSON.parse(raw));
+  }
+
+  close() {
+    this.drop();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  drop() {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.();
+  }
+
+  receive(msg) {
+    this.onmessage?.({ data: JSON.stringify({ v: 1, ts: Date.now(), ...msg }) });
+  }
+}
+
+const ME = { id: 'mock:alice', display_name: 'Alice' };
+const latest = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+// Ohne Uhrabgleich (time_sync läuft getaktet nebenher)
+const sentBy = (socket) => socket.sent.filter((m) => m.type !== 'time_sync');
+
+// Antworten der REST-Routen, die die App beim Start lädt
+function respond(url) {
+  if (url === '/whoami') return ME;
+  if (url === '/providers') return { providers: [{ id: 'mock', label: 'Mock' }] };
+  if (url === '/api/push') return { publicKey: null, favorites: [], devices: 0 };
+  if (url === '/api/schedule') return { events: [] };
+  if (url.startsWith('/api/users/')) return { sessions: [] };
+  return {};
+}
+
+// Erste Verbindung öffnen (App verbindet erst nach whoami)
+async function openFirstSocket() {
+  await waitFor(() => expect(FakeWebSocket.instances).toHaveLength(1));
+  act(() => latest().open());
+}
+
+// Verbindung bricht ab → Backoff (Math.random = 0 → 500 ms) → neuer Socket, noch nicht offen
+async function dropConnection() {
+  const count = FakeWebSocket.instances.length;
+  act(() => latest().drop());
+  await waitFor(() => expect(FakeWebSocket.instances).toHaveLength(count + 1));
+}
+
+async function reconnect() {
+  await dropConnection();
+  act(() => latest().open());
+}
+
+const TRACK = { type: 'track', trackId: 'mock-1', name: 'Testfall', artists: ['Node'], is_playing: true, progress_ms: 0 };
+
+let originalWebSocket;
+
+beforeEach(() => {
+  originalWebSocket = global.WebSocket;
+  global.WebSocket = FakeWebSocket;
+  FakeWebSocket.instances = [];
+  global.fetch = jest.fn(async (url) => ({ ok: true, status: 200, json: async () => respond(url) }));
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+  global.WebSocket = originalWebSocket;
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test('replays hello, follow and snapshot request after a reconnect', async () => {
+  window.history.replaceState(null, '', '/?follow=mock%3Abob');
+  const { unmount } = render(<App />);
+  await openFirstSocket();
+  await waitFor(() => expect(sentBy(latest()).map((m) => m.type)).toEqual(['hello', 'follow', 'req_snapshot']));
+
+  await reconnect();
+  const replay = sentBy(latest());
+  expect(replay.map((m) => m.type)).toEqual(['hello', 'follow', 'req_snapshot']);
+  expect(replay[1].targetUserId).toBe('mock:bob');
+  expect(replay[2].targetUserId).toBe('mock:bob');
+  unmount();
+});
+
+test('replays presence start after a reconnect while sharing', async () => {
+  const { unmount } = render(<App />);
+  await openFirstSocket();
+  // Server meldet: dieser User teilt schon (anderer Tab) → App wechselt in die Sender-Ansicht
+  act(() => latest().receive({ type: 'share_status', state: 'active' }));
+
+  await reconnect();
+  const replay = sentBy(latest());
+  expect(replay.map((m) => m.type)).toEqual(['hello', 'presence']);
+  expect(replay[1].action).toBe('start');
+  unmount();
+});
+
+test('handles messages with the state of the latest render', async () => {
+  const { unmount } = render(<App />);
+  await openFirstSocket();
+  // Erst nach dem Verbinden in die Sender-Ansicht – die Verbindung selbst bleibt dieselbe
+  fireEvent.click(await screen.findByText('Live teilen starten'));
+  await waitFor(() => expect(sentBy(latest()).map((m) => m.type)).toEqual(['hello', 'presence']));
+
+  // Der Handler muss mode = "sender" und me sehen, sonst landet der Track nicht in der Sender-Ansicht
+  act(() => latest().receive({ ...TRACK, user: { id: ME.id, name: ME.display_name } }));
+  expect(await screen.findByText('Gerade beim Sender')).toBeInTheDocument();
+  expect(FakeWebSocket.instances).toHaveLength(1);
+  unmount();
+});
+
+test('drops { buffer: false } messages while offline instead of queueing them', async () => {
+  const { unmount } = render(<App />);
+  await openFirstSocket();
+  await dropConnection();
+
+  // Offline: presence start geht nicht in die Outbox …
+  fireEvent.click(await screen.findByText('Live teilen starten'));
+  await screen.findByText('Du teilst gerade Musik');
+  expect(latest().sent).toEqual([]);
+
+  // … sondern kommt nach dem Reconnect genau einmal aus handleWsOpen
+  act(() => latest().open());
+  expect(sentBy(latest()).map((m) => m.type)).toEqual(['hello', 'presence']);
+  unmount();
+});
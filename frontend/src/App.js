@@ -1,5 +1,15 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
+import { createConnection } from "./connection";
+import {
+  build,
+  createMessage,
+  CHAT_MAX_LENGTH,
+  LOBBY_PAGE_MAX,
+  LOBBY_PAGE_SIZE,
+  LOBBY_SORTS,
+  REACTIONS,
+} from "celebeaty-shared/protocol";
 
 /**
  * BACKEND ableiten:
@@ -20,38 +30,162 @@ function msToMMSS(ms = 0) {
   const ss = String(s % 60).padStart(2, "0");
   return `${mm}:${ss}`;
 }
+// Längere Dauern (Sessions) mit Stunden: 1:02:03
+function msToDuration(ms = 0) {
+  const h = Math.floor(Math.max(0, ms) / 3600000);
+  return h ? `${h}:${msToMMSS(ms % 3600000)}` : msToMMSS(ms);
+}
+// Uhrzeit (HH:MM) eines Zeitstempels
+function fmtClock(ts) {
+  return ts ? new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "–";
+}
+
+// ---------- Uhrabgleich mit dem Server (NTP-artig über /ws) ----------
+// offset = Server-Uhr − lokale Uhr; es zählt die Probe mit der kleinsten RTT
+const CLOCK_SAMPLES = 8;
+const CLOCK_BURST = 5;            // Proben direkt nach dem Verbinden
+const CLOCK_RESYNC_MS = 60000;
+const clock = { offset: 0, samples: [] };
+
+// Alle Zeitstempel (eigene und die vom Server) sind Server-Zeit
 function nowTs() {
-  return Date.now();
+  return Date.now() + clock.offset;
 }
+function sendTimeSync(conn) {
+  conn.send(build.timeSync(), { buffer: false });
+}
+function applyTimeSync({ t0, t1, t2 }) {
+  const t3 = Date.now();
+  if (![t0, t1, t2].every(Number.isFinite)) return;
+  const rtt = t3 - t0 - (t2 - t1);
+  const offset = (t1 - t0 + (t2 - t3)) / 2;
+  clock.samples = [...clock.samples, { rtt, offset }].slice(-CLOCK_SAMPLES);
+  const best = clock.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  clock.offset = Math.round(best.offset);
+}
+
+// Deep-Links (Follow-Link) zeigen auf diese Origin
 const baseOrigin = window.location.origin;
-function buildFollowLink(senderId) {
-  return `${baseOrigin}/?follow=${encodeURIComponent(senderId)}`;
+
+// Verbindungsstatus aus ./connection.js
+const CONN_STATUS_LABEL = { connecting: "Verbinde", online: "Online", reconnecting: "Offline" };
+const CONN_STATUS_TEXT = {
+  connecting: "Verbinde …",
+  online: "Verbunden",
+  reconnecting: "Verbindung unterbrochen – verbinde neu …",
+};
+// invite: signiertes Token für private Räume (kommt per room_info vom Server)
+function buildFollowLink(senderId, invite = null) {
+  const link = `${baseOrigin}/?follow=${encodeURIComponent(senderId)}`;
+  return invite ? `${link}&invite=${encodeURIComponent(invite)}` : link;
 }
 
-// Snapshot des Senders bauen (für sofortigen Einstieg)
-function buildSenderSnapshot(me, senderNow) {
-  if (!senderNow) return null;
+const VISIBILITY_LABELS = {
+  public: "Öffentlich – in „Gerade live“",
+  unlisted: "Nur mit Link",
+  private: "Privat – Einladung (+ Passcode)",
+};
+
+const FOLLOW_DENIED_TEXT = {
+  invite_required: "Dieser Raum ist privat – du brauchst einen Einladungslink vom Sender.",
+  passcode_required: "Dieser Raum ist mit einem Passcode geschützt.",
+  passcode_wrong: "Falscher Passcode – versuch es nochmal.",
+  too_many_attempts: "Zu viele Versuche – warte kurz und versuch es dann erneut.",
+  kicked: "Der Sender hat dich aus dem Raum genommen. Du kannst in ein paar Minuten wieder rein.",
+  banned: "Der Sender hat dich gesperrt.",
+};
+// Eingabe "Max. Hörer" → Zahl oder null (unbegrenzt)
+function parseMaxListeners(value) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+const SCHEDULE_ERROR_TEXT = {
+  invalid_title: "Bitte einen Titel angeben (max. 100 Zeichen).",
+  invalid_starts_at: "Die Startzeit muss in der Zukunft liegen (höchstens 60 Tage).",
+  invalid_cover: "Das Cover muss eine https-Adresse sein.",
+  too_many_events: "Du hast schon 10 Sessions angekündigt.",
+};
+const CHAT_KEEP = 100;
+const CHAT_DENIED_TEXT = {
+  not_in_room: "Du bist gerade in keinem Raum.",
+  muted: "Der Sender hat dich im Chat stummgeschaltet.",
+  rate_limited: "Nicht so schnell – kurz warten.",
+};
+const REQUEST_DENIED_TEXT = {
+  room_offline: "Der Sender ist gerade nicht live.",
+  not_following: "Du hörst gerade nicht mit.",
+  requests_disabled: "Der Sender nimmt gerade keine Wünsche an.",
+  invalid_track: "Dieser Song kann nicht gewünscht werden.",
+  rate_limited: "Du hast dir gerade schon einiges gewünscht – versuch es gleich nochmal.",
+  too_many_pending: "Warte erst, bis der Sender über deine offenen Wünsche entschieden hat.",
+  inbox_full: "Beim Sender stapeln sich gerade die Wünsche – versuch es später.",
+};
+const REQUEST_STATUS_TEXT = {
+  pending: "wartet",
+  queued: "in der Warteschlange",
+  rejected: "abgelehnt",
+  failed: "ging nicht",
+};
+// Login kommt nach dem Provider auf dieselbe Seite zurück (z.B. mit ?follow=<id>)
+function buildLoginUrl(provider = null) {
+  const returnTo = window.location.pathname + window.location.search;
+  const p = provider ? `&provider=${encodeURIComponent(provider)}` : "";
+  return `${BACKEND_URL}/login?returnTo=${encodeURIComponent(returnTo)}${p}`;
+}
+
+// Zuhörer-Card: so viele sofort, den Rest per „Alle anzeigen“
+const FOLLOWERS_PREVIEW = 6;
+
+// Lobby-Übersicht (lobby_state vom Server)
+const LOBBY_SORT_LABEL = { listeners: "Meiste Hörer", recent: "Neueste", name: "A–Z" };
+const DEFAULT_LOBBY_VIEW = { sort: "listeners", limit: LOBBY_PAGE_SIZE };
+
+// Raum aus lobby_state → Eintrag in liveMap (gleiche Form wie aus presence/track)
+function lobbyEntry(room) {
+  const t = room.track;
   return {
-    type: senderNow.is_playing ? "track" : "pause",
-    user: { id: me.id, name: me.display_name },
-    trackId: senderNow.id || senderNow.trackId,
-    progress_ms: senderNow.progress_ms || 0,
-    name: senderNow.name,
-    artists: senderNow.artists || [],
-    image: senderNow.image || null,
-    is_playing: !!senderNow.is_playing,
-    ts: nowTs(),
+    id: room.id,
+    name: room.name,
+    since: room.since,
+    lastSeen: nowTs(),
+    dj: room.dj || null,
+    sessionId: room.session || null,
+    requests: room.requests !== false,
+    listeners: room.listeners || 0,
+    lastTrack: t
+      ? {
+          trackId: t.trackId,
+          name: t.name || t.trackId,
+          artists: t.artists || [],
+          image: t.image || null,
+          atTs: t.ts || nowTs(),
+          progress_ms: t.progress_ms || 0,
+          is_playing: t.is_playing !== false,
+        }
+      : null,
   };
 }
 
-// ---------- Playback via Backend-Proxys ----------
+// Track aus einem WS-Event (neutral; alte Events ohne `track` stammen von Spotify)
+function trackFromEvent(data) {
+  if (data.track?.provider && data.track?.id) return data.track;
+  return { provider: "spotify", id: data.trackId, title: data.name, artists: data.artists || [] };
+}
+// Gleicher Song? Gleicher Provider → ID, sonst ISRC
+function sameTrack(a, b) {
+  if (!a || !b) return false;
+  if (a.provider === b.provider) return a.id === b.id;
+  return !!a.isrc && a.isrc === b.isrc;
+}
+
+// ---------- Playback via Backend-Proxys (Provider der eigenen Session) ----------
 async function getDevices() {
-  const r = await fetch(`/spotify/devices`, { credentials: "include" });
+  const r = await fetch(`/player/devices`, { credentials: "include" });
   if (!r.ok) return { devices: [] };
   return r.json();
 }
 async function transferToDevice(deviceId, autoPlay = true) {
-  const r = await fetch(`/spotify/transfer`, {
+  const r = await fetch(`/player/transfer`, {
     method: "PUT",
     credentials: "include",
     headers: { "Content-Type": "application/json" },
@@ -62,30 +196,165 @@ async function transferToDevice(deviceId, autoPlay = true) {
     throw new Error(`Transfer-Fehler ${r.status}:\n${t.slice(0, 400)}`);
   }
 }
-async function backendPlay({ uris, position_ms }) {
-  const r = await fetch(`/spotify/play`, {
+// track: neutraler Track (auch von einem anderen Provider – der Server sucht ihn dann), null = fortsetzen
+// → Match { track, method, exact } oder null (fortsetzen)
+async function backendPlay({ track = null, position_ms } = {}) {
+  const r = await fetch(`/player/play`, {
     method: "PUT",
     credentials: "include",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ uris, position_ms }),
+    body: JSON.stringify({ track, position_ms }),
   });
   if (!r.ok) {
     const t = await r.text();
     throw new Error(`Play-Fehler ${r.status}:\n${t.slice(0, 400)}`);
   }
+  return r.status === 200 ? r.json().catch(() => null) : null;
+}
+async function backendSeek(position_ms) {
+  const r = await fetch(`/player/seek`, {
+    method: "PUT",
+    credentials: "include",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ position_ms }),
+  });
+  if (!r.ok) {
+    const t = await r.text();
+    throw new Error(`Seek-Fehler ${r.status}:\n${t.slice(0, 400)}`);
+  }
+}
+// Eigene Wiedergabe des Empfängers ({ is_playing, progress_ms, track } oder null)
+async function getOwnPlayback() {
+  const r = await fetch(`/currently-playing`, { credentials: "include" });
+  if (!r.ok) return null;
+  const j = await r.json();
+  return j?.track ? j : null;
+}
+// Geplante Sessions: Zusage → beim Live-Gehen automatisch mithören (ab kurz vor dem Termin)
+const SCHEDULE_REFRESH_MS = 60000;
+const AUTO_JOIN_EARLY_MS = 30 * 60000;
+
+async function fetchSchedule() {
+  const r = await fetch(`/api/schedule`, { credentials: "include" });
+  if (!r.ok) throw new Error(`schedule ${r.status}`);
+  return (await r.json()).events || [];
+}
+
+// Zugesagte Session dieses Senders, die gerade „dran“ ist
+function dueEvent(events, hostId, now = Date.now()) {
+  return events.find((e) => e.hostId === hostId && e.going && now >= e.startsAt - AUTO_JOIN_EARLY_MS) || null;
+}
+
+// Freitext-Suche beim eigenen Provider (für Wünsche) → neutrale Tracks
+async function searchTracks(q) {
+  const r = await fetch(`/player/search?${new URLSearchParams({ q, limit: "8" })}`, { credentials: "include" });
+  if (!r.ok) throw new Error(`search ${r.status}`);
+  return (await r.json()).tracks || [];
 }
+
+// Session als Playlist beim eigenen Provider speichern → { id, name, url, added, skipped }
+async function savePlaylist(sessionId) {
+  const r = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/playlist`, {
+    method: "POST",
+    credentials: "include",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({}),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) throw Object.assign(new Error(j.error || `http_${r.status}`), { code: j.error });
+  return j;
+}
+
+// Web Push: Service Worker (public/push-sw.js) + Subscription beim Backend (server/push.js)
+const PUSH_SW_URL = "/push-sw.js";
+const PUSH_ERROR_TEXT = {
+  unsupported: "Dein Browser kann keine Push-Nachrichten (iPhone: App zum Home-Bildschirm hinzufügen).",
+  permission_denied: "Benachrichtigungen sind im Browser blockiert.",
+  too_many_favorites: "Du folgst schon sehr vielen Sendern.",
+};
+
+function pushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+}
+
+function urlBase64ToUint8Array(base64url) {
+  const base64 = (base64url + "=".repeat((4 - (base64url.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+async function pushApi(method, path, body) {
+  const r = await fetch(path, {
+    method,
+    credentials: "include",
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) throw Object.assign(new Error(j.error || `http_${r.status}`), { code: j.error });
+  return j;
+}
+
+async function currentPushSubscription() {
+  if (!pushSupported()) return null;
+  const reg = await navigator.serviceWorker.getRegistration(PUSH_SW_URL);
+  return (await reg?.pushManager.getSubscription()) || null;
+}
+
+// Dieses Gerät anmelden → { favorites, devices }
+async function subscribePush(publicKey) {
+  if (!pushSupported()) throw Object.assign(new Error("unsupported"), { code: "unsupported" });
+  const reg = await navigator.serviceWorker.register(PUSH_SW_URL);
+  if ((await Notification.requestPermission()) !== "granted") {
+    throw Object.assign(new Error("permission_denied"), { code: "permission_denied" });
+  }
+  const key = urlBase64ToUint8Array(publicKey);
+  let sub = await reg.pushManager.getSubscription();
+  // Andere VAPID-Schlüssel (Server neu aufgesetzt) → neu abonnieren
+  const oldKey = sub?.options?.applicationServerKey && new Uint8Array(sub.options.applicationServerKey);
+  if (sub && oldKey && oldKey.join() !== key.join()) {
+    await sub.unsubscribe();
+    sub = null;
+  }
+  if (!sub) sub = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+  return pushApi("POST", `/api/push/subscriptions`, { subscription: sub.toJSON() });
+}
+
+async function unsubscribePush() {
+  const sub = await currentPushSubscription();
+  if (!sub) return null;
+  const state = await pushApi("DELETE", `/api/push/subscriptions`, { endpoint: sub.endpoint });
+  await sub.unsubscribe();
+  return state;
+}
+
 async function backendPause() {
   try {
-    await fetch(`/spotify/pause`, { method: "PUT", credentials: "include" });
+    await fetch(`/player/pause`, { method: "PUT", credentials: "include" });
   } catch {}
 }
 
-async function ensurePlaybackAndPlay(trackId, leaderPositionMs, leaderSentAt, setHint) {
+// Dauer eines Play-Calls (Backend → Provider → Gerät), gleitender Mittelwert.
+// Um so viel spielen wir "voraus", damit das Gerät an der richtigen Stelle landet.
+const playLatency = { ms: 300 };
+const PLAY_LATENCY_MAX_MS = 3000;
+
+// Position des Senders jetzt + erwartete Latenz des Player-Calls
+function leaderPositionNow(leaderPositionMs, leaderSentAt) {
+  const now = nowTs();
+  return Math.max(0, Math.round((leaderPositionMs || 0) + (now - (leaderSentAt || now)) + playLatency.ms));
+}
+function recordPlayLatency(startedAt) {
+  const took = Math.min(Date.now() - startedAt, PLAY_LATENCY_MAX_MS);
+  playLatency.ms = Math.round(playLatency.ms * 0.7 + took * 0.3);
+}
+
+// track: neutraler Track des Senders, leaderSentAt: Server-Zeit, zu der leaderPositionMs galt
+async function ensurePlaybackAndPlay(track, leaderPositionMs, leaderSentAt, setHint) {
   try {
     const devJson = await getDevices();
     const devices = devJson.devices || [];
     if (!devices.length) {
-      setHint?.("Kein Spotify‑Gerät verfügbar. Öffne Spotify beim Empfänger.");
+      setHint?.("Kein Wiedergabegerät verfügbar. Öffne deinen Player (z.B. Spotify) beim Empfänger.");
       return;
     }
     let device =
@@ -98,16 +367,39 @@ async function ensurePlaybackAndPlay(trackId, leaderPositionMs, leaderSentAt, se
       await transferToDevice(device.id, true);
       await new Promise((r) => setTimeout(r, 250));
     }
-    const now = Date.now();
-    const desired = Math.max(0, (leaderPositionMs || 0) + (now - (leaderSentAt || now)));
-    await backendPlay({ uris: [`spotify:track:${trackId}`], position_ms: desired });
-    setHint?.("");
+    const startedAt = Date.now();
+    const match = await backendPlay({ track, position_ms: leaderPositionNow(leaderPositionMs, leaderSentAt) });
+    recordPlayLatency(startedAt);
+    if (match && !match.exact) {
+      // Original nicht verfügbar (Markt/Anbieter) → ähnlichste Version läuft
+      const alt = `${match.track?.title || "?"} – ${(match.track?.artists || []).join(", ")}`;
+      setHint?.(`Das Original gibt es bei dir nicht – es läuft eine andere Version: ${alt}`);
+    } else {
+      setHint?.("");
+    }
   } catch (e) {
-    setHint?.("Fehler beim Starten der Wiedergabe. Öffne Spotify beim Empfänger.");
+    setHint?.(
+      /Play-Fehler 404/.test(e?.message)
+        ? "Diesen Song gibt es bei deinem Anbieter nicht."
+        : "Fehler beim Starten der Wiedergabe. Öffne deinen Player beim Empfänger."
+    );
     console.warn(e);
   }
 }
 
+// ---------- Receiver-Driftkorrektur ----------
+const DRIFT_CHECK_MS = 5000;
+// Ab so viel Abweichung wird nachgezogen (per REACT_APP_DRIFT_THRESHOLD_MS anpassbar)
+const DRIFT_THRESHOLD_MS = Number(process.env.REACT_APP_DRIFT_THRESHOLD_MS) || 1500;
+const RESYNC_GRACE_MS = 4000; // nach Play/Seek erst einmal nicht messen (Spotify puffert)
+const RESYNCED_BADGE_MS = 4000;
+
+async function seekToLeader(leaderPositionMs, leaderSentAt) {
+  const startedAt = Date.now();
+  await backendSeek(leaderPositionNow(leaderPositionMs, leaderSentAt));
+  recordPlayLatency(startedAt);
+}
+
 export default function App() {
   // Auth + User
   const [me, setMe] = useState(null); // {id, display_name}
@@ -117,35 +409,60 @@ export default function App() {
 
   // Sender state
   const [isSharing, setIsSharing] = useState(false);
-  const [senderNow, setSenderNow] = useState(null); // {id,name,artists[],image,progress_ms,is_playing}
+  const [shareVisibility, setShareVisibility] = useState("public"); // public | unlisted | private
+  const [sharePasscode, setSharePasscode] = useState("");
+  const [roomInfo, setRoomInfo] = useState(null); // {visibility, invite, hasPasscode, session}
+  const [senderNow, setSenderNow] = useState(null); // {id,name,artists[],image,progress_ms,is_playing,_leaderTs}
+  const [allowRequests, setAllowRequests] = useState(true); // Hörer dürfen sich Songs wünschen
+  const [inbox, setInbox] = useState([]); // offene Wünsche [{id, user, track, ts}]
+  const [maxListeners, setMaxListeners] = useState(""); // leer = unbegrenzt
+  const [waitlistSize, setWaitlistSize] = useState(0);
+  const [banList, setBanList] = useState([]); // [{id, name, at}]
 
   // Receiver state
   const [followingUserId, setFollowingUserId] = useState(null);
   const prevFollowingRef = useRef(null);
   const [recvNow, setRecvNow] = useState(null); // {id,...,_leaderTs,is_playing}
-
-  // Lobby presence (+ lastTrack)
+  const [followInvite, setFollowInvite] = useState(null); // aus ?invite=
+  const [followPasscode, setFollowPasscode] = useState("");
+  const [followDenied, setFollowDenied] = useState(null); // Grund aus follow_denied
+  const [resyncedAt, setResyncedAt] = useState(0); // letzte Driftkorrektur (Server-Zeit)
+  const [myRequests, setMyRequests] = useState([]); // eigene Wünsche [{id, track, status}]
+  const [waitPosition, setWaitPosition] = useState(null); // Platz auf der Warteliste (voller Raum)
+  const [roomRoles, setRoomRoles] = useState(null); // {hostId, dj: {id, name}, cohosts[]} des aktuellen Raums
+
+  // Geplante Sessions (Lobby „Demnächst“)
+  const [schedule, setSchedule] = useState([]);
+  const autoJoinedRef = useRef(new Set()); // Event-IDs, für die schon automatisch beigetreten wurde
+
+  // Push: { publicKey, favorites[{id, name}], devices, here (dieses Gerät angemeldet) }
+  const [push, setPush] = useState({ publicKey: null, favorites: [], devices: 0, here: false });
+
+  // Chat des aktuellen Raums (als Sender: mein Raum, als Hörer: der gefolgte)
+  const [chat, setChat] = useState([]); // [{type: "chat"|"reaction", id, user, text|emoji, ts, ...}]
+  const [mutedIds, setMutedIds] = useState(new Set());
+  const lastSyncRef = useRef(0);
+  const recvNowRef = useRef(null); // aktueller recvNow für den WS-Handler
+  const driftCheckRef = useRef(false);
+
+  // Lobby presence (+ lastTrack); Reihenfolge und Gesamtzahl aus lobby_state
   const [liveMap, setLiveMap] = useState(new Map());
+  const [lobby, setLobby] = useState({ ids: [], total: 0 });
+  const [lobbyView, setLobbyView] = useState(DEFAULT_LOBBY_VIEW);
   // Followers: targetUserId -> Map<followerId, {id,name,ts}>
   const [followers, setFollowers] = useState(new Map());
+  const [showAllFollowers, setShowAllFollowers] = useState(false);
 
   // UI state
   const [hint, setHint] = useState("");
+  const [providers, setProviders] = useState([]); // [{id,label}] vom Server
+  const [recapId, setRecapId] = useState(null); // offene Session-Recap (?recap=<id>)
+  const [mySessions, setMySessions] = useState([]); // eigene letzte Sessions (Kurzform)
   const [showMenu, setShowMenu] = useState(false);
 
   // Refs
-  const ws = useRef(null);
-  const shareTimer = useRef(null);
-
-  // —— Anti-Ruckel + Initial‑Snapshot ——
-  const lastBroadcastRef = useRef({
-    trackId: null,
-    is_playing: null,
-    progress_ms: 0,
-    sentAt: 0,
-  });
-  const lastPresencePingRef = useRef(0);
-  const hasSentInitialRef = useRef(false);
+  const ws = useRef(null); // Verbindung aus ./connection.js (send, isOpen, close)
+  const [connStatus, setConnStatus] = useState("connecting");
 
   // Name des aktuellen Senders (für Receiver-Texte)
   const senderDisplay = useMemo(() => {
@@ -153,12 +470,29 @@ export default function App() {
     const u = liveMap.get(followingUserId);
     return u?.name || "dem Sender";
   }, [followingUserId, liveMap]);
+  const followedSessionId = followingUserId ? liveMap.get(followingUserId)?.sessionId || null : null;
+  const chatRoomId = mode === "sender" ? me?.id : mode === "receiver" ? followingUserId : null;
+  const iAmDj = mode === "receiver" && !!me?.id && roomRoles?.dj?.id === me.id;
+  const iAmCohost = mode === "receiver" && !!me?.id && !!roomRoles?.cohosts?.includes(me.id);
+  const followedAcceptsRequests = followingUserId ? liveMap.get(followingUserId)?.requests !== false : false;
 
   // ===== 1) URL params (follow) =====
   useEffect(() => {
     const qs = new URLSearchParams(window.location.search);
     const follow = qs.get("follow");
     if (follow) setFollowingUserId(follow);
+    const invite = qs.get("invite");
+    if (invite) setFollowInvite(invite);
+    const recap = qs.get("recap");
+    if (recap) setRecapId(recap);
+  }, []);
+
+  // ===== 1b) Aktive Provider (Login-Auswahl) =====
+  useEffect(() => {
+    fetch(`/providers`)
+      .then((r) => (r.ok ? r.json() : { providers: [] }))
+      .then((j) => setProviders(j.providers || []))
+      .catch(() => {});
   }, []);
 
   // ===== 2) whoami (Cookies) =====
@@ -178,400 +512,648 @@ export default function App() {
   }, []);
 
   // ===== 3) WebSocket =====
-  useEffect(() => {
-    ws.current = new WebSocket(WS_URL);
+  // Die Verbindung (./connection.js) lebt so lange wie der Login. Die Handler entstehen bei jedem
+  // Render neu und werden über wsHandlersRef aufgerufen – so sehen sie immer den aktuellen State.
+
+  // Bei jedem (Re-)Connect: der Server kennt Identität, Teilen und Follower nur pro Verbindung
+  const handleWsOpen = (conn) => {
+    conn.send(build.hello(me));
+    // Eigene Lobby-Ansicht (Sortierung/Seitengröße) – Standard schickt der Server beim Verbinden
+    if (lobbyView.sort !== DEFAULT_LOBBY_VIEW.sort || lobbyView.limit !== DEFAULT_LOBBY_VIEW.limit) {
+      conn.send(build.lobby(lobbyView));
+    }
+    // Teilen fortsetzen (Server-Broadcaster braucht die Tokens dieser Verbindung)
+    if (mode === "sender" && isSharing) conn.send(presenceStartMessage());
+    // Follow neu melden (Deep-Link vor dem ersten Connect: erst jetzt in den Receiver –
+    // dann meldet Effekt 4 Follow + Snapshot, sonst käme beides doppelt)
+    if (followingUserId && mode === "idle") {
+      setMode("receiver");
+      setHint(""); // keine alte Meldung
+    } else if (followingUserId && mode === "receiver") {
+      conn.send(build.follow(me, followingUserId, { invite: followInvite, passcode: followPasscode }));
+      conn.send(build.reqSnapshot(me, followingUserId));
+    }
+  };
 
-    ws.current.onopen = () => {
-      if (me?.id) {
-        ws.current.send(
-          JSON.stringify({ type: "hello", userId: me.id, name: me.display_name, ts: nowTs() })
-        );
-      }
-      if (me?.id && followingUserId && mode === "idle") {
-        setMode("receiver");
-        setHint(""); // keine alte Meldung
-        ws.current.send(
-          JSON.stringify({
-            type: "follow",
-            targetUserId: followingUserId,
-            user: { id: me.id, name: me.display_name },
-            ts: nowTs(),
-          })
-        );
-        ws.current.send(
-          JSON.stringify({
-            type: "req_snapshot",
-            targetUserId: followingUserId,
-            user: { id: me.id, name: me.display_name },
-            ts: nowTs(),
-          })
-        );
+  // presence:start mit den aktuellen Raum-Einstellungen
+  function presenceStartMessage() {
+    return build.presenceStart(me, {
+      visibility: shareVisibility,
+      passcode: sharePasscode,
+      requests: allowRequests,
+      maxListeners: parseMaxListeners(maxListeners),
+    });
+  }
+
+  const handleWsMessage = async (data) => {
+    // Antwort auf time_sync
+    if (data.type === "time_sync") {
+      applyTimeSync(data);
+      return;
+    }
+
+    // Server hat eine Nachricht abgelehnt
+    if (data.type === "error") {
+      console.warn("WS rejected:", data.error, data.ref, data.field || "");
+      if (data.error === "unsupported_version") setHint("Celebeaty wurde aktualisiert – bitte lade die Seite neu.");
+      return;
+    }
+
+    // Presence
+    if (data.type === "presence" && data.action && data.user) {
+      setLiveMap((prev) => {
+        const copy = new Map(prev);
+        const uid = data.user.id;
+        if (data.action === "start") {
+          copy.set(uid, {
+            id: uid,
+            name: data.user.name,
+            since: data.since || data.ts || nowTs(),
+            lastSeen: data.ts || nowTs(),
+            lastTrack: copy.get(uid)?.lastTrack,
+            dj: data.dj || null,
+            sessionId: data.session || copy.get(uid)?.sessionId || null,
+            requests: data.requests !== false,
+          });
+        } else if (data.action === "stop") {
+          copy.delete(uid);
+          setFollowers((prevF) => {
+            const fcopy = new Map(prevF);
+            fcopy.delete(uid);
+            return fcopy;
+          });
+        } else if (data.action === "ping") {
+          const ex = copy.get(uid);
+          if (ex) ex.lastSeen = data.ts || nowTs();
+        }
+        return copy;
+      });
+      return;
+    }
+
+    // Lobby aus Server-Sicht: Räume der aktuellen Seite (Reihenfolge vom Server) + Gesamtzahl
+    if (data.type === "lobby_state" && Array.isArray(data.rooms)) {
+      setLiveMap((prev) => {
+        const next = new Map(data.rooms.map((r) => [r.id, lobbyEntry(r)]));
+        // Gefolgter Raum außerhalb der Seite bleibt bekannt (Receiver-Ansicht)
+        if (followingUserId && !next.has(followingUserId) && prev.has(followingUserId)) {
+          next.set(followingUserId, prev.get(followingUserId));
+        }
+        return next;
+      });
+      setLobby({ ids: data.rooms.map((r) => r.id), total: data.total || 0 });
+      return;
+    }
+
+    // Aktuelle Zuhörer meines Raums (neuer Tab, Reconnect) – ersetzt die beobachtete Liste
+    if (data.type === "room_members" && data.roomId && Array.isArray(data.members)) {
+      setFollowers((prev) => {
+        const copy = new Map(prev);
+        copy.set(data.roomId, new Map(data.members.map((m) => [m.id, { id: m.id, name: m.name || m.id, ts: m.ts || nowTs() }])));
+        return copy;
+      });
+      return;
+    }
+
+    // Sichtbarkeit + Einladung meines Raums (nur an den Sender)
+    if (data.type === "room_info") {
+      setRoomInfo({
+        visibility: data.visibility,
+        invite: data.invite || null,
+        hasPasscode: !!data.hasPasscode,
+        session: data.session || null,
+      });
+      setRoomRoles({ hostId: me?.id, dj: data.dj || null, cohosts: data.cohosts || [] });
+      if (typeof data.requests === "boolean") setAllowRequests(data.requests);
+      return;
+    }
+
+    // Warteliste: als Hörer meine Position, als Sender die Länge
+    if (data.type === "waitlist") {
+      if (data.roomId === me?.id) setWaitlistSize(data.size || 0);
+      else if (data.admitted) setWaitPosition(null);
+      else setWaitPosition(data.position || null);
+      return;
+    }
+    if (data.type === "ban_list") {
+      setBanList(data.users || []);
+      return;
+    }
+
+    // Chat + Reaktionen
+    if (data.type === "chat_history") {
+      setChat(data.messages || []);
+      setMutedIds(new Set(data.muted || []));
+      return;
+    }
+    if (data.type === "chat" || data.type === "reaction") {
+      setChat((prev) => [...prev, data].slice(-CHAT_KEEP));
+      return;
+    }
+    if (data.type === "chat_denied") {
+      setHint(CHAT_DENIED_TEXT[data.reason] || "Nachricht nicht gesendet.");
+      return;
+    }
+    if (data.type === "chat_muted" || data.type === "moderation") {
+      const id = data.type === "chat_muted" ? me?.id : data.followerId;
+      const muted = data.type === "chat_muted" ? data.muted : data.action === "mute";
+      if (data.type === "chat_muted" || data.action === "mute" || data.action === "unmute") {
+        setMutedIds((prev) => {
+          const copy = new Set(prev);
+          if (muted) copy.add(id);
+          else copy.delete(id);
+          return copy;
+        });
       }
-    };
+      if (data.type === "chat_muted") setHint(muted ? CHAT_DENIED_TEXT.muted : "Du kannst wieder mitschreiben.");
+      return;
+    }
 
-    ws.current.onmessage = async (event) => {
-      let data;
-      try {
-        data = JSON.parse(event.data);
-      } catch {
+    // Track-Wünsche: Inbox des Senders
+    if (data.type === "track_request" && data.request) {
+      setInbox((prev) => [...prev.filter((r) => r.id !== data.request.id), data.request]);
+      return;
+    }
+    if (data.type === "request_inbox") {
+      setInbox(data.requests || []);
+      return;
+    }
+    if (data.type === "request_status") {
+      if (data.targetUserId === me?.id) {
+        // Ich bin der Sender → entschiedenen Wunsch aus der Inbox nehmen
+        setInbox((prev) => prev.filter((r) => r.id !== data.id));
+        if (data.status === "failed") setHint("Wunsch konnte nicht in die Warteschlange (läuft ein Gerät?).");
         return;
       }
-      if (!data?.type) return;
+      if (data.status === "denied") {
+        setHint(REQUEST_DENIED_TEXT[data.reason] || "Wunsch nicht möglich.");
+        return;
+      }
+      setMyRequests((prev) => [
+        { id: data.id, track: data.track, status: data.status },
+        ...prev.filter((r) => r.id !== data.id),
+      ].slice(0, 10));
+      return;
+    }
+
+    // Server verweigert das Mithören (privater Raum)
+    if (data.type === "follow_denied") {
+      if (data.targetUserId === followingUserId) {
+        setFollowDenied(data.reason);
+        setRecvNow(null);
+      }
+      return;
+    }
 
-      // Presence
-      if (data.type === "presence" && data.action && data.user) {
+    // Rollen im Raum (Host, Co-Hosts, DJ)
+    if (data.type === "room_roles") {
+      if (data.roomId === chatRoomId) {
+        setRoomRoles({ hostId: data.hostId, dj: data.dj || null, cohosts: data.cohosts || [] });
+      }
+      return;
+    }
+
+    // Status des Server-Broadcasters (an den DJ)
+    if (data.type === "share_status" && data.roomId && data.roomId !== me?.id) {
+      // Ich lege als Gast in einem fremden Raum auf
+      if (data.state === "stopped") setHint("Deine DJ-Runde ist vorbei – die Musik kommt wieder vom Host.");
+      else if (data.reason) setHint(data.message || "");
+      return;
+    }
+    if (data.type === "share_status") {
+      if (data.state === "active") {
+        if (mode !== "sender") {
+          // Ich teile schon (anderer/neu geöffneter Tab) → Sender-Ansicht aufnehmen
+          setMode("sender");
+          setIsSharing(true);
+        }
+        if (data.reason === "no_item") setSenderNow(null);
+        if (data.reason) setHint(data.message || "");
+      } else if (data.state === "stopped") {
+        setIsSharing(false);
+        setMode("idle");
+        setSenderNow(null);
+        setHint(
+          data.reason === "idle"
+            ? "Teilen beendet – längere Zeit nichts gespielt."
+            : "Teilen beendet – Spotify-Zugriff abgelaufen. Bitte neu einloggen."
+        );
+      }
+      return;
+    }
+
+    // Track / Pause-Events
+    if (data.type === "track" || data.type === "pause") {
+      const { user, trackId, progress_ms, name, artists, image, ts, is_playing } = data;
+
+      // Lobby-Preview aktualisieren
+      if (user?.id) {
         setLiveMap((prev) => {
           const copy = new Map(prev);
-          const uid = data.user.id;
-          if (data.action === "start") {
-            copy.set(uid, {
-              id: uid,
-              name: data.user.name,
-              since: data.ts || nowTs(),
-              lastSeen: data.ts || nowTs(),
-              lastTrack: copy.get(uid)?.lastTrack,
-            });
-          } else if (data.action === "stop") {
-            copy.delete(uid);
-            setFollowers((prevF) => {
-              const fcopy = new Map(prevF);
-              fcopy.delete(uid);
-              return fcopy;
-            });
-          } else if (data.action === "ping") {
-            const ex = copy.get(uid);
-            if (ex) ex.lastSeen = data.ts || nowTs();
-          }
+          const ex = copy.get(user.id) || {
+            id: user.id,
+            name: user.name,
+            since: ts || nowTs(),
+            lastSeen: ts || nowTs(),
+          };
+          ex.lastSeen = ts || nowTs();
+          ex.lastTrack = {
+            trackId,
+            name: name || trackId,
+            artists: artists || [],
+            image: image || null,
+            atTs: ts || nowTs(),
+            progress_ms: progress_ms || 0,
+            is_playing: !!is_playing,
+          };
+          copy.set(user.id, ex);
           return copy;
         });
+      }
+
+      // Eigene Events vom Server-Broadcaster → Sender-Ansicht
+      if (mode === "sender" && user?.id === me?.id) {
+        setSenderNow({
+          id: trackId,
+          name: name || trackId,
+          artists: artists || [],
+          image: image || null,
+          progress_ms: progress_ms || 0,
+          _leaderTs: ts || nowTs(),
+          is_playing: data.type !== "pause" && is_playing !== false,
+          dj: data.dj || null,
+        });
+        setHint(data.type === "pause" || is_playing === false ? "Pausiert." : "");
         return;
       }
 
-      // Snapshot anfordern → Sender antwortet sofort
-      if (data.type === "req_snapshot") {
-        if (mode === "sender" && me?.id && data.targetUserId === me.id && senderNow) {
-          const snap = buildSenderSnapshot(me, senderNow);
-          if (snap && ws.current?.readyState === WebSocket.OPEN) {
-            ws.current.send(JSON.stringify(snap));
-            lastBroadcastRef.current = {
-              trackId: snap.trackId,
-              is_playing: snap.is_playing,
-              progress_ms: snap.progress_ms,
-              sentAt: Date.now(),
-            };
-          }
-        }
+      // Ich bin selbst DJ in diesem Raum → nur anzeigen, mein Player ist die Quelle
+      if (mode === "receiver" && followingUserId && user?.id === followingUserId && data.dj?.id === me?.id) {
+        setRecvNow({
+          id: trackId,
+          track: trackFromEvent(data),
+          name: name || trackId,
+          artists: artists || [],
+          image: image || null,
+          progress_ms: progress_ms || 0,
+          _leaderTs: ts || nowTs(),
+          is_playing: data.type !== "pause" && is_playing !== false,
+          selfDj: true,
+        });
         return;
       }
 
-      // Track / Pause-Events
-      if (data.type === "track" || data.type === "pause") {
-        const { user, trackId, progress_ms, name, artists, image, ts, is_playing } = data;
-
-        // Lobby-Preview aktualisieren
-        if (user?.id) {
-          setLiveMap((prev) => {
-            const copy = new Map(prev);
-            const ex = copy.get(user.id) || {
-              id: user.id,
-              name: user.name,
-              since: ts || nowTs(),
-              lastSeen: ts || nowTs(),
-            };
-            ex.lastSeen = ts || nowTs();
-            ex.lastTrack = {
-              trackId,
-              name: name || trackId,
-              artists: artists || [],
-              image: image || null,
-              atTs: ts || nowTs(),
-              progress_ms: progress_ms || 0,
-              is_playing: !!is_playing,
-            };
-            copy.set(user.id, ex);
-            return copy;
+      // Receiver synchronisieren – nur wenn ich diesem Sender folge
+      if (mode === "receiver" && followingUserId && user?.id === followingUserId) {
+        const track = trackFromEvent(data);
+        if (data.type === "pause" || is_playing === false) {
+          await backendPause().catch(() => {});
+          setRecvNow((prev) => ({
+            ...(prev || {}),
+            id: trackId,
+            track,
+            name: name || trackId,
+            artists: artists || [],
+            image: image || null,
+            progress_ms: progress_ms || 0,
+            _leaderTs: ts || nowTs(),
+            is_playing: false,
+            selfDj: false,
+          }));
+        } else {
+          const prev = recvNowRef.current;
+          setRecvNow({
+            id: trackId,
+            track,
+            name: name || trackId,
+            artists: artists || [],
+            progress_ms: progress_ms || 0,
+            image: image || null,
+            _leaderTs: ts || nowTs(),
+            is_playing: true,
           });
-        }
-
-        // Receiver synchronisieren – nur wenn ich diesem Sender folge
-        if (mode === "receiver" && followingUserId && user?.id === followingUserId) {
-          if (data.type === "pause" || is_playing === false) {
-            await backendPause().catch(() => {});
-            setRecvNow((prev) => ({
-              ...(prev || {}),
-              id: trackId,
-              name: name || trackId,
-              artists: artists || [],
-              image: image || null,
-              progress_ms: progress_ms || 0,
-              _leaderTs: ts || nowTs(),
-              is_playing: false,
-            }));
+          lastSyncRef.current = Date.now();
+          if (prev?.id === trackId) {
+            // Gleicher Song (Seek/Fortsetzen) → nur springen statt neu starten
+            try {
+              if (!prev.is_playing) await backendPlay({});
+              await seekToLeader(progress_ms || 0, ts);
+            } catch (e) {
+              console.warn(e);
+              await ensurePlaybackAndPlay(track, progress_ms || 0, ts, setHint);
+            }
           } else {
-            setRecvNow({
-              id: trackId,
-              name: name || trackId,
-              artists: artists || [],
-              progress_ms: progress_ms || 0,
-              image: image || null,
-              _leaderTs: ts || nowTs(),
-              is_playing: true,
-            });
-            await ensurePlaybackAndPlay(trackId, progress_ms || 0, ts, setHint);
+            await ensurePlaybackAndPlay(track, progress_ms || 0, ts, setHint);
           }
         }
-        return;
       }
+      return;
+    }
 
-      // Follow/Unfollow – Zuhörer zählen
-      if (data.type === "follow" && data.targetUserId && data.user?.id) {
-        setFollowers((prev) => {
-          const copy = new Map(prev);
-          const inner = new Map(copy.get(data.targetUserId) || new Map());
-          inner.set(data.user.id, {
-            id: data.user.id,
-            name: data.user.name || data.user.id,
-            ts: data.ts || nowTs(),
-          });
-          copy.set(data.targetUserId, inner);
-          return copy;
+    // Follow/Unfollow – Zuhörer zählen
+    if (data.type === "follow" && data.targetUserId && data.user?.id) {
+      setFollowers((prev) => {
+        const copy = new Map(prev);
+        const inner = new Map(copy.get(data.targetUserId) || new Map());
+        inner.set(data.user.id, {
+          id: data.user.id,
+          name: data.user.name || data.user.id,
+          ts: data.ts || nowTs(),
         });
+        copy.set(data.targetUserId, inner);
+        return copy;
+      });
+      // Den Snapshot für den neuen Zuhörer liefert der Server
+      return;
+    }
 
-        // Wenn ich der Sender bin und jemand mir folgt → sofort Snapshot senden
-        if (mode === "sender" && me?.id && data.targetUserId === me.id && senderNow) {
-          const snapshot = buildSenderSnapshot(me, senderNow);
-          try {
-            ws.current?.readyState === WebSocket.OPEN &&
-              ws.current.send(JSON.stringify(snapshot));
-            lastBroadcastRef.current = {
-              trackId: snapshot.trackId,
-              is_playing: snapshot.is_playing,
-              progress_ms: snapshot.progress_ms,
-              sentAt: Date.now(),
-            };
-          } catch {}
-        }
-        return;
-      }
+    if (data.type === "unfollow" && data.targetUserId && data.user?.id) {
+      setFollowers((prev) => {
+        const copy = new Map(prev);
+        const inner = new Map(copy.get(data.targetUserId) || new Map());
+        inner.delete(data.user.id);
+        copy.set(data.targetUserId, inner);
+        return copy;
+      });
+      return;
+    }
+  };
 
-      if (data.type === "unfollow" && data.targetUserId && data.user?.id) {
-        setFollowers((prev) => {
-          const copy = new Map(prev);
-          const inner = new Map(copy.get(data.targetUserId) || new Map());
-          inner.delete(data.user.id);
-          copy.set(data.targetUserId, inner);
-          return copy;
-        });
-        return;
-      }
+  const wsHandlersRef = useRef({});
+  useEffect(() => {
+    wsHandlersRef.current = { onOpen: handleWsOpen, onMessage: handleWsMessage };
+  });
+
+  useEffect(() => {
+    // Server akzeptiert nur eingeloggte Verbindungen (Session-Cookie)
+    if (!me?.id) return;
+    let syncTimers = [];
+    let resyncTimer = null;
+
+    const stopClockSync = () => {
+      syncTimers.forEach(clearTimeout);
+      syncTimers = [];
+      clearInterval(resyncTimer);
     };
 
-    ws.current.onclose = () => {};
-    ws.current.onerror = (e) => console.warn("WS error", e);
+    const conn = createConnection({
+      url: WS_URL,
+      // Jede Nachricht mit Protokollversion + Server-Zeit (und Schema-Prüfung, s. shared/protocol.js)
+      stamp: (msg) => createMessage(msg.type, { ...msg, ts: nowTs() }),
+      onStatus: setConnStatus,
+      onOpen: (c) => {
+        // Uhr abgleichen: kurzer Burst, danach regelmäßig nachjustieren
+        for (let i = 0; i < CLOCK_BURST; i++) {
+          syncTimers.push(setTimeout(() => sendTimeSync(c), i * 300));
+        }
+        resyncTimer = setInterval(() => sendTimeSync(c), CLOCK_RESYNC_MS);
+        wsHandlersRef.current.onOpen(c);
+      },
+      onMessage: (data) => wsHandlersRef.current.onMessage(data),
+      onClose: stopClockSync,
+    });
+    ws.current = conn;
 
-    return () => ws.current?.close();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [me?.id, followingUserId, mode, senderNow?.id, senderNow?.is_playing, senderNow?.progress_ms]);
+    return () => {
+      stopClockSync();
+      conn.close();
+      ws.current = null;
+    };
+  }, [me?.id]);
 
   // ===== 4) Receiver Follow/Unfollow automatisch melden =====
+  // Zugangsdaten und Profil nur lesen: ein neu getippter Passcode schickt sein Follow selbst
+  const followArgsRef = useRef({});
+  useEffect(() => {
+    followArgsRef.current = { me, invite: followInvite, passcode: followPasscode };
+  });
   useEffect(() => {
+    const { me: self, invite, passcode } = followArgsRef.current;
     const prev = prevFollowingRef.current;
-    if (prev && prev !== followingUserId && me?.id && ws.current?.readyState === WebSocket.OPEN) {
-      ws.current.send(
-        JSON.stringify({
-          type: "unfollow",
-          targetUserId: prev,
-          user: { id: me.id, name: me.display_name },
-          ts: nowTs(),
-        })
-      );
-    }
-    if (followingUserId && me?.id && ws.current?.readyState === WebSocket.OPEN && mode === "receiver") {
-      ws.current.send(
-        JSON.stringify({
-          type: "follow",
-          targetUserId: followingUserId,
-          user: { id: me.id, name: me.display_name },
-          ts: nowTs(),
-        })
-      );
+    // Offline nicht puffern: nach dem Reconnect meldet handleWsOpen den aktuellen Stand
+    if (prev && prev !== followingUserId && self?.id) sendWs(build.unfollow(self, prev), { buffer: false });
+    if (followingUserId && self?.id && mode === "receiver") {
+      sendWs(build.follow(self, followingUserId, { invite, passcode }), { buffer: false });
       // gezielt Snapshot anfordern
-      ws.current.send(
-        JSON.stringify({
-          type: "req_snapshot",
-          targetUserId: followingUserId,
-          user: { id: me.id, name: me.display_name },
-          ts: nowTs(),
-        })
-      );
+      sendWs(build.reqSnapshot(self, followingUserId), { buffer: false });
     }
     prevFollowingRef.current = followingUserId;
+    setFollowDenied(null);
+    setMyRequests([]);
+    setChat([]);
+    setWaitPosition(null);
+    setRoomRoles(null);
   }, [followingUserId, mode, me?.id]);
 
-  // ===== 5) Sender ticker — nur Events broadcasten (+ Initial‑Snapshot) =====
+  // ===== 5) Sender — Polling & Broadcast macht der Server (server/broadcaster.js) =====
   useEffect(() => {
     if (mode !== "sender" || !isSharing) {
-      if (shareTimer.current) {
-        clearInterval(shareTimer.current);
-        shareTimer.current = null;
+      setSenderNow(null);
+      setRoomInfo(null);
+      setInbox([]);
+      setWaitlistSize(0);
+      if (mode !== "receiver") {
+        setChat([]);
+        setRoomRoles(null);
       }
-      hasSentInitialRef.current = false;
       return;
     }
+    // Presence start → Server startet den Broadcaster für mich
+    if (me?.id) sendWs(presenceStartMessage(), { buffer: false });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode, isSharing, me?.id]);
 
-    // Presence start
-    if (ws.current?.readyState === WebSocket.OPEN && me?.id) {
-      ws.current.send(
-        JSON.stringify({
-          type: "presence",
-          action: "start",
-          user: { id: me.id, name: me.display_name },
-          ts: nowTs(),
-        })
-      );
-    }
-    lastPresencePingRef.current = Date.now();
-    hasSentInitialRef.current = false;
+  // ===== 6) Receiver — eigene Wiedergabe prüfen und bei Drift nachziehen =====
+  useEffect(() => {
+    recvNowRef.current = recvNow;
+  }, [recvNow]);
 
-    const DRIFT_MS = 2000;  // ab ~2s = Seek
-    const POLL_MS  = 2000;  // Spotify Poll
-    const PING_MS  = 12000; // Präsenz-Ping
+  useEffect(() => {
+    if (mode !== "receiver" || !recvNow?.track || !recvNow.is_playing || recvNow.selfDj) return;
+    const leader = recvNow;
+    let cancelled = false;
 
-    const tick = async () => {
+    const id = setInterval(async () => {
+      if (driftCheckRef.current || Date.now() - lastSyncRef.current < RESYNC_GRACE_MS) return;
+      driftCheckRef.current = true;
       try {
-        const r = await fetch(`/currently-playing`, { credentials: "include" });
-        const data = await r.json();
-
-        // Heartbeat (Lobby sichtbar halten)
-        const now = Date.now();
-        if (ws.current?.readyState === WebSocket.OPEN && now - lastPresencePingRef.current > PING_MS && me?.id) {
-          ws.current.send(JSON.stringify({
-            type: "presence",
-            action: "ping",
-            user: { id: me.id, name: me.display_name },
-            ts: nowTs(),
-          }));
-          lastPresencePingRef.current = now;
-        }
-
-        // Kein Item: Werbung / keine Quelle / private Session
-        if (!data?.track?.id) {
-          setSenderNow(null);
-          setHint(data?.message || "Kein Song/kein Gerät.");
+        const requestedAt = nowTs();
+        const own = await getOwnPlayback();
+        if (cancelled || !own) return; // kein aktives Gerät → nicht eingreifen
+        if (!sameTrack(own.track, leader.track)) {
+          // Anderer Song (manuell gewechselt, Autoplay, …) → neu starten
+          lastSyncRef.current = Date.now();
+          await ensurePlaybackAndPlay(leader.track, leader.progress_ms, leader._leaderTs, setHint);
+          if (!cancelled) setResyncedAt(nowTs());
           return;
         }
+        if (!own.is_playing) return; // bewusst pausiert → in Ruhe lassen
+        // own.progress_ms galt grob in der Mitte des Requests
+        const sampledAt = (requestedAt + nowTs()) / 2;
+        const expected = leader.progress_ms + (sampledAt - leader._leaderTs);
+        if (Math.abs(own.progress_ms - expected) <= DRIFT_THRESHOLD_MS) return;
+        lastSyncRef.current = Date.now();
+        await seekToLeader(leader.progress_ms, leader._leaderTs);
+        if (!cancelled) setResyncedAt(nowTs());
+      } catch (e) {
+        console.warn("Driftkorrektur fehlgeschlagen:", e);
+      } finally {
+        driftCheckRef.current = false;
+      }
+    }, DRIFT_CHECK_MS);
 
-        const image = data.track?.album?.images?.[0]?.url || null;
-        const curr = {
-          trackId: data.track.id,
-          is_playing: !!data.is_playing,
-          progress_ms: data.progress_ms || 0,
-          name: data.track.name,
-          artists: data.track.artists || [],
-          image,
-        };
-
-        // UI lokal
-        setSenderNow({
-          id: curr.trackId,
-          name: curr.name,
-          artists: curr.artists,
-          image: curr.image,
-          progress_ms: curr.progress_ms,
-          is_playing: curr.is_playing,
-        });
-        setHint(curr.is_playing ? "" : "Pausiert.");
-
-        // Initialer Snapshot sofort senden
-        if (!hasSentInitialRef.current && ws.current?.readyState === WebSocket.OPEN && me?.id) {
-          const initialMsg = {
-            type: curr.is_playing ? "track" : "pause",
-            user: { id: me.id, name: me.display_name },
-            trackId: curr.trackId,
-            progress_ms: curr.progress_ms,
-            name: curr.name,
-            artists: curr.artists,
-            image: curr.image,
-            is_playing: curr.is_playing,
-            ts: nowTs(),
-          };
-          ws.current.send(JSON.stringify(initialMsg));
-          lastBroadcastRef.current = {
-            trackId: curr.trackId,
-            is_playing: curr.is_playing,
-            progress_ms: curr.progress_ms,
-            sentAt: Date.now(),
-          };
-          hasSentInitialRef.current = true;
-          return;
-        }
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [mode, recvNow]);
 
-        // Danach: Nur bei Events broadcasten
-        const prev = lastBroadcastRef.current;
-        let shouldBroadcast = false;
-        let eventType = "track"; // oder "pause"
-
-        if (prev.trackId !== curr.trackId) {
-          shouldBroadcast = true; // Trackwechsel
-          eventType = curr.is_playing ? "track" : "pause";
-        } else if (prev.is_playing !== curr.is_playing) {
-          shouldBroadcast = true; // Play/Pause-Wechsel
-          eventType = curr.is_playing ? "track" : "pause";
-        } else {
-          // Seek-Detektion über Drift
-          const expected = prev.is_playing
-            ? prev.progress_ms + (now - (prev.sentAt || now))
-            : prev.progress_ms;
-          const drift = Math.abs(curr.progress_ms - expected);
-          if (drift > DRIFT_MS) {
-            shouldBroadcast = true; // Seek
-            eventType = curr.is_playing ? "track" : "pause";
-          }
-        }
+  // ===== 7) Eigene letzte Sessions (Recap-Liste in der Lobby) =====
+  useEffect(() => {
+    if (!me?.id || mode !== "idle") return;
+    let cancelled = false;
+    fetch(`/api/users/${encodeURIComponent(me.id)}/sessions?limit=5`, { credentials: "include" })
+      .then((r) => (r.ok ? r.json() : { sessions: [] }))
+      .then((j) => !cancelled && setMySessions(j.sessions || []))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [me?.id, mode]);
 
-        if (shouldBroadcast && ws.current?.readyState === WebSocket.OPEN && me?.id) {
-          const msg = {
-            type: eventType,
-            user: { id: me.id, name: me.display_name },
-            trackId: curr.trackId,
-            progress_ms: curr.progress_ms,
-            name: curr.name,
-            artists: curr.artists,
-            image: curr.image,
-            is_playing: curr.is_playing,
-            ts: nowTs(),
-          };
-          ws.current.send(JSON.stringify(msg));
-          lastBroadcastRef.current = {
-            trackId: curr.trackId,
-            is_playing: curr.is_playing,
-            progress_ms: curr.progress_ms,
-            sentAt: Date.now(),
-          };
-        }
-      } catch (e) {
-        console.warn("currently-playing fetch error:", e);
-        setHint("Konnte aktuell gespielten Song nicht abrufen.");
-      }
+  // ===== 7b) Geplante Sessions (regelmäßig neu laden, Countdown läuft im Frontend) =====
+  useEffect(() => {
+    if (!me?.id) return;
+    let cancelled = false;
+    const load = () =>
+      fetchSchedule()
+        .then((events) => !cancelled && setSchedule(events))
+        .catch(() => {});
+    load();
+    const id = setInterval(load, SCHEDULE_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
     };
+  }, [me?.id]);
 
-    tick();
-    shareTimer.current = setInterval(tick, POLL_MS);
+  // ===== 7c) Push-Status (Favoriten + ob dieses Gerät angemeldet ist) =====
+  useEffect(() => {
+    if (!me?.id) return;
+    let cancelled = false;
+    Promise.all([pushApi("GET", `/api/push`), currentPushSubscription().catch(() => null)])
+      .then(([state, sub]) => !cancelled && setPush({ ...state, here: !!sub }))
+      .catch(() => {});
     return () => {
-      clearInterval(shareTimer.current);
-      shareTimer.current = null;
+      cancelled = true;
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mode, isSharing, me?.id]);
+  }, [me?.id]);
+
+  const isFavorite = (senderId) => push.favorites.some((f) => f.id === senderId);
+
+  async function toggleFavorite(sender) {
+    try {
+      if (isFavorite(sender.id)) {
+        const state = await pushApi("DELETE", `/api/push/favorites/${encodeURIComponent(sender.id)}`);
+        setPush((prev) => ({ ...prev, ...state }));
+        return;
+      }
+      if (!push.here) {
+        await subscribePush(push.publicKey);
+        setPush((prev) => ({ ...prev, here: true }));
+      }
+      const state = await pushApi("PUT", `/api/push/favorites/${encodeURIComponent(sender.id)}`, { name: sender.name });
+      setPush((prev) => ({ ...prev, ...state }));
+      setHint(`Du bekommst eine Nachricht, sobald ${sender.name || "der Sender"} live geht.`);
+    } catch (e) {
+      setHint(PUSH_ERROR_TEXT[e.code] || "Benachrichtigung ging gerade nicht – versuch es nochmal.");
+    }
+  }
 
-  // ===== 6) LiveList (inkl. Track-Preview) =====
-  const liveList = useMemo(() => {
-    const arr = Array.from(liveMap.values());
-    const cutoff = Date.now() - 15000;
-    return arr
-      .filter((x) => (x.lastSeen || x.since || 0) > cutoff)
-      .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
-  }, [liveMap]);
+  async function togglePushHere() {
+    try {
+      const state = push.here ? await unsubscribePush() : await subscribePush(push.publicKey);
+      setPush((prev) => ({ ...prev, ...state, here: !prev.here }));
+    } catch (e) {
+      setHint(PUSH_ERROR_TEXT[e.code] || "Benachrichtigung ging gerade nicht – versuch es nochmal.");
+    }
+  }
+
+  // Zugesagt + Sender ist live → wie „Mithören“ (einmal je Event, nur aus der Lobby)
+  useEffect(() => {
+    if (mode !== "idle" || followingUserId) return;
+    for (const [uid, info] of liveMap) {
+      const due = uid !== me?.id && dueEvent(schedule, uid);
+      if (!due || autoJoinedRef.current.has(due.id)) continue;
+      autoJoinedRef.current.add(due.id);
+      setFollowingUserId(uid);
+      setMode("receiver");
+      setHint(`${info.name || due.hostName} ist live mit „${due.title}“ – du bist dabei.`);
+      return;
+    }
+  }, [schedule, liveMap, mode, followingUserId, me?.id]);
+
+  async function toggleRsvp(event) {
+    try {
+      const r = await fetch(`/api/schedule/${encodeURIComponent(event.id)}/rsvp`, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ going: !event.going }),
+      });
+      if (!r.ok) throw new Error(`rsvp ${r.status}`);
+      const updated = await r.json();
+      setSchedule((prev) => prev.map((e) => (e.id === updated.id ? updated : e)));
+    } catch {
+      setHint("Zusage ging gerade nicht – versuch es nochmal.");
+    }
+  }
+
+  async function cancelEvent(event) {
+    const r = await fetch(`/api/schedule/${encodeURIComponent(event.id)}`, { method: "DELETE", credentials: "include" });
+    if (r.ok) setSchedule((prev) => prev.filter((e) => e.id !== event.id));
+  }
+
+  // Nachricht an den Server (Chat, Reaktionen, Moderation)
+  // Offline → Outbox der Verbindung (geht nach dem Reconnect raus); → true, wenn sofort gesendet.
+  // { buffer: false } für alles, was beim Reconnect ohnehin neu gemeldet wird (follow, presence start)
+  function sendWs(msg, options) {
+    return ws.current?.send(msg, options) || false;
+  }
+
+  function openRecap(id) {
+    setRecapId(id);
+    const qs = new URLSearchParams(window.location.search);
+    if (id) qs.set("recap", id);
+    else qs.delete("recap");
+    const search = qs.toString();
+    window.history.replaceState(null, "", window.location.pathname + (search ? `?${search}` : ""));
+  }
+
+  // ===== 8) LiveList (inkl. Track-Preview) =====
+  // Auswahl + Reihenfolge vom Server (lobby_state), Previews laufend aus track/pause
+  const liveList = useMemo(() => lobby.ids.map((id) => liveMap.get(id)).filter(Boolean), [lobby, liveMap]);
+
+  // Sortierung/Seitengröße ändern → Server schickt sofort einen neuen lobby_state
+  function changeLobbyView(change) {
+    const view = { ...lobbyView, ...change };
+    setLobbyView(view);
+    // Offline nicht puffern: handleWsOpen meldet die Ansicht nach dem Reconnect
+    sendWs(build.lobby(view), { buffer: false });
+  }
+
+  // Session serverseitig widerrufen
+  async function logout() {
+    try {
+      await fetch(`/logout`, { method: "POST", credentials: "include" });
+    } catch {}
+    setShowMenu(false);
+    setIsSharing(false);
+    setMode("idle");
+    setFollowingUserId(null);
+    setRecvNow(null);
+    setMe(null);
+  }
 
   // ===== UI =====
   if (!me) {
@@ -587,7 +1169,14 @@ export default function App() {
             <h2>Login mit Spotify</h2>
             <p>Sieh, wer gerade teilt – oder starte deine eigene Live‑Session.</p>
             <div className="row">
-              <a className="btn primary" href={`/login`}>Login</a>
+              <a className="btn primary" href={buildLoginUrl()}>Login</a>
+              {providers
+                .filter((p) => p.id !== "spotify")
+                .map((p) => (
+                  <a key={p.id} className="btn ghost" href={buildLoginUrl(p.id)}>
+                    Login mit {p.label}
+                  </a>
+                ))}
             </div>
           </div>
         </main>
@@ -602,7 +1191,8 @@ export default function App() {
 
   return (
     <div className="layout">
-      <Header me={me} onOpenMenu={() => setShowMenu((v) => !v)} menuOpen={showMenu} />
+      <Header me={me} connStatus={connStatus} onOpenMenu={() => setShowMenu((v) => !v)} menuOpen={showMenu} />
+      {showMenu && <MenuSheet onClose={() => setShowMenu(false)} onLogout={logout} />}
 
       <main className="main">
         {hint && <div className="hint">{hint}</div>}
@@ -617,10 +1207,14 @@ export default function App() {
               {senderNow && (
                 <>
                   <NowPlayingBox
-                    title={senderNow.is_playing ? "Gerade beim Sender" : "Pausiert beim Sender"}
+                    title={
+                      senderNow.dj && senderNow.dj.id !== me?.id
+                        ? `${senderNow.is_playing ? "Gerade" : "Pausiert"} bei DJ ${senderNow.dj.name}`
+                        : senderNow.is_playing ? "Gerade beim Sender" : "Pausiert beim Sender"
+                    }
                     track={senderNow}
-                    live={false}
-                    leaderTs={null}
+                    live={true}
+                    leaderTs={senderNow._leaderTs}
                   />
                   {!senderNow.is_playing && (
                     <div style={{ color: "var(--sub)", marginTop: 8 }}>
@@ -629,21 +1223,48 @@ export default function App() {
                   )}
                 </>
               )}
+              {roomInfo && (
+                <>
+                  <div style={{ color: "var(--sub)", marginTop: 8 }}>
+                    Sichtbarkeit: <b>{VISIBILITY_LABELS[roomInfo.visibility] || roomInfo.visibility}</b>
+                    {roomInfo.hasPasscode ? " • mit Passcode" : ""}
+                  </div>
+                  {roomRoles?.dj && roomRoles.dj.id !== me?.id && (
+                    <div className="row" style={{ marginTop: 8 }}>
+                      <span>
+                        Gerade legt <b>{roomRoles.dj.name || roomRoles.dj.id}</b> auf.
+                      </span>
+                      <button className="btn" onClick={() => sendWs(build.djHandoff(me.id))}>
+                        DJ zurückholen
+                      </button>
+                    </div>
+                  )}
+                  {roomInfo.visibility !== "public" && me?.id && (
+                    <div className="inviteRow">
+                      <span className="inviteLink">{buildFollowLink(me.id, roomInfo.invite)}</span>
+                      <button
+                        className="btn"
+                        onClick={async () => {
+                          try {
+                            await navigator.clipboard.writeText(buildFollowLink(me.id, roomInfo.invite));
+                            setHint(roomInfo.visibility === "private" ? "Einladungslink kopiert (24h gültig)." : "Join-Link kopiert.");
+                          } catch {}
+                        }}
+                      >
+                        Link kopieren
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
               <div className="row" style={{ marginTop: 8 }}>
+                {roomInfo?.session && <SavePlaylistButton sessionId={roomInfo.session} setHint={setHint} />}
                 <button
                   className="btn"
                   onClick={() => {
                     setIsSharing(false);
                     setMode("idle");
-                    if (ws.current?.readyState === WebSocket.OPEN && me?.id) {
-                      ws.current.send(JSON.stringify({
-                        type: "presence",
-                        action: "stop",
-                        user: { id: me.id, name: me.display_name },
-                        ts: nowTs(),
-                      }));
-                    }
-                    hasSentInitialRef.current = false;
+                    if (me?.id) sendWs(build.presenceStop(me));
                   }}
                 >
                   Teilen stoppen
@@ -651,6 +1272,27 @@ export default function App() {
               </div>
             </div>
 
+            <ChatPanel
+              me={me}
+              isHost={true}
+              messages={chat}
+              mutedIds={mutedIds}
+              onSend={(text) => sendWs(build.chat(chatRoomId, text))}
+              onReact={(emoji) => sendWs(build.reaction(chatRoomId, emoji))}
+              onModerate={(action, followerId) => sendWs(build.moderate(action, followerId))}
+            />
+
+            {/* Wünsche der Hörer */}
+            <RequestInbox
+              enabled={allowRequests}
+              requests={inbox}
+              onToggle={(enabled) => {
+                setAllowRequests(enabled);
+                sendWs(build.roomSettings({ requests: enabled }));
+              }}
+              onDecide={(id, approve) => sendWs(build.requestDecision(id, approve))}
+            />
+
             {/* Zuhörer-Card */}
             <div className="card">
               <h3>Deine Zuhörer</h3>
@@ -659,16 +1301,42 @@ export default function App() {
               </p>
               {myFollowersCount > 0 ? (
                 <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
-                  {myFollowersArr.slice(0, 6).map((f) => (
+                  {(showAllFollowers ? myFollowersArr : myFollowersArr.slice(0, FOLLOWERS_PREVIEW)).map((f) => (
                     <div key={f.id} style={{ display: "flex", alignItems: "center", gap: 10 }}>
                       <div className="avatar">{(f.name || "?").slice(0, 1)}</div>
-                      <div style={{ fontWeight: 600 }}>{f.name || f.id}</div>
+                      <div style={{ fontWeight: 600, flex: 1 }}>
+                        {f.name || f.id}
+                        {roomRoles?.dj?.id === f.id && <small className="roleTag">DJ</small>}
+                        {roomRoles?.cohosts?.includes(f.id) && <small className="roleTag">Co-Host</small>}
+                      </div>
+                      <button
+                        className="linkBtn"
+                        onClick={() =>
+                          sendWs(build.setRole(f.id, roomRoles?.cohosts?.includes(f.id) ? "listener" : "cohost"))
+                        }
+                      >
+                        {roomRoles?.cohosts?.includes(f.id) ? "Co-Host entfernen" : "Co-Host"}
+                      </button>
+                      {roomRoles?.dj?.id !== f.id && (
+                        <button className="linkBtn" onClick={() => sendWs(build.djHandoff(f.id))}>
+                          DJ übergeben
+                        </button>
+                      )}
+                      <button className="linkBtn" onClick={() => sendWs(build.moderate("kick", f.id))}>
+                        Rauswerfen
+                      </button>
+                      <button
+                        className="linkBtn"
+                        onClick={() => sendWs(build.moderate("ban", f.id, f.name))}
+                      >
+                        Sperren
+                      </button>
                     </div>
                   ))}
-                  {myFollowersCount > 6 && (
-                    <div style={{ color: "var(--sub)", fontSize: 13 }}>
-                      +{myFollowersCount - 6} weitere…
-                    </div>
+                  {myFollowersCount > FOLLOWERS_PREVIEW && (
+                    <button className="linkBtn" style={{ justifySelf: "start" }} onClick={() => setShowAllFollowers((v) => !v)}>
+                      {showAllFollowers ? "Weniger anzeigen" : `Alle anzeigen (+${myFollowersCount - FOLLOWERS_PREVIEW})`}
+                    </button>
                   )}
                 </div>
               ) : (
@@ -676,6 +1344,47 @@ export default function App() {
                   <p>Noch niemand dabei – teile einfach weiter deine Musik.</p>
                 </div>
               )}
+              {waitlistSize > 0 && (
+                <p style={{ color: "var(--sub)", marginTop: 8 }}>
+                  Raum voll – <b>{waitlistSize}</b> {waitlistSize === 1 ? "wartet" : "warten"} auf einen Platz.
+                </p>
+              )}
+              <form
+                className="row"
+                style={{ marginTop: 8 }}
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  sendWs(build.roomSettings({ maxListeners: parseMaxListeners(maxListeners) }));
+                }}
+              >
+                <input
+                  className="field"
+                  type="number"
+                  min="1"
+                  placeholder="Max. Hörer (unbegrenzt)"
+                  value={maxListeners}
+                  onChange={(e) => setMaxListeners(e.target.value)}
+                />
+                <button className="btn" type="submit">Limit setzen</button>
+              </form>
+              {banList.length > 0 && (
+                <>
+                  <h3 style={{ marginTop: 12 }}>Gesperrt</h3>
+                  <div style={{ display: "grid", gap: 6 }}>
+                    {banList.map((u) => (
+                      <div key={u.id} style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                        <div style={{ flex: 1 }}>{u.name || u.id}</div>
+                        <button
+                          className="linkBtn"
+                          onClick={() => sendWs(build.moderate("unban", u.id))}
+                        >
+                          Entsperren
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
             </div>
           </div>
         )}
@@ -683,7 +1392,37 @@ export default function App() {
         {/* Receiver view */}
         {mode === "receiver" && (
           <div className="card">
-            {!recvNow ? (
+            {followDenied ? (
+              <>
+                <h2>Kein Zutritt</h2>
+                <p>{FOLLOW_DENIED_TEXT[followDenied] || "Du darfst diesem Raum gerade nicht folgen."}</p>
+                {(followDenied === "passcode_required" || followDenied === "passcode_wrong") && (
+                  <form
+                    className="row"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      const code = String(new FormData(e.currentTarget).get("passcode") || "");
+                      if (!code || !me?.id || !ws.current?.isOpen()) return;
+                      setFollowDenied(null);
+                      setFollowPasscode(code); // für Reconnects merken
+                      sendWs(build.follow(me, followingUserId, { invite: followInvite, passcode: code }));
+                      sendWs(build.reqSnapshot(me, followingUserId));
+                    }}
+                  >
+                    <input className="field" name="passcode" type="password" placeholder="Passcode" autoFocus />
+                    <button className="btn primary" type="submit">Beitreten</button>
+                  </form>
+                )}
+              </>
+            ) : waitPosition ? (
+              <>
+                <h2>Raum ist voll</h2>
+                <p>
+                  Bei <b>{senderDisplay}</b> hören gerade so viele mit, wie erlaubt. Du bist Platz{" "}
+                  <b>{waitPosition}</b> auf der Warteliste – sobald jemand geht, bist du dabei.
+                </p>
+              </>
+            ) : !recvNow ? (
               <>
                 <h2>Du hörst mit</h2>
                 <p>Du hörst gleich bei <b>{senderDisplay}</b> mit! Beim nächsten Song bist du dabei!</p>
@@ -696,6 +1435,7 @@ export default function App() {
                   track={recvNow}
                   live={true}
                   leaderTs={recvNow._leaderTs}
+                  resyncedAt={resyncedAt}
                 />
                 {!recvNow.is_playing && (
                   <div style={{ color: "var(--sub)", marginTop: 8 }}>
@@ -704,21 +1444,64 @@ export default function App() {
                 )}
               </>
             )}
+            {!followDenied && !waitPosition && (iAmDj || iAmCohost) && (
+              <div className="row" style={{ marginTop: 8 }}>
+                {iAmDj ? (
+                  <>
+                    <span>Du legst gerade auf – alle hören, was bei dir läuft.</span>
+                    <button
+                      className="btn"
+                      onClick={() => sendWs(build.djHandoff(roomRoles?.hostId || followingUserId))}
+                    >
+                      DJ-Rolle abgeben
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <span>Du bist Co-Host.</span>
+                    <button className="btn" onClick={() => sendWs(build.djHandoff(me.id))}>
+                      DJ übernehmen
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+            {!followDenied && !waitPosition && (
+              <ChatPanel
+                me={me}
+                isHost={iAmCohost}
+                messages={chat}
+                mutedIds={mutedIds}
+                onSend={(text) => sendWs(build.chat(chatRoomId, text))}
+                onReact={(emoji) => sendWs(build.reaction(chatRoomId, emoji))}
+                onModerate={(action, followerId) => sendWs(build.moderate(action, followerId))}
+              />
+            )}
+            {!followDenied && !waitPosition && followedAcceptsRequests && (
+              <RequestPanel
+                requests={myRequests}
+                onRequest={(track) => sendWs(build.trackRequest(followingUserId, track))}
+              />
+            )}
             <div className="row">
+              {followedSessionId && !followDenied && (
+                <SavePlaylistButton sessionId={followedSessionId} setHint={setHint} />
+              )}
+              {followingUserId && !followDenied && (
+                <FavoriteButton
+                  active={isFavorite(followingUserId)}
+                  onToggle={() => toggleFavorite({ id: followingUserId, name: senderDisplay })}
+                />
+              )}
               <button
                 className="btn"
                 onClick={() => {
-                  if (followingUserId && me?.id && ws.current?.readyState === WebSocket.OPEN) {
-                    ws.current.send(JSON.stringify({
-                      type: "unfollow",
-                      targetUserId: followingUserId,
-                      user: { id: me.id, name: me.display_name },
-                      ts: nowTs(),
-                    }));
-                  }
+                  // unfollow meldet Effekt 4
                   setMode("idle");
                   setRecvNow(null);
                   setFollowingUserId(null);
+                  setFollowDenied(null);
+                  setFollowPasscode("");
                 }}
               >
                 Verlassen
@@ -727,13 +1510,29 @@ export default function App() {
           </div>
         )}
 
+        {/* Recap einer Session */}
+        {mode === "idle" && recapId && <RecapView sessionId={recapId} onClose={() => openRecap(null)} setHint={setHint} />}
+
         {/* Lobby */}
-        {mode === "idle" && (
+        {mode === "idle" && !recapId && (
           <>
             <section className="section">
               <div className="sectionHead">
                 <h2>Gerade live</h2>
-                <small>{liveList.length} {liveList.length === 1 ? "Sender" : "Sender"}</small>
+                <small>{lobby.total} {lobby.total === 1 ? "Raum" : "Räume"}</small>
+                {lobby.total > 1 && (
+                  <select
+                    className="field lobbySort"
+                    value={lobbyView.sort}
+                    onChange={(e) => changeLobbyView({ sort: e.target.value })}
+                  >
+                    {LOBBY_SORTS.map((sort) => (
+                      <option key={sort} value={sort}>
+                        {LOBBY_SORT_LABEL[sort]}
+                      </option>
+                    ))}
+                  </select>
+                )}
               </div>
 
               {liveList.length === 0 && (
@@ -749,7 +1548,10 @@ export default function App() {
                       <div className="avatar">{(u.name || "?").slice(0, 1)}</div>
                       <div className="roomMeta">
                         <div className="roomName">{u.name || "Unbekannt"}</div>
-                        <div className="roomSince">seit {new Date(u.since).toLocaleTimeString()}</div>
+                        {u.dj && u.dj.id !== u.id && <div className="roomSince">DJ: {u.dj.name || u.dj.id}</div>}
+                        <div className="roomSince">
+                          seit {new Date(u.since).toLocaleTimeString()} · {u.listeners || 0} Hörer
+                        </div>
                       </div>
                       <div className="dot live" />
                     </div>
@@ -778,15 +1580,7 @@ export default function App() {
                           <button
                             className="btn"
                             onClick={() => {
-                              if (u.id && me?.id && ws.current?.readyState === WebSocket.OPEN) {
-                                ws.current.send(JSON.stringify({
-                                  type: "unfollow",
-                                  targetUserId: u.id,
-                                  user: { id: me.id, name: me.display_name },
-                                  ts: nowTs(),
-                                }));
-                              }
-                              setFollowingUserId(null);
+                              setFollowingUserId(null); // unfollow meldet Effekt 4
                               setMode("idle");
                               setRecvNow(null);
                             }}
@@ -799,35 +1593,10 @@ export default function App() {
                           <button
                             className="btn primary"
                             onClick={() => {
-                              if (followingUserId && me?.id && ws.current?.readyState === WebSocket.OPEN) {
-                                ws.current.send(JSON.stringify({
-                                  type: "unfollow",
-                                  targetUserId: followingUserId,
-                                  user: { id: me.id, name: me.display_name },
-                                  ts: nowTs(),
-                                }));
-                              }
-                              const newId = u.id;
-                              setFollowingUserId(newId);
+                              // unfollow (alter Raum), follow + req_snapshot meldet Effekt 4
+                              setFollowingUserId(u.id);
                               setMode("receiver");
                               setHint("");
-
-                              if (me?.id && ws.current?.readyState === WebSocket.OPEN) {
-                                // follow
-                                ws.current.send(JSON.stringify({
-                                  type: "follow",
-                                  targetUserId: newId,
-                                  user: { id: me.id, name: me.display_name },
-                                  ts: nowTs(),
-                                }));
-                                // gezielt Snapshot anfordern
-                                ws.current.send(JSON.stringify({
-                                  type: "req_snapshot",
-                                  targetUserId: newId,
-                                  user: { id: me.id, name: me.display_name },
-                                  ts: nowTs(),
-                                }));
-                              }
                             }}
                           >
                             Mithören
@@ -843,18 +1612,136 @@ export default function App() {
                           >
                             Link kopieren
                           </button>
+                          {u.id !== me?.id && <FavoriteButton active={isFavorite(u.id)} onToggle={() => toggleFavorite(u)} />}
                         </>
                       )}
                     </div>
                   </div>
                 ))}
               </div>
+
+              {lobby.total > liveList.length && lobbyView.limit < LOBBY_PAGE_MAX && (
+                <div className="row" style={{ marginTop: 12 }}>
+                  <button
+                    className="btn"
+                    onClick={() => changeLobbyView({ limit: Math.min(lobbyView.limit + LOBBY_PAGE_SIZE, LOBBY_PAGE_MAX) })}
+                  >
+                    Mehr anzeigen ({lobby.total - liveList.length})
+                  </button>
+                </div>
+              )}
             </section>
 
+            {schedule.length > 0 && (
+              <section className="section">
+                <div className="sectionHead">
+                  <h2>Demnächst</h2>
+                  <small>{schedule.length} geplant</small>
+                </div>
+                <div className="grid">
+                  {schedule.map((e) => (
+                    <div key={e.id} className="roomCard">
+                      <div className="roomHeader">
+                        <div className="avatar">{(e.hostName || "?").slice(0, 1)}</div>
+                        <div className="roomMeta">
+                          <div className="roomName">{e.title}</div>
+                          <div className="roomSince">
+                            {e.hostName} · {new Date(e.startsAt).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}
+                          </div>
+                        </div>
+                        {liveMap.has(e.hostId) && <div className="dot live" />}
+                      </div>
+
+                      <div className="npBody" style={{ marginTop: 8 }}>
+                        {e.cover && <img className="cover" src={e.cover} alt="Cover" />}
+                        <div className="meta">
+                          <div className="title">{liveMap.has(e.hostId) ? "Jetzt live" : <Countdown to={e.startsAt} />}</div>
+                          <div className="artist">
+                            {e.rsvps} {e.rsvps === 1 ? "Zusage" : "Zusagen"}
+                            {e.going ? " · du bist dabei" : ""}
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="roomActions">
+                        {e.hostId === me?.id ? (
+                          <button className="btn" onClick={() => cancelEvent(e)}>Absagen</button>
+                        ) : (
+                          <button className={`btn${e.going ? "" : " primary"}`} onClick={() => toggleRsvp(e)}>
+                            {e.going ? "Zusage zurückziehen" : "Ich bin dabei"}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {push.favorites.length > 0 && (
+              <section className="section">
+                <div className="card">
+                  <h2>Benachrichtigungen</h2>
+                  <p style={{ color: "var(--sub)" }}>
+                    {push.here
+                      ? "Dieses Gerät meldet sich, sobald einer dieser Sender live geht."
+                      : "Auf diesem Gerät bekommst du gerade keine Push-Nachrichten."}
+                  </p>
+                  {push.favorites.map((f) => (
+                    <div key={f.id} className="row">
+                      <span>{f.name}</span>
+                      <button className="linkBtn" onClick={() => toggleFavorite(f)}>Abbestellen</button>
+                    </div>
+                  ))}
+                  <div className="row">
+                    <button className="btn" onClick={togglePushHere}>
+                      {push.here ? "Auf diesem Gerät ausschalten" : "Auf diesem Gerät einschalten"}
+                    </button>
+                  </div>
+                </div>
+              </section>
+            )}
+
             <section className="section">
               <div className="card">
                 <h2>Selbst teilen</h2>
-                <p>Starte deine Live‑Session. Deine Freunde können in „Gerade live“ beitreten.</p>
+                <p>
+                  Starte deine Live‑Session. Deine Freunde können in „Gerade live“ beitreten –
+                  auch wenn du Celebeaty danach schließt, läuft das Teilen weiter.
+                </p>
+                <div className="row">
+                  <select
+                    className="field"
+                    value={shareVisibility}
+                    onChange={(e) => setShareVisibility(e.target.value)}
+                  >
+                    <option value="public">Öffentlich</option>
+                    <option value="unlisted">Nur mit Link</option>
+                    <option value="private">Privat</option>
+                  </select>
+                  {shareVisibility === "private" && (
+                    <input
+                      className="field"
+                      type="password"
+                      placeholder="Passcode (optional)"
+                      value={sharePasscode}
+                      maxLength={64}
+                      onChange={(e) => setSharePasscode(e.target.value)}
+                    />
+                  )}
+                  <input
+                    className="field"
+                    type="number"
+                    min="1"
+                    placeholder="Max. Hörer (optional)"
+                    value={maxListeners}
+                    onChange={(e) => setMaxListeners(e.target.value)}
+                  />
+                  <label className="check">
+                    <input type="checkbox" checked={allowRequests} onChange={(e) => setAllowRequests(e.target.checked)} />
+                    Wünsche erlauben
+                  </label>
+                </div>
                 <div className="row">
                   <button
                     className="btn primary"
@@ -862,22 +1749,48 @@ export default function App() {
                       setMode("sender");
                       setIsSharing(true);
                       setHint("Teilen aktiv. Öffne Spotify und spiele (oder pausiere) einen Song.");
-                      if (ws.current?.readyState === WebSocket.OPEN && me?.id) {
-                        ws.current.send(JSON.stringify({
-                          type: "presence",
-                          action: "start",
-                          user: { id: me.id, name: me.display_name },
-                          ts: nowTs(),
-                        }));
-                      }
-                      hasSentInitialRef.current = false;
-                    }}
+                      }}
                   >
                     Live teilen starten
                   </button>
                 </div>
+                <ScheduleForm
+                  onCreated={(event) => {
+                    setSchedule((prev) => [...prev, event].sort((a, b) => a.startsAt - b.startsAt));
+                    setHint(`„${event.title}“ ist angekündigt.`);
+                  }}
+                />
               </div>
             </section>
+
+            {mySessions.length > 0 && (
+              <section className="section">
+                <div className="sectionHead">
+                  <h2>Deine letzten Sessions</h2>
+                </div>
+                <div className="grid">
+                  {mySessions.map((s) => (
+                    <div key={s.id} className="roomCard">
+                      <div className="npBody">
+                        {s.cover && <img className="cover" src={s.cover} alt="Cover" />}
+                        <div className="meta">
+                          <div className="title">
+                            {new Date(s.startedAt).toLocaleDateString()} · {fmtClock(s.startedAt)}
+                            {s.live ? " • läuft" : ""}
+                          </div>
+                          <div className="artist">
+                            {s.trackCount} {s.trackCount === 1 ? "Song" : "Songs"} · {s.totalListeners} Zuhörer
+                          </div>
+                        </div>
+                      </div>
+                      <div className="roomActions">
+                        <button className="btn" onClick={() => openRecap(s.id)}>Recap ansehen</button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
           </>
         )}
       </main>
@@ -889,7 +1802,7 @@ export default function App() {
 
 // ---------- UI Components ----------
 
-function Header({ me, onOpenMenu, menuOpen }) {
+function Header({ me, connStatus, onOpenMenu, menuOpen }) {
   return (
     <header className="header">
       <div className="brand">
@@ -899,6 +1812,12 @@ function Header({ me, onOpenMenu, menuOpen }) {
       <div className="spacer" />
       {me ? (
         <div className="user">
+          {connStatus && (
+            <span className={`connStatus ${connStatus}`} title={CONN_STATUS_TEXT[connStatus]}>
+              <span className="dot" />
+              <span className="connText">{CONN_STATUS_LABEL[connStatus]}</span>
+            </span>
+          )}
           <div className="avatar">{(me.display_name || "?").slice(0, 1)}</div>
           <span className="userName">{me.display_name}</span>
           <button className="btn ghost" onClick={onOpenMenu}>
@@ -906,12 +1825,431 @@ function Header({ me, onOpenMenu, menuOpen }) {
           </button>
         </div>
       ) : (
-        <a className="btn ghost" href={`${BACKEND_URL}/login`}>Login</a>
+        <a className="btn ghost" href={buildLoginUrl()}>Login</a>
       )}
     </header>
   );
 }
 
+function MenuSheet({ onClose, onLogout }) {
+  return (
+    <div className="menuOverlay" onClick={onClose}>
+      <div className="menuSheet" onClick={(e) => e.stopPropagation()}>
+        <button className="menuItem danger" onClick={onLogout}>Abmelden</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * RecapView
+ * - Rückblick auf eine Session: Dauer, Tracklist (mit gespielter Zeit), wer wann dabei war
+ * - Daten aus /api/sessions/:id (private Sessions nur für Sender + Zuhörer)
+ */
+function RecapView({ sessionId, onClose, setHint }) {
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setSession(null);
+    setError("");
+    fetch(`/api/sessions/${encodeURIComponent(sessionId)}`, { credentials: "include" })
+      .then(async (r) => {
+        if (!r.ok) throw new Error(r.status === 404 ? "Diese Session gibt es nicht (mehr)." : `Fehler ${r.status}`);
+        return r.json();
+      })
+      .then((j) => !cancelled && setSession(j))
+      .catch((e) => !cancelled && setError(e.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  const total = session ? (session.endedAt || nowTs()) - session.startedAt : 0;
+
+  return (
+    <section className="section">
+      <div className="card">
+        <div className="sectionHead">
+          <h2>Recap{session ? `: ${session.roomName}` : ""}</h2>
+          {session && (
+            <small>
+              {new Date(session.startedAt).toLocaleDateString()} · {fmtClock(session.startedAt)}–
+              {session.live ? "jetzt" : fmtClock(session.endedAt)} · {msToDuration(total)}
+            </small>
+          )}
+        </div>
+        {error && <p>{error}</p>}
+        {!session && !error && <p>Lade…</p>}
+        {session && (
+          <>
+            <p style={{ color: "var(--sub)" }}>
+              {session.tracks.length} {session.tracks.length === 1 ? "Song" : "Songs"} · bis zu{" "}
+              <b>{session.peakListeners}</b> gleichzeitig · insgesamt <b>{session.totalListeners}</b>{" "}
+              {session.totalListeners === 1 ? "Person" : "Personen"} dabei
+            </p>
+
+            <h3>Tracklist</h3>
+            {session.tracks.length === 0 && <p>Es wurde nichts gespielt.</p>}
+            <div style={{ display: "grid", gap: 10 }}>
+              {session.tracks.map((t, i) => (
+                <div key={`${t.trackId}-${t.startedAt}`} className="npBody">
+                  {t.image && <img className="cover" src={t.image} alt="Album" />}
+                  <div className="meta">
+                    <div className="title">{i + 1}. {t.title}</div>
+                    <div className="artist">{(t.artists || []).join(", ")}</div>
+                    <div className="time">
+                      ab {fmtClock(t.startedAt)} · gehört {msToMMSS(t.playedMs)}
+                      {t.duration_ms ? ` von ${msToMMSS(t.duration_ms)}` : ""}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <h3 style={{ marginTop: 16 }}>Zuhörer</h3>
+            {session.listeners.length === 0 && <p>Niemand hat mitgehört.</p>}
+            <div style={{ display: "grid", gap: 8 }}>
+              {session.listeners.map((l) => (
+                <div key={`${l.userId}-${l.joinedAt}`} style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                  <div className="avatar">{(l.name || "?").slice(0, 1)}</div>
+                  <div style={{ fontWeight: 600 }}>{l.name || l.userId}</div>
+                  <div style={{ color: "var(--sub)", fontSize: 13 }}>
+                    {fmtClock(l.joinedAt)}–{l.leftAt ? fmtClock(l.leftAt) : "jetzt"}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        <div className="row" style={{ marginTop: 12 }}>
+          {session?.tracks.length > 0 && <SavePlaylistButton sessionId={sessionId} setHint={setHint} />}
+          <button className="btn" onClick={onClose}>Zurück</button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+/**
+ * FavoriteButton – „Benachrichtigen, wenn live“ an/aus
+ */
+function FavoriteButton({ active, onToggle }) {
+  return (
+    <button className="btn" onClick={onToggle} title="Push-Nachricht, wenn dieser Sender live geht">
+      {active ? "🔕 Nicht mehr benachrichtigen" : "🔔 Benachrichtigen"}
+    </button>
+  );
+}
+
+/**
+ * Countdown bis `to` (ms), zählt sekündlich herunter
+ */
+function Countdown({ to }) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+  const left = to - now;
+  if (left <= 0) return <span>gleich geht's los</span>;
+  const days = Math.floor(left / 86400000);
+  return <span>in {days > 0 ? `${days} T ` : ""}{msToDuration(left % 86400000)}</span>;
+}
+
+/**
+ * ScheduleForm
+ * - Session ankündigen: Titel, Startzeit, optional Cover (https-URL) → POST /api/schedule
+ */
+function ScheduleForm({ onCreated }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState("");
+
+  if (!open) {
+    return (
+      <div className="row">
+        <button className="btn" onClick={() => setOpen(true)}>Session planen</button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      style={{ display: "grid", gap: 8, marginTop: 12 }}
+      onSubmit={async (e) => {
+        e.preventDefault();
+        const form = new FormData(e.currentTarget);
+        const startsAt = new Date(String(form.get("startsAt") || "")).getTime();
+        setError("");
+        try {
+          const r = await fetch(`/api/schedule`, {
+            method: "POST",
+            credentials: "include",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              title: String(form.get("title") || ""),
+              startsAt,
+              cover: String(form.get("cover") || "") || undefined,
+            }),
+          });
+          const j = await r.json().catch(() => ({}));
+          if (!r.ok) throw new Error(SCHEDULE_ERROR_TEXT[j.error] || "Ankündigen ging nicht.");
+          onCreated(j);
+          setOpen(false);
+        } catch (err) {
+          setError(err.message);
+        }
+      }}
+    >
+      <h3>Session planen</h3>
+      <input className="field" name="title" placeholder="Titel, z.B. Freitagabend-Mix" maxLength={100} required />
+      <input className="field" name="startsAt" type="datetime-local" required />
+      <input className="field" name="cover" type="url" placeholder="Cover-URL (https, optional)" />
+      {error && <div style={{ color: "var(--sub)" }}>{error}</div>}
+      <div className="row">
+        <button className="btn primary" type="submit">Ankündigen</button>
+        <button className="btn" type="button" onClick={() => setOpen(false)}>Abbrechen</button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * ChatPanel
+ * - Chat + Emoji-Reaktionen des Raums; Reaktionen zeigen, bei welcher Stelle im Song sie kamen
+ * - Sender und Co-Hosts (isHost) können Hörer stummschalten oder rauswerfen
+ */
+function ChatPanel({ me, isHost, messages, mutedIds, onSend, onReact, onModerate }) {
+  const [text, setText] = useState("");
+  const listRef = useRef(null);
+  const muted = !isHost && mutedIds.has(me?.id);
+
+  useEffect(() => {
+    const el = listRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [messages.length]);
+
+  return (
+    <div className="card" style={{ marginTop: 12 }}>
+      <h3>Chat</h3>
+      <div className="chatList" ref={listRef}>
+        {messages.length === 0 && <div style={{ color: "var(--sub)" }}>Noch ruhig hier – sag hallo!</div>}
+        {messages.map((m) => {
+          const own = m.user?.id === me?.id;
+          return (
+            <div key={m.id} className={`chatMsg${m.type === "reaction" ? " reaction" : ""}`}>
+              <b>{own ? "Du" : m.user?.name || m.user?.id}</b>{" "}
+              {m.type === "reaction" ? (
+                <>
+                  <span className="emoji">{m.emoji}</span>
+                  {m.position_ms != null && <small> bei {msToMMSS(m.position_ms)}</small>}
+                </>
+              ) : (
+                <span>{m.text}</span>
+              )}
+              {isHost && !own && m.user?.id && (
+                <span className="chatMod">
+                  <button
+                    className="linkBtn"
+                    onClick={() => onModerate(mutedIds.has(m.user.id) ? "unmute" : "mute", m.user.id)}
+                  >
+                    {mutedIds.has(m.user.id) ? "Laut" : "Stumm"}
+                  </button>
+                  <button className="linkBtn" onClick={() => onModerate("kick", m.user.id)}>Rauswerfen</button>
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="row" style={{ marginTop: 8 }}>
+        {REACTIONS.map((e) => (
+          <button key={e} className="btn emojiBtn" disabled={muted} onClick={() => onReact(e)}>{e}</button>
+        ))}
+      </div>
+      <form
+        className="row"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (text.trim() && onSend(text.trim())) setText("");
+        }}
+      >
+        <input
+          className="field"
+          style={{ flex: 1 }}
+          placeholder={muted ? "Du bist stummgeschaltet" : "Nachricht…"}
+          value={text}
+          maxLength={CHAT_MAX_LENGTH}
+          disabled={muted}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <button className="btn primary" type="submit" disabled={muted || !text.trim()}>Senden</button>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * RequestInbox (Sender)
+ * - Offene Wünsche der Hörer annehmen (→ eigene Warteschlange) oder ablehnen
+ * - Schalter, ob überhaupt Wünsche angenommen werden
+ */
+function RequestInbox({ enabled, requests, onToggle, onDecide }) {
+  return (
+    <div className="card">
+      <div className="sectionHead">
+        <h3>Wünsche</h3>
+        <label className="check">
+          <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+          erlauben
+        </label>
+      </div>
+      {requests.length === 0 ? (
+        <p style={{ color: "var(--sub)" }}>{enabled ? "Noch keine Wünsche." : "Wünsche sind ausgeschaltet."}</p>
+      ) : (
+        <div style={{ display: "grid", gap: 10, marginTop: 8 }}>
+          {requests.map((r) => (
+            <div key={r.id} className="requestRow">
+              <div className="meta">
+                <div className="title">{r.track.title}</div>
+                <div className="artist">
+                  {(r.track.artists || []).join(", ")} · von {r.user.name || r.user.id}
+                </div>
+              </div>
+              <button className="btn primary" onClick={() => onDecide(r.id, true)}>Annehmen</button>
+              <button className="btn" onClick={() => onDecide(r.id, false)}>Ablehnen</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * RequestPanel (Hörer)
+ * - Songs suchen (/player/search, beim eigenen Provider) und dem Sender wünschen
+ * - Status der eigenen Wünsche kommt per request_status über /ws
+ */
+function RequestPanel({ requests, onRequest }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  async function search(e) {
+    e.preventDefault();
+    const q = query.trim();
+    if (!q) return;
+    setSearching(true);
+    try {
+      setResults(await searchTracks(q));
+    } catch {
+      setResults([]);
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  return (
+    <div className="card muted" style={{ marginTop: 12 }}>
+      <h3>Song wünschen</h3>
+      <form className="row" onSubmit={search}>
+        <input
+          className="field"
+          placeholder="Titel oder Artist"
+          value={query}
+          maxLength={200}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button className="btn" type="submit" disabled={searching}>
+          {searching ? "Suche…" : "Suchen"}
+        </button>
+      </form>
+      {results.length > 0 && (
+        <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
+          {results.map((t) => (
+            <div key={`${t.provider}:${t.id}`} className="requestRow">
+              {t.image && <img className="cover small" src={t.image} alt="Album" />}
+              <div className="meta">
+                <div className="title">{t.title}</div>
+                <div className="artist">{(t.artists || []).join(", ")}</div>
+              </div>
+              <button
+                className="btn primary"
+                onClick={() => {
+                  onRequest(t);
+                  setResults([]);
+                  setQuery("");
+                }}
+              >
+                Wünschen
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      {requests.length > 0 && (
+        <div style={{ display: "grid", gap: 4, marginTop: 10, color: "var(--sub)", fontSize: 13 }}>
+          {requests.map((r) => (
+            <div key={r.id}>
+              {r.track?.title || "Song"} – {REQUEST_STATUS_TEXT[r.status] || r.status}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * SavePlaylistButton
+ * - Legt die Tracks der Session (in Reihenfolge, ohne Duplikate) als Playlist an
+ * - Fehlen die Playlist-Rechte (Login von früher), geht's über /force-login neu zum Consent
+ */
+function SavePlaylistButton({ sessionId, setHint }) {
+  const [state, setState] = useState("idle"); // idle | saving | done
+  const [playlist, setPlaylist] = useState(null);
+
+  async function save() {
+    setState("saving");
+    try {
+      const p = await savePlaylist(sessionId);
+      setPlaylist(p);
+      setState("done");
+      setHint?.(
+        `Playlist „${p.name}“ gespeichert (${p.added} ${p.added === 1 ? "Song" : "Songs"}` +
+          (p.skipped ? `, ${p.skipped} nicht gefunden)` : ")")
+      );
+    } catch (e) {
+      setState("idle");
+      if (e.code === "missing_scope") {
+        setHint?.("Zum Speichern fehlen Playlist-Rechte – bitte einmal neu einloggen.");
+        window.location.href = `/force-login?returnTo=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+      } else if (e.code === "unsupported_provider") {
+        setHint?.("Dein Musikdienst unterstützt keine Playlists.");
+      } else if (e.code === "empty_session") {
+        setHint?.("In dieser Session lief noch nichts.");
+      } else {
+        setHint?.("Playlist konnte nicht gespeichert werden.");
+      }
+    }
+  }
+
+  if (state === "done" && playlist?.url) {
+    return (
+      <a className="btn" href={playlist.url} target="_blank" rel="noreferrer">
+        In Spotify öffnen
+      </a>
+    );
+  }
+  return (
+    <button className="btn" disabled={state === "saving"} onClick={save}>
+      {state === "saving" ? "Speichere…" : state === "done" ? "Nochmal speichern" : "Als Playlist speichern"}
+    </button>
+  );
+}
+
 function Footer() {
   return (
     <footer className="footer">
@@ -924,13 +2262,15 @@ function Footer() {
  * NowPlayingBox
  * - Wenn live=true und leaderTs gesetzt & track.is_playing, wird die Zeit
  *   clientseitig alle 500ms hochgezählt (ohne neue Events).
+ * - leaderTs ist Server-Zeit → gerechnet wird mit nowTs() (abgeglichene Uhr)
+ * - resyncedAt: kurz „neu synchronisiert“ anzeigen, nachdem die Driftkorrektur eingegriffen hat
  */
-function NowPlayingBox({ title, track, live = false, leaderTs = null }) {
-  const [now, setNow] = useState(Date.now());
+function NowPlayingBox({ title, track, live = false, leaderTs = null, resyncedAt = 0 }) {
+  const [now, setNow] = useState(nowTs());
 
   useEffect(() => {
     if (!live || !track?.is_playing) return;
-    const id = setInterval(() => setNow(Date.now()), 500);
+    const id = setInterval(() => setNow(nowTs()), 500);
     return () => clearInterval(id);
   }, [live, track?.is_playing, track?.id]);
 
@@ -943,7 +2283,12 @@ function NowPlayingBox({ title, track, live = false, leaderTs = null }) {
 
   return (
     <div className="np">
-      <div className="npHead"><h3>{title}</h3></div>
+      <div className="npHead">
+        <h3>{title}</h3>
+        {resyncedAt > 0 && now - resyncedAt < RESYNCED_BADGE_MS && (
+          <span className="resynced">↻ neu synchronisiert</span>
+        )}
+      </div>
       <div className="npBody">
         {track?.image && <img className="cover" src={track.image} alt="Album" />}
         <div className="meta">
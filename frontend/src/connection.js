@@ -0,0 +1,110 @@
+/**
+ * Celebeaty – langlebige WebSocket-Verbindung (lebt unabhängig von React-Renders)
+ * - Eine Verbindung pro Login; Reconnect mit exponentiellem Backoff + Jitter,
+ *   sofort neu, wenn der Browser wieder online ist
+ * - onOpen(conn) bei jedem (Re-)Connect: dort meldet die App hello/presence/follow neu an,
+ *   danach geht die Outbox raus
+ * - send(msg): offline → Outbox (max. OUTBOX_MAX, verfällt nach OUTBOX_TTL_MS);
+ *   send(msg, { buffer: false }) verwirft stattdessen (alles, was onOpen ohnehin neu meldet)
+ * - stamp(msg) ergänzt jede Nachricht direkt vor dem Senden (Zeitstempel mit Server-Uhr)
+ */
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const OUTBOX_MAX = 50;
+const OUTBOX_TTL_MS = 60000; // ältere Nachrichten (Chat, Wünsche) sind nach der Pause nicht mehr sinnvoll
+
+export function reconnectDelay(attempt) {
+  const ms = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+  return Math.round(ms / 2 + Math.random() * (ms / 2));
+}
+
+export function createConnection({
+  url,
+  onOpen = () => {},
+  onMessage = () => {},
+  onClose = () => {},
+  onStatus = () => {},
+  stamp = (msg) => msg,
+  WebSocketImpl = WebSocket,
+}) {
+  let socket = null;
+  let closed = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let outbox = []; // [{ msg, at }]
+
+  const isOpen = () => socket?.readyState === WebSocketImpl.OPEN;
+
+  function write(msg) {
+    socket.send(JSON.stringify(stamp(msg)));
+  }
+
+  function send(msg, { buffer = true } = {}) {
+    if (isOpen()) {
+      write(msg);
+      return true;
+    }
+    if (buffer && !closed) outbox = [...outbox, { msg, at: Date.now() }].slice(-OUTBOX_MAX);
+    return false;
+  }
+
+  function flushOutbox() {
+    const fresh = outbox.filter((o) => Date.now() - o.at < OUTBOX_TTL_MS);
+    outbox = [];
+    fresh.forEach((o) => write(o.msg));
+  }
+
+  function connect() {
+    retryTimer = null;
+    const current = new WebSocketImpl(url);
+    socket = current;
+    onStatus(attempt ? "reconnecting" : "connecting");
+
+    current.onopen = () => {
+      attempt = 0;
+      onStatus("online");
+      onOpen(conn);
+      flushOutbox();
+    };
+    current.onmessage = (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (data?.type) onMessage(data);
+    };
+    current.onerror = (e) => console.warn("WS error", e);
+    // Abbruch (Netz weg, Proxy-Timeout, Server-Neustart) → mit Backoff neu verbinden
+    current.onclose = () => {
+      if (socket !== current) return;
+      onClose();
+      if (closed) return;
+      onStatus("reconnecting");
+      retryTimer = setTimeout(connect, reconnectDelay(attempt++));
+    };
+  }
+
+  // Netz wieder da → nicht erst das Backoff abwarten
+  function onOnline() {
+    if (!retryTimer) return;
+    clearTimeout(retryTimer);
+    connect();
+  }
+
+  // Endgültig schließen (Logout/Unmount) – kein Reconnect mehr
+  function close() {
+    closed = true;
+    outbox = [];
+    clearTimeout(retryTimer);
+    window.removeEventListener("online", onOnline);
+    socket?.close();
+  }
+
+  const conn = { send, close, isOpen };
+  window.addEventListener("online", onOnline);
+  connect();
+  return conn;
+}
@@ -0,0 +1,179 @@
+import { createConnection, reconnectDelay } from './connection';
+
+// WebSocket-Ersatz: merkt sich alle Instanzen, open()/drop() steuert der Test
+class FakeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(raw) {
+    this.sent.push(JSON.parse(raw));
+  }
+
+  close() {
+    this.drop();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  drop() {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.();
+  }
+
+  receive(msg) {
+    this.onmessage?.({ data: typeof msg === 'string' ? msg : JSON.stringify(msg) });
+  }
+}
+
+const latest = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+const types = (socket) => socket.sent.map((m) => m.type);
+
+let conn;
+
+function connect(options = {}) {
+  conn = createConnection({ url: 'ws://test/ws', WebSocketImpl: FakeWebSocket, ...options });
+  return conn;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  FakeWebSocket.instances = [];
+});
+
+afterEach(() => {
+  conn?.close();
+  conn = null;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('reconnectDelay', () => {
+  test('doubles per attempt with jitter between half and full delay', () => {
+    Math.random.mockReturnValue(0);
+    expect([0, 1, 2, 3].map(reconnectDelay)).toEqual([500, 1000, 2000, 4000]);
+    Math.random.mockReturnValue(0.999999);
+    expect([0, 1, 2, 3].map(reconnectDelay)).toEqual([1000, 2000, 4000, 8000]);
+  });
+
+  test('caps at 30 seconds', () => {
+    Math.random.mockReturnValue(0.999999);
+    expect(reconnectDelay(5)).toBe(30000);
+    expect(reconnectDelay(20)).toBe(30000);
+  });
+});
+
+describe('createConnection', () => {
+  test('reconnects with growing backoff until the socket opens', () => {
+    const statuses = [];
+    connect({ onStatus: (s) => statuses.push(s) });
+    latest().drop();
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(reconnectDelay(0) - 1);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    latest().drop();
+    jest.advanceTimersByTime(reconnectDelay(0));
+    expect(FakeWebSocket.instances).toHaveLength(2); // zweiter Versuch wartet länger
+    jest.advanceTimersByTime(reconnectDelay(1) - reconnectDelay(0));
+    expect(FakeWebSocket.instances).toHaveLength(3);
+
+    latest().open();
+    latest().drop();
+    jest.advanceTimersByTime(reconnectDelay(0));
+    expect(FakeWebSocket.instances).toHaveLength(4); // nach Erfolg wieder kurz
+    expect(statuses.slice(0, 3)).toEqual(['connecting', 'reconnecting', 'reconnecting']);
+    expect(statuses).toContain('online');
+  });
+
+  test('reconnects at once when the browser comes back online', () => {
+    connect();
+    latest().drop();
+    window.dispatchEvent(new Event('online'));
+    expect(FakeWebSocket.instances).toHaveLength(2);
+  });
+
+  test('buffers messages while offline and flushes them after onOpen', () => {
+    const onOpen = jest.fn((c) => c.send({ type: 'hello' }));
+    connect({ onOpen });
+    expect(conn.send({ type: 'chat', text: 'eins' })).toBe(false);
+    expect(conn.send({ type: 'chat', text: 'zwei' })).toBe(false);
+    latest().open();
+    expect(types(latest())).toEqual(['hello', 'chat', 'chat']);
+    expect(latest().sent.map((m) => m.text)).toEqual([undefined, 'eins', 'zwei']);
+    expect(conn.send({ type: 'chat', text: 'drei' })).toBe(true);
+  });
+
+  test('drops buffered messages that are too old or beyond the outbox size', () => {
+    connect();
+    conn.send({ type: 'chat', text: 'alt' });
+    jest.advanceTimersByTime(60000);
+    for (let i = 0; i < 55; i++) conn.send({ type: 'reaction', n: i });
+    latest().open();
+    expect(latest().sent).toHaveLength(50);
+    expect(latest().sent[0]).toEqual({ type: 'reaction', n: 5 });
+  });
+
+  test('calls onOpen again after every reconnect to replay the session state', () => {
+    const onOpen = jest.fn((c) => {
+      c.send({ type: 'hello' });
+      c.send({ type: 'presence', action: 'start' });
+      c.send({ type: 'follow', targetUserId: 'mock:bob' });
+      c.send({ type: 'req_snapshot', targetUserId: 'mock:bob' });
+    });
+    connect({ onOpen });
+    latest().open();
+    latest().drop();
+    jest.advanceTimersByTime(reconnectDelay(0));
+    latest().open();
+    expect(onOpen).toHaveBeenCalledTimes(2);
+    expect(types(latest())).toEqual(['hello', 'presence', 'follow', 'req_snapshot']);
+  });
+
+  test('stamps messages right before they are written', () => {
+    let clock = 1;
+    connect({ stamp: (msg) => ({ ...msg, ts: clock }) });
+    conn.send({ type: 'chat' });
+    clock = 2;
+    latest().open();
+    expect(latest().sent[0].ts).toBe(2);
+  });
+
+  test('passes parsed messages on and ignores broken frames', () => {
+    const onMessage = jest.fn();
+    connect({ onMessage });
+    latest().open();
+    latest().receive('{kaputt');
+    latest().receive({ foo: 1 });
+    latest().receive({ type: 'track', trackId: 'mock-1' });
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage).toHaveBeenCalledWith({ type: 'track', trackId: 'mock-1' });
+  });
+
+  test('stops reconnecting after close()', () => {
+    const onClose = jest.fn();
+    connect({ onClose });
+    latest().open();
+    conn.close();
+    jest.advanceTimersByTime(60000);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(conn.send({ type: 'chat' })).toBe(false);
+  });
+});
@@ -0,0 +1,166 @@
+import {
+  build,
+  createMessage,
+  errorFrame,
+  parseMessage,
+  validateMessage,
+  CHAT_MAX_LENGTH,
+  MAX_MESSAGE_BYTES,
+  MESSAGE_TYPES,
+  PROTOCOL_VERSION,
+  REACTIONS,
+} from 'celebeaty-shared/protocol';
+
+const me = { id: 'mock:alice', display_name: 'Alice' };
+const track = { provider: 'mock', id: 'mock-1', title: 'Testfall', artists: ['Node'] };
+
+// Je Typ: eine gültige Nachricht und eine, die an einem Feld scheitert
+const CASES = {
+  hello: [{ userId: 'mock:alice', name: 'Alice' }, { name: 42 }, 'name'],
+  presence: [{ action: 'start', visibility: 'private', passcode: '1234', requests: true, maxListeners: 10 }, { action: 'pause' }, 'action'],
+  follow: [{ targetUserId: 'mock:bob', invite: 'abc', passcode: '1234' }, {}, 'targetUserId'],
+  unfollow: [{ targetUserId: 'mock:bob' }, { targetUserId: '' }, 'targetUserId'],
+  req_snapshot: [{ targetUserId: 'mock:bob' }, { targetUserId: 7 }, 'targetUserId'],
+  time_sync: [{ t0: 1700000000000 }, { t0: 'jetzt' }, 't0'],
+  track: [{ trackId: 'mock-1', progress_ms: 1200, is_playing: true, artists: ['Node'], track }, { progress_ms: -5 }, 'progress_ms'],
+  pause: [{ trackId: 'mock-1', progress_ms: 0, is_playing: false }, { artists: 'Node' }, 'artists'],
+  track_request: [{ targetUserId: 'mock:bob', track }, { targetUserId: 'mock:bob', track: [track] }, 'track'],
+  request_decision: [{ id: 'req1', approve: false }, { id: 'req1' }, 'approve'],
+  room_settings: [{ requests: false, maxListeners: null }, { maxListeners: 2.5 }, 'maxListeners'],
+  chat: [{ targetUserId: 'mock:bob', text: 'Hallo!' }, { targetUserId: 'mock:bob', text: 'x'.repeat(CHAT_MAX_LENGTH + 1) }, 'text'],
+  reaction: [{ targetUserId: null, emoji: '🔥' }, { emoji: '💩' }, 'emoji'],
+  moderate: [{ action: 'ban', followerId: 'mock:bob', name: 'Bob' }, { action: 'delete', followerId: 'mock:bob' }, 'action'],
+  set_role: [{ followerId: 'mock:bob', role: 'cohost' }, { followerId: 'mock:bob', role: 'admin' }, 'role'],
+  dj_handoff: [{ followerId: 'mock:bob' }, { followerId: null }, 'followerId'],
+  lobby: [{ sort: 'recent', limit: 48 }, { sort: 'random' }, 'sort'],
+};
+
+test('every message type has a test case', () => {
+  expect(Object.keys(CASES).sort()).toEqual([...MESSAGE_TYPES].sort());
+});
+
+describe.each(Object.entries(CASES))('%s', (type, [valid, invalid, field]) => {
+  test('accepts a valid message', () => {
+    const result = validateMessage({ type, v: PROTOCOL_VERSION, ts: 1, ...valid });
+    expect(result.ok).toBe(true);
+    expect(result.message).toEqual({ type, v: PROTOCOL_VERSION, ts: 1, ...valid });
+  });
+
+  test('rejects an invalid field', () => {
+    expect(validateMessage({ type, ...invalid })).toEqual({ ok: false, error: 'invalid_message', type, field });
+  });
+
+  test('drops unknown fields', () => {
+    const result = validateMessage({ type, ...valid, admin: true });
+    expect(result.ok).toBe(true);
+    expect(result.message).not.toHaveProperty('admin');
+  });
+});
+
+describe('common fields', () => {
+  test('accepts messages without version (v1 clients)', () => {
+    expect(validateMessage({ type: 'unfollow', targetUserId: 'mock:bob' }).ok).toBe(true);
+  });
+
+  test('rejects newer protocol versions', () => {
+    expect(validateMessage({ type: 'hello', v: PROTOCOL_VERSION + 1 })).toMatchObject({ ok: false, error: 'unsupported_version' });
+  });
+
+  test('checks the user object', () => {
+    expect(validateMessage({ type: 'hello', user: { id: 'mock:alice', name: 'Alice' } }).ok).toBe(true);
+    expect(validateMessage({ type: 'hello', user: { name: 'Alice' } })).toMatchObject({ ok: false, field: 'user' });
+  });
+
+  test('rejects unknown types and inherited names', () => {
+    expect(validateMessage({ type: 'shutdown' })).toMatchObject({ ok: false, error: 'unknown_type', type: 'shutdown' });
+    expect(validateMessage({ type: 'toString' })).toMatchObject({ ok: false, error: 'unknown_type' });
+    expect(validateMessage({ type: 5 })).toMatchObject({ ok: false, error: 'invalid_message', field: 'type' });
+    expect(validateMessage(null)).toMatchObject({ ok: false, error: 'invalid_message' });
+  });
+});
+
+describe('parseMessage', () => {
+  test('parses and validates raw frames', () => {
+    const result = parseMessage(JSON.stringify({ type: 'follow', targetUserId: 'mock:bob' }));
+    expect(result).toEqual({ ok: true, message: { type: 'follow', targetUserId: 'mock:bob' } });
+  });
+
+  test('rejects broken JSON', () => {
+    expect(parseMessage('{"type":')).toMatchObject({ ok: false, error: 'invalid_json' });
+  });
+
+  test('rejects oversized payloads before parsing', () => {
+    const raw = JSON.stringify({ type: 'chat', text: 'x'.repeat(MAX_MESSAGE_BYTES) });
+    expect(parseMessage(raw)).toMatchObject({ ok: false, error: 'message_too_large' });
+  });
+});
+
+describe('builders', () => {
+  test('produce valid, versioned messages', () => {
+    const messages = [
+      build.hello(me),
+      build.presenceStart(me, { visibility: 'public', requests: true, maxListeners: null }),
+      build.presenceStop(me),
+      build.follow(me, 'mock:bob', { invite: 'abc' }),
+      build.unfollow(me, 'mock:bob'),
+      build.reqSnapshot(me, 'mock:bob'),
+      build.timeSync(),
+      build.lobby({ sort: 'name', limit: 24 }),
+      build.chat('mock:bob', 'hallo'),
+      build.reaction('mock:bob', REACTIONS[0]),
+      build.trackRequest('mock:bob', { trackId: 'mock:1', name: 'Song' }),
+      build.moderate('mute', 'mock:carol'),
+      build.moderate('ban', 'mock:carol', 'Carol'),
+      build.setRole('mock:carol', 'cohost'),
+      build.djHandoff('mock:carol'),
+      build.roomSettings({ requests: false }),
+      build.roomSettings({ maxListeners: null }),
+      build.requestDecision('req-1', true),
+    ];
+    messages.forEach((msg) => {
+      expect(msg.v).toBe(PROTOCOL_VERSION);
+      expect(validateMessage(JSON.parse(JSON.stringify(msg))).ok).toBe(true);
+    });
+  });
+
+  test('fill the fields of their type', () => {
+    expect(build.chat('mock:bob', 'hallo')).toMatchObject({ type: 'chat', targetUserId: 'mock:bob', text: 'hallo' });
+    expect(build.moderate('ban', 'mock:carol', 'Carol')).toMatchObject({
+      type: 'moderate',
+      action: 'ban',
+      followerId: 'mock:carol',
+      name: 'Carol',
+    });
+    expect(build.setRole('mock:carol', 'listener')).toMatchObject({ type: 'set_role', followerId: 'mock:carol', role: 'listener' });
+    expect(build.djHandoff('mock:carol')).toMatchObject({ type: 'dj_handoff', followerId: 'mock:carol' });
+    expect(build.roomSettings({ maxListeners: null })).toMatchObject({ type: 'room_settings', maxListeners: null });
+    expect(build.requestDecision('req-1', false)).toMatchObject({ type: 'request_decision', id: 'req-1', approve: false });
+    expect(build.trackRequest('mock:bob', { trackId: 'mock:1' })).toMatchObject({
+      type: 'track_request',
+      targetUserId: 'mock:bob',
+      track: { trackId: 'mock:1' },
+    });
+  });
+
+  test('send the passcode only for private rooms', () => {
+    expect(build.presenceStart(me, { visibility: 'public', passcode: '1234' }).passcode).toBeUndefined();
+    expect(build.presenceStart(me, { visibility: 'private', passcode: '1234' }).passcode).toBe('1234');
+  });
+
+  test('createMessage warns about invalid messages', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    createMessage('chat', { text: 5 });
+    expect(warn).toHaveBeenCalledWith('protocol: invalid message', 'chat', 'invalid_message', 'text');
+    warn.mockRestore();
+  });
+});
+
+test('errorFrame carries code, reference and version', () => {
+  expect(errorFrame('invalid_message', 'chat', { field: 'text' })).toMatchObject({
+    type: 'error',
+    v: PROTOCOL_VERSION,
+    error: 'invalid_message',
+    ref: 'chat',
+    field: 'text',
+  });
+});
@@ -1,9 +1,25 @@
 /**
  * Celebeaty – Single‑Origin Backend (Express + WebSocket + React Build)
- * - Spotify OAuth (Authorization Code) mit httpOnly Cookies
- * - Auto-Refresh des Access Tokens
- * - API: /whoami, /currently-playing, /spotify/* (devices/transfer/play/pause)
- * - WebSocket unter /ws (stabil hinter Proxies wie Render/ngrok)
+ * - OAuth beim Provider (Authorization Code) mit signiertem state, optional PKCE (server/oauth.js);
+ *   Cookie enthält nur eine opake Session-ID
+ * - Tokens + Auto-Refresh server-seitig (server/sessions.js, Store in server/sessionStore.js)
+ * - Alle Spotify-Calls über server/spotify.js (401-Refresh, 429-Backoff, Budget pro Session)
+ * - Playback-Provider (Spotify, Mock) in server/providers – jede Session gehört zu einem Provider
+ * - Hör-Historie je Sitzung (server/history.js): /api/sessions/:id, /api/users/:id/sessions,
+ *   POST /api/sessions/:id/playlist (Session als Playlist beim eigenen Provider speichern)
+ * - Live-Räume aus Server-Sicht (Hörerzahl, Track, Start; sortier- und blätterbar): /api/live
+ * - Geplante Sessions (server/schedule.js): /api/schedule (+ /:id/rsvp)
+ * - Web Push „Sender ist live“ (server/push.js, server/webPush.js): /api/push,
+ *   /api/push/subscriptions, /api/push/favorites/:senderId
+ * - API: /whoami, /currently-playing, /providers,
+ *        /player/* (devices/transfer/play/pause/seek/search – provider-neutral, auch unter /spotify/*),
+ *        /spotify/* (next/previous/volume/shuffle/repeat/queue – nur Spotify-Sessions)
+ * - WebSocket unter /ws (stabil hinter Proxies wie Render/ngrok), Room-Hub in server/hub.js;
+ *   Heartbeat (ws ping/pong) trennt tote Verbindungen
+ * - Sender-Polling läuft server-seitig (server/broadcaster.js), auch bei geschlossenem Tab
+ * - Mehrere Instanzen hinter einem Load Balancer: Hub-Instanzen verbinden sich über Pub/Sub
+ *   (server/pubsub.js, server/cluster.js). Dafür müssen alle Instanzen APP_SECRET und die Stores
+ *   teilen (Sessions, Historie, Sperrlisten, …) – sonst kennt der Owner eines Raums fremde Sessions nicht
  * - React-Build aus /public (SPA-Fallback)
  *
  * ENV (Render / lokal .env):
@@ -13,14 +29,42 @@
  *   NODE_ENV=production|development
  * Optional:
  *   FRONTEND_URI=https://celebeaty.onrender.com            (Fallback-Redirect-Ziel)
+ *   APP_SECRET=...                                         (signiert OAuth-state u.a.)
+ *   SPOTIFY_PKCE=1                                         (PKCE beim Login)
+ *   PROVIDERS=spotify,mock                                 (aktive Provider, Standard: spotify)
+ *   Stores (memory = nur im Prozess; file unter ./data – Default außer bei Sessions):
+ *   SESSION_STORE=memory|file, SESSION_FILE=./data/sessions.json  (Default memory: enthält Provider-Tokens)
+ *   HISTORY_STORE=file|memory, HISTORY_FILE=./data/history.jsonl
+ *   BANS_STORE=file|memory, BANS_FILE=./data/bans.json     (Sperrlisten der Sender)
+ *   SCHEDULE_STORE=file|memory, SCHEDULE_FILE=./data/schedule.json
+ *   PUSH_STORE=file|memory, PUSH_FILE=./data/push.json
+ *   VAPID_PUBLIC_KEY=..., VAPID_PRIVATE_KEY=..., VAPID_SUBJECT=mailto:...   (node server/webPush.js)
+ *   PUBSUB=memory|redis, REDIS_URL=redis://localhost:6379  (mehrere Instanzen: redis – Paket redis ist
+ *                                                           optionalDependency, fehlt bei --omit=optional)
+ *   PUBSUB_PREFIX=celebeaty:                               (Kanäle/Keys, falls sich Apps einen Redis teilen)
  */
 
 const express = require("express");
-const axios = require("axios");
 const path = require("path");
 const http = require("http");
 const WebSocket = require("ws");
 const cookieParser = require("cookie-parser");
+const { createHub, PRESENCE_TTL_MS } = require("./server/hub");
+const { createBroadcaster } = require("./server/broadcaster");
+const { createRoomAccess } = require("./server/roomAccess");
+const { createHistoryFromEnv } = require("./server/history");
+const { createRoomBansFromEnv } = require("./server/roomBans");
+const { createScheduleFromEnv, ScheduleError } = require("./server/schedule");
+const { createPushFromEnv, PushError } = require("./server/push");
+const { createStoreFromEnv } = require("./server/sessionStore");
+const { createSessions, SESSION_COOKIE, SESSION_TTL_MS } = require("./server/sessions");
+const { createProviders } = require("./server/providers");
+const { parseTrack, sendProviderError, ProviderError } = require("./server/providers/base");
+const { createSigner } = require("./server/signing");
+const { createOAuth, OAUTH_COOKIE, STATE_TTL_MS } = require("./server/oauth");
+const { createPubSubFromEnv } = require("./server/pubsub");
+const { createCluster } = require("./server/cluster");
+const { MAX_MESSAGE_BYTES, LOBBY_SORTS, LOBBY_PAGE_SIZE, LOBBY_PAGE_MAX } = require("./shared/protocol");
 require("dotenv").config();
 
 const app = express();
@@ -47,119 +91,131 @@ function getSelfOrigin(req) {
   return `${proto}://${host}`;
 }
 
-function buildAuthUrl({ forceDialog = false } = {}) {
-  const scope = [
-    "user-read-playback-state",
-    "user-read-currently-playing",
-    "user-modify-playback-state",
-    "user-read-email",
-    "user-read-private",
-  ].join(" ");
-  const params = new URLSearchParams({
-    response_type: "code",
-    client_id: process.env.SPOTIFY_CLIENT_ID,
-    scope,
-    redirect_uri: process.env.REDIRECT_URI,
-  });
-  if (forceDialog) params.set("show_dialog", "true");
-  return `https://accounts.spotify.com/authorize?${params.toString()}`;
+// Adresse der App (Redirect-Ziel, Deep-Links in Push-Nachrichten)
+function frontOrigin(req) {
+  return (process.env.FRONTEND_URI || getSelfOrigin(req)).replace(/\/+$/, "");
 }
 
-async function refreshAccessToken(refreshToken) {
-  return axios.post(
-    "https://accounts.spotify.com/api/token",
-    new URLSearchParams({
-      grant_type: "refresh_token",
-      refresh_token: refreshToken,
-      client_id: process.env.SPOTIFY_CLIENT_ID,
-      client_secret: process.env.SPOTIFY_CLIENT_SECRET,
-    }),
-    { headers: { "Content-Type": "application/x-www-form-urlencoded" }, validateStatus: () => true }
-  );
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
 }
 
-async function withValidAccessToken(req, res) {
-  let accessToken = (req.headers.authorization || "").replace(/^Bearer\s+/i, "") || req.cookies.sp_at;
-  const refreshTokenCookie = req.cookies.sp_rt;
-
-  if (!accessToken && !refreshTokenCookie) {
-    return { error: { status: 401, body: { error: "no_token" } } };
-  }
-
-  // Falls nur Refresh-Token vorhanden, frisch Access-Token holen
-  if (!accessToken && refreshTokenCookie) {
-    const rr = await refreshAccessToken(refreshTokenCookie);
-    if (rr.status !== 200) return { error: { status: rr.status, body: rr.data || { error: "refresh_failed" } } };
-    accessToken = rr.data.access_token;
-    const expires_in = rr.data.expires_in || 3600;
-    const base = cookieBase(req);
-    res.cookie("sp_at", accessToken, { ...base, maxAge: (expires_in - 30) * 1000 });
-    if (rr.data.refresh_token) {
-      res.cookie("sp_rt", rr.data.refresh_token, { ...base, maxAge: 30 * 24 * 3600 * 1000 });
-    }
-  }
-
-  return { accessToken };
-}
+/* -------------------- Sessions ------------------ */
+// Cookie "sid" → Tokens im Server-Store (server/sessions.js), Refresh nur dort
+const sessions = createSessions({
+  store: createStoreFromEnv(),
+  refreshAccessToken: (refreshToken, providerId) => {
+    const provider = providers.get(providerId);
+    return provider ? provider.refreshAccessToken(refreshToken) : { status: 401, data: { error: "provider_disabled" } };
+  },
+});
+// Playback-Provider; Spotify-Calls laufen dort über den zentralen Client (401-Refresh, 429-Backoff, Budget)
+const providers = createProviders({ sessions });
 
-async function spotifyGet(url, token) {
-  return axios.get(url, { headers: { Authorization: `Bearer ${token}` }, validateStatus: () => true });
+function sessionId(req) {
+  return req.cookies?.[SESSION_COOKIE] || null;
 }
 
-async function spotifyPut(url, token, body = undefined) {
-  return axios.put(url, body, {
-    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
-    validateStatus: () => true,
-  });
+// Profil beim Provider (für /whoami und die WS-Authentifizierung); merkt sich den User in der Session
+async function fetchMe(sid) {
+  const provider = await providers.forSession(sid);
+  const me = await provider.getMe(sid);
+  if (me?.id) {
+    // country = Markt des Users (Track-Matching cacht je Markt)
+    await sessions.update(sid, { user: { id: me.id, name: me.display_name || me.id, country: me.country || null } });
+  }
+  return { ...me, provider: provider.id };
 }
 
 /* -------------------- Health -------------------- */
 app.get("/health", (req, res) => res.json({ ok: true, ts: Date.now(), env: process.env.NODE_ENV || "dev" }));
 
 /* -------------------- Auth ---------------------- */
-app.get("/login", (req, res) => res.redirect(buildAuthUrl({ forceDialog: false })));
-app.get("/force-login", (req, res) => res.redirect(buildAuthUrl({ forceDialog: true })));
+// Signierter state + Nonce-Cookie (+ PKCE), returnTo übersteht den Umweg über den Provider
+// /login?provider=mock&name=Alice → Mock-Login (nur wenn PROVIDERS mock enthält)
+const signer = createSigner();
+const oauth = createOAuth({ signer });
+
+function startLogin(req, res, forceDialog) {
+  const provider = providers.get(req.query.provider);
+  if (!provider) return res.status(400).send("Unbekannter oder deaktivierter Provider.");
+  const { url, cookie } = oauth.begin({
+    provider,
+    returnTo: req.query.returnTo,
+    forceDialog,
+    loginHint: req.query.name,
+  });
+  res.cookie(OAUTH_COOKIE, cookie, { ...cookieBase(req), maxAge: STATE_TTL_MS });
+  return res.redirect(url);
+}
+app.get("/login", (req, res) => startLogin(req, res, false));
+app.get("/force-login", (req, res) => startLogin(req, res, true));
+
+// Session widerrufen (Tokens verwerfen, laufendes Teilen beenden)
+app.post("/logout", async (req, res) => {
+  const sid = req.cookies[SESSION_COOKIE];
+  try {
+    const session = await sessions.get(sid);
+    const userId = session?.user?.id;
+    if (userId) {
+      if (broadcaster.isActive(userId)) broadcaster.stop(userId);
+      // Host → Raum endet; Gast-DJ → DJ-Rolle zurück an den Host
+      const roomId = hub.roomIdOf(userId);
+      if (roomId === userId) hub.endRoom(roomId);
+      else if (roomId) hub.stopDj(userId);
+    }
+    await sessions.destroy(sid);
+  } catch (e) {
+    console.error("logout error:", e.message);
+  }
+  res.clearCookie(SESSION_COOKIE, cookieBase(req));
+  return res.json({ ok: true });
+});
 
 /* -------------------- Callback ------------------ */
 app.get("/callback", async (req, res) => {
+  // 0) state prüfen: muss von uns signiert sein und zum Cookie dieses Browsers passen
+  const login = oauth.complete(req.query.state, req.cookies[OAUTH_COOKIE]);
+  res.clearCookie(OAUTH_COOKIE, cookieBase(req));
+  if (!login) return res.status(400).send("Ungültiger oder abgelaufener Login-Versuch. Bitte erneut einloggen.");
+
+  const front = frontOrigin(req);
+  // Login abgebrochen (z.B. access_denied) → zurück zur App
+  if (req.query.error) return res.redirect(`${front}${login.returnTo}`);
+
   const code = req.query.code;
   if (!code) return res.status(400).send("Missing 'code'");
+  const provider = providers.get(login.provider);
+  if (!provider) return res.status(400).send("Unbekannter oder deaktivierter Provider.");
 
   try {
     // 1) Token holen
-    const tokenRes = await axios.post(
-      "https://accounts.spotify.com/api/token",
-      new URLSearchParams({
-        grant_type: "authorization_code",
-        code,
-        redirect_uri: process.env.REDIRECT_URI,
-        client_id: process.env.SPOTIFY_CLIENT_ID,
-        client_secret: process.env.SPOTIFY_CLIENT_SECRET,
-      }),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
+    const tokenRes = await provider.exchangeCode(code, { codeVerifier: login.codeVerifier });
 
     const { access_token, refresh_token, expires_in } = tokenRes.data || {};
-    if (!access_token) {
-      return res.status(500).json({ error: "No access_token from Spotify", details: tokenRes.data });
+    if (tokenRes.status !== 200 || !access_token) {
+      return res.status(500).json({ error: `No access_token from ${provider.label}`, details: tokenRes.data });
     }
 
-    // 2) Cookies setzen (httpOnly, SameSite passend, Secure wenn https)
+    // 2) Session anlegen, Cookie trägt nur die ID (httpOnly, SameSite passend, Secure wenn https)
+    const previous = req.cookies[SESSION_COOKIE];
+    if (previous) await sessions.destroy(previous);
+    const sid = await sessions.create({ access_token, refresh_token, expires_in }, { provider: provider.id });
     const base = cookieBase(req);
-    res.cookie("sp_at", access_token, { ...base, maxAge: Math.max(1, (expires_in || 3600) - 30) * 1000 });
-    if (refresh_token) {
-      res.cookie("sp_rt", refresh_token, { ...base, maxAge: 30 * 24 * 3600 * 1000 });
-    }
+    res.cookie(SESSION_COOKIE, sid, { ...base, maxAge: SESSION_TTL_MS });
+    // Alte Token-Cookies (vor Sessions) entfernen
+    res.clearCookie("sp_at", base);
+    res.clearCookie("sp_rt", base);
 
-    // 3) „Zur App zurück“-Seite (robust für WhatsApp/Instagram WebViews)
-    const front = (process.env.FRONTEND_URI || getSelfOrigin(req)).replace(/\/+$/, "");
+    // 3) „Zur App zurück“-Seite (robust für WhatsApp/Instagram WebViews), Ziel = returnTo
+    const target = `${front}${login.returnTo}`;
     res.set("Content-Type", "text/html; charset=utf-8");
     return res.send(`<!doctype html>
 <html lang="de">
 <head>
   <meta charset="utf-8"/>
   <meta name="viewport" content="width=device-width, initial-scale=1"/>
-  <title>Spotify Login abgeschlossen</title>
+  <title>${escapeHtml(provider.label)} Login abgeschlossen</title>
   <style>
     :root{color-scheme:light dark}
     body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;background:#0f1115;color:#e7eaf0;
@@ -177,7 +233,7 @@ app.get("/callback", async (req, res) => {
   <div class="card">
     <h1>Login erfolgreich</h1>
     <p>Du wirst gleich zu <strong>Celebeaty</strong> zurückgeleitet.</p>
-    <p><a class="btn" href="${front}/">Zur App zurück</a></p>
+    <p><a class="btn" href="${escapeHtml(target)}">Zur App zurück</a></p>
     <div class="hint">
       Falls du aus WhatsApp/Instagram geöffnet hast und nichts passiert:
       bitte oben „In Safari öffnen“ wählen und dann den Button nutzen.
@@ -185,7 +241,7 @@ app.get("/callback", async (req, res) => {
   </div>
   <script>
     // Auto-Weiterleitung (falls der WebView es zulässt)
-    setTimeout(function(){ try{ window.location.replace("${front}/"); }catch(e){} }, 1200);
+    setTimeout(function(){ try{ window.location.replace(${JSON.stringify(target).replace(/</g, "\\u003c")}); }catch(e){} }, 1200);
   </script>
 </body>
 </html>`);
@@ -200,162 +256,362 @@ app.get("/callback", async (req, res) => {
 // Wer bin ich
 app.get("/whoami", async (req, res) => {
   try {
-    const t = await withValidAccessToken(req, res);
-    if (t.error) return res.status(t.error.status).json(t.error.body);
-
-    let r = await spotifyGet("https://api.spotify.com/v1/me", t.accessToken);
-
-    if (r.status === 401 && req.cookies.sp_rt) {
-      const rr = await refreshAccessToken(req.cookies.sp_rt);
-      if (rr.status === 200) {
-        const at = rr.data.access_token;
-        const expires_in = rr.data.expires_in || 3600;
-        const base = cookieBase(req);
-        res.cookie("sp_at", at, { ...base, maxAge: (expires_in - 30) * 1000 });
-        if (rr.data.refresh_token) res.cookie("sp_rt", rr.data.refresh_token, { ...base, maxAge: 30 * 24 * 3600 * 1000 });
-        r = await spotifyGet("https://api.spotify.com/v1/me", at);
-      }
-    }
-
-    if (r.status === 429) {
-      const retry = Number(r.headers["retry-after"] || 1);
-      res.set("Retry-After", String(retry));
-      return res.status(429).json({ error: "rate_limited", retry_after: retry });
-    }
-    if (r.status >= 400) return res.status(r.status).json({ error: "spotify_error", details: r.data });
-
-    const j = r.data || {};
+    const j = await fetchMe(sessionId(req));
     return res.json({
       id: j.id,
       display_name: j.display_name || j.id || null,
       email: j.email || null,
       country: j.country || null,
       product: j.product || null,
+      provider: j.provider,
     });
   } catch (e) {
-    console.error("whoami error:", e.message);
-    return res.status(500).json({ error: "whoami_failed" });
+    return sendProviderError(res, e, "whoami_failed");
   }
 });
 
-// Aktuell gespielter Track
-app.get("/currently-playing", async (req, res) => {
+// Aktive Provider (für die Login-Auswahl)
+app.get("/providers", (req, res) => res.json({ providers: providers.list() }));
+
+/* ------ Hör-Historie (Recap) ------ */
+const history = createHistoryFromEnv();
+const HISTORY_LIST_MAX = 50;
+
+// Eingeloggter User ({ id, name, country }) oder null
+async function viewer(req) {
+  const session = await sessions.get(sessionId(req));
+  return session?.user || null;
+}
+
+async function viewerId(req) {
+  return (await viewer(req))?.id || null;
+}
+
+// Kurzform für Listen (ohne Events/Tracklist)
+function sessionSummary(s) {
+  return {
+    id: s.id,
+    roomId: s.roomId,
+    roomName: s.roomName,
+    visibility: s.visibility,
+    startedAt: s.startedAt,
+    endedAt: s.endedAt,
+    live: s.live,
+    trackCount: s.tracks.length,
+    cover: s.tracks.find((t) => t.image)?.image || null,
+    peakListeners: s.peakListeners,
+    totalListeners: s.totalListeners,
+  };
+}
+
+// Eine Sitzung mit Tracklist, Events und Zuhörern (private/unlisted nur für Sender + Zuhörer)
+app.get("/api/sessions/:id", async (req, res) => {
   try {
-    const t = await withValidAccessToken(req, res);
-    if (t.error) return res.status(t.error.status).json(t.error.body);
-
-    let r = await spotifyGet("https://api.spotify.com/v1/me/player/currently-playing", t.accessToken);
-
-    if (r.status === 401 && req.cookies.sp_rt) {
-      const rr = await refreshAccessToken(req.cookies.sp_rt);
-      if (rr.status === 200) {
-        const at = rr.data.access_token;
-        const expires_in = rr.data.expires_in || 3600;
-        const base = cookieBase(req);
-        res.cookie("sp_at", at, { ...base, maxAge: (expires_in - 30) * 1000 });
-        if (rr.data.refresh_token) res.cookie("sp_rt", rr.data.refresh_token, { ...base, maxAge: 30 * 24 * 3600 * 1000 });
-        r = await spotifyGet("https://api.spotify.com/v1/me/player/currently-playing", at);
-      }
-    }
+    const s = await history.get(req.params.id);
+    if (!s || !history.canView(s, await viewerId(req))) return res.status(404).json({ error: "not_found" });
+    return res.json(s);
+  } catch (e) {
+    console.error("history get failed:", e.message);
+    return res.status(500).json({ error: "history_failed" });
+  }
+});
 
-    if (r.status === 429) {
-      const retry = Number(r.headers["retry-after"] || 1);
-      res.set("Retry-After", String(retry));
-      return res.status(429).json({ error: "rate_limited", retry_after: retry });
-    }
+// Sitzungen eines Senders, neueste zuerst – ?limit=1..50
+app.get("/api/users/:id/sessions", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), HISTORY_LIST_MAX);
+  try {
+    const viewer = await viewerId(req);
+    const list = await history.listForUser(req.params.id, { limit });
+    return res.json({ sessions: list.filter((s) => history.canView(s, viewer)).map(sessionSummary) });
+  } catch (e) {
+    console.error("history list failed:", e.message);
+    return res.status(500).json({ error: "history_failed" });
+  }
+});
 
-    if (r.status === 204 || !r.data) return res.json({ message: "Kein Song wird gerade gespielt.", reason: "no_item" });
-
-    if (r.status === 200 && r.data) {
-      const data = r.data;
-      const item = data.item;
-      if (!item) {
-        return res.json({
-          message: "Kein item. Evtl. Werbung oder private session.",
-          reason: data.currently_playing_type || "no_item",
-        });
-      }
-      return res.json({
-        is_playing: !!data.is_playing,
-        progress_ms: data.progress_ms || 0,
-        track: {
-          id: item.id,
-          name: item.name,
-          artists: (item.artists || []).map((a) => a.name),
-          album: {
-            name: item.album?.name,
-            images: item.album?.images || [],
-            spotify_url: item.album?.external_urls?.spotify || null,
-          },
-          spotify_url: item.external_urls?.spotify || null,
-          duration_ms: item.duration_ms || 0,
-        },
-      });
-    }
+// Session als Playlist speichern – body: { name?, public? }
+// Tracks in Sende-Reihenfolge, ohne Duplikate; fremde Provider über den Track-Matcher
+// (begrenzt durchs Provider-Budget – was nicht mehr gesucht wird, zählt als skipped)
+app.post("/api/sessions/:id/playlist", async (req, res) => {
+  try {
+    const sid = sessionId(req);
+    const provider = await providers.forSession(sid);
+    if (!provider.createPlaylist) throw new ProviderError(409, "unsupported_provider");
+    const s = await history.get(req.params.id);
+    if (!s || !history.canView(s, await viewerId(req))) return res.status(404).json({ error: "not_found" });
+
+    const seen = new Set();
+    const tracks = [];
+    s.tracks.forEach((t) => {
+      const track = parseTrack({ ...t, provider: t.provider || "spotify", id: t.trackId });
+      const key = `${track.provider}:${track.id}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      tracks.push(track);
+    });
+    if (!tracks.length) return badRequest(res, "empty_session");
+
+    const { name, public: isPublic } = req.body || {};
+    const day = new Date(s.startedAt).toLocaleDateString("de-DE");
+    const result = await provider.createPlaylist(sid, {
+      name: typeof name === "string" && name.trim() ? name.trim().slice(0, 100) : `Celebeaty · ${s.roomName} · ${day}`,
+      description: `Live geteilt von ${s.roomName} auf Celebeaty am ${day}.`,
+      isPublic: isPublic === true,
+      tracks,
+    });
+    return res.status(201).json(result);
+  } catch (e) {
+    return sendProviderError(res, e, "playlist_failed");
+  }
+});
 
-    return res.status(r.status).json({ error: "spotify_error", details: r.data });
+/* ------ Live-Räume (Lobby) ------ */
+// Wie lobby_state per WS: sichtbare Räume mit DJ, Track, Hörerzahl und Start –
+// ?sort=listeners|recent|name&offset=0&limit=1..100 → { sort, offset, limit, total, rooms }
+app.get("/api/live", async (req, res) => {
+  const sort = req.query.sort || "listeners";
+  if (!LOBBY_SORTS.includes(sort)) return res.status(400).json({ error: "invalid_sort" });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOBBY_PAGE_SIZE, 1), LOBBY_PAGE_MAX);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  try {
+    return res.json(hub.liveRooms({ viewer: { userId: await viewerId(req) }, sort, offset, limit }));
   } catch (e) {
-    console.error("currently-playing error:", e.response?.data || e.message);
-    return res.status(500).json({ error: "currently_playing_failed" });
+    console.error("live list failed:", e.message);
+    return res.status(500).json({ error: "live_failed" });
   }
 });
 
-/* ------ Spotify Control Proxys (Receiver nutzt diese) ------ */
-// Geräte abrufen
-app.get("/spotify/devices", async (req, res) => {
+/* ------ Geplante Sessions ------ */
+const schedule = createScheduleFromEnv();
+
+function sendScheduleError(res, e) {
+  if (e instanceof ScheduleError) return res.status(e.status).json({ error: e.code });
+  console.error("schedule failed:", e.message);
+  return res.status(500).json({ error: "schedule_failed" });
+}
+
+// Kommende Sessions, früheste zuerst – going: ob ich zugesagt habe
+app.get("/api/schedule", async (req, res) => {
   try {
-    const t = await withValidAccessToken(req, res);
-    if (t.error) return res.status(t.error.status).json(t.error.body);
+    return res.json({ events: await schedule.list(await viewerId(req)) });
+  } catch (e) {
+    return sendScheduleError(res, e);
+  }
+});
 
-    const r = await spotifyGet("https://api.spotify.com/v1/me/player/devices", t.accessToken);
-    return res.status(r.status).send(r.data);
+// Session ankündigen – body: { title, startsAt (ms oder ISO), cover? (https-URL) }
+app.post("/api/schedule", async (req, res) => {
+  try {
+    const user = await viewer(req);
+    if (!user) return res.status(401).json({ error: "no_session" });
+    return res.status(201).json(await schedule.create(user, req.body));
   } catch (e) {
-    return res.status(500).json({ error: "devices_failed" });
+    return sendScheduleError(res, e);
   }
 });
 
-// Wiedergabe auf Gerät transferieren
-app.put("/spotify/transfer", async (req, res) => {
+// Ankündigung zurückziehen (nur der Sender)
+app.delete("/api/schedule/:id", async (req, res) => {
   try {
-    const t = await withValidAccessToken(req, res);
-    if (t.error) return res.status(t.error.status).json(t.error.body);
-
-    const { device_ids, play = true } = req.body || {};
-    const r = await spotifyPut(
-      "https://api.spotify.com/v1/me/player",
-      t.accessToken,
-      { device_ids, play }
-    );
-    return res.status(r.status).send(r.data);
+    const user = await viewer(req);
+    if (!user) return res.status(401).json({ error: "no_session" });
+    await schedule.remove(req.params.id, user.id);
+    return res.status(204).end();
   } catch (e) {
-    return res.status(500).json({ error: "transfer_failed" });
+    return sendScheduleError(res, e);
   }
 });
 
-// Play
-app.put("/spotify/play", async (req, res) => {
+// Zusagen / absagen – body: { going: true|false }
+app.post("/api/schedule/:id/rsvp", async (req, res) => {
   try {
-    const t = await withValidAccessToken(req, res);
-    if (t.error) return res.status(t.error.status).json(t.error.body);
+    const user = await viewer(req);
+    if (!user) return res.status(401).json({ error: "no_session" });
+    return res.json(await schedule.rsvp(req.params.id, user, req.body?.going !== false));
+  } catch (e) {
+    return sendScheduleError(res, e);
+  }
+});
 
-    const r = await spotifyPut("https://api.spotify.com/v1/me/player/play", t.accessToken, req.body || {});
-    return res.status(r.status).send(r.data);
+/* ------ Push-Benachrichtigungen ------ */
+const push = createPushFromEnv();
+
+function sendPushError(res, e) {
+  if (e instanceof PushError) return res.status(e.status).json({ error: e.code });
+  console.error("push failed:", e.message);
+  return res.status(500).json({ error: "push_failed" });
+}
+
+// Routen mit Login: handler(user, req) → JSON
+function pushRoute(method, route, handler) {
+  app[method](route, async (req, res) => {
+    try {
+      const user = await viewer(req);
+      if (!user) return res.status(401).json({ error: "no_session" });
+      return res.json(await handler(user, req));
+    } catch (e) {
+      return sendPushError(res, e);
+    }
+  });
+}
+
+// VAPID-Schlüssel für pushManager.subscribe (+ Favoriten, falls eingeloggt)
+app.get("/api/push", async (req, res) => {
+  try {
+    const user = await viewer(req);
+    const state = user ? await push.state(user.id) : { favorites: [], devices: 0 };
+    return res.json({ publicKey: push.publicKey, ...state });
+  } catch (e) {
+    return sendPushError(res, e);
+  }
+});
+
+// Gerät anmelden – body: { subscription } (PushSubscription.toJSON())
+pushRoute("post", "/api/push/subscriptions", (user, req) => push.subscribe(user.id, req.body?.subscription, frontOrigin(req)));
+
+// Gerät abmelden – body: { endpoint } (ohne: alle Geräte)
+pushRoute("delete", "/api/push/subscriptions", (user, req) =>
+  push.unsubscribe(user.id, typeof req.body?.endpoint === "string" ? req.body.endpoint : null)
+);
+
+// Sender abonnieren / abbestellen – body: { name }
+pushRoute("put", "/api/push/favorites/:senderId", (user, req) =>
+  push.addFavorite(user.id, { id: req.params.senderId, name: req.body?.name })
+);
+pushRoute("delete", "/api/push/favorites/:senderId", (user, req) => push.removeFavorite(user.id, req.params.senderId));
+
+// Aktuell gespielter Track (neutral: { is_playing, progress_ms, track } oder { reason, message })
+app.get("/currently-playing", async (req, res) => {
+  try {
+    const sid = sessionId(req);
+    const provider = await providers.forSession(sid);
+    return res.json(await provider.getNowPlaying(sid));
   } catch (e) {
-    return res.status(500).json({ error: "play_failed" });
+    return sendProviderError(res, e, "currently_playing_failed");
   }
 });
 
+/* ------ Player-Proxys (provider-neutral, Receiver nutzt diese) ------ */
+// Alte Pfade (/spotify/devices …) bleiben als Alias für offene Tabs erhalten
+function playerRoute(method, name, handler) {
+  app[method]([`/player/${name}`, `/spotify/${name}`], async (req, res) => {
+    try {
+      const sid = sessionId(req);
+      const provider = await providers.forSession(sid);
+      const result = await handler(provider, sid, req.body || {}, res);
+      if (!res.headersSent) return result === undefined ? res.status(204).end() : res.json(result);
+    } catch (e) {
+      return sendProviderError(res, e, `${name}_failed`);
+    }
+  });
+}
+
+function badRequest(res, error) {
+  return res.status(400).json({ error });
+}
+
+// Geräte abrufen
+playerRoute("get", "devices", (provider, sid) => provider.getDevices(sid));
+
+// Wiedergabe auf Gerät transferieren – body: { device_ids: [id], play? }
+playerRoute("put", "transfer", (provider, sid, { device_ids, play = true }, res) => {
+  const deviceId = Array.isArray(device_ids) ? device_ids[0] : null;
+  if (typeof deviceId !== "string" || !deviceId) return badRequest(res, "invalid_device_ids");
+  return provider.transfer(sid, deviceId, play !== false);
+});
+
+// Play – body: { track?, position_ms? } (track = neutraler Track, auch von anderem Provider)
+//        Alt: { uris: ["spotify:track:<id>"] }
+// → 204 (fortsetzen) oder { track, method, exact, score } – exact=false: alternative Version
+playerRoute("put", "play", (provider, sid, body, res) => {
+  let track = parseTrack(body.track);
+  const legacy = Array.isArray(body.uris) && /^spotify:track:([A-Za-z0-9]+)$/.exec(body.uris[0] || "");
+  if (!track && legacy) track = parseTrack({ provider: "spotify", id: legacy[1], uri: body.uris[0] });
+  if (body.track && !track) return badRequest(res, "invalid_track");
+  const { position_ms } = body;
+  if (position_ms != null && (!Number.isInteger(position_ms) || position_ms < 0)) {
+    return badRequest(res, "invalid_position_ms");
+  }
+  return provider.play(sid, { track, position_ms });
+});
+
 // Pause
-app.put("/spotify/pause", async (req, res) => {
+playerRoute("put", "pause", (provider, sid) => provider.pause(sid));
+
+// Seek (Sync/Driftkorrektur ohne hörbaren Neustart) – body: { position_ms }
+playerRoute("put", "seek", (provider, sid, { position_ms }, res) => {
+  if (!Number.isInteger(position_ms) || position_ms < 0) return badRequest(res, "invalid_position_ms");
+  return provider.seek(sid, position_ms);
+});
+
+// Track-Suche (Wünsche der Hörer) – ?q=…&limit=1..20 → { tracks: [neutrale Tracks] }
+const SEARCH_LIMIT_MAX = 20;
+app.get(["/player/search", "/spotify/search"], async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!q || q.length > 200) return badRequest(res, "invalid_query");
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), SEARCH_LIMIT_MAX);
   try {
-    const t = await withValidAccessToken(req, res);
-    if (t.error) return res.status(t.error.status).json(t.error.body);
+    const sid = sessionId(req);
+    const provider = await providers.forSession(sid);
+    return res.json({ tracks: await provider.searchTracks(sid, { query: q, limit }) });
+  } catch (e) {
+    return sendProviderError(res, e, "search_failed");
+  }
+});
+
+/* ------ Spotify-spezifische Proxys (nur für Spotify-Sessions) ------ */
+const REPEAT_STATES = ["track", "context", "off"];
+const QUEUE_URI_RE = /^spotify:(track|episode):[A-Za-z0-9]{22}$/;
 
-    const r = await spotifyPut("https://api.spotify.com/v1/me/player/pause", t.accessToken, {});
+// Player-Befehl ohne Body; Parameter als Query, device_id (body) optional
+async function playerCommand(req, res, method, url, query, fallbackCode) {
+  const { device_id } = req.body || {};
+  if (typeof device_id === "string" && device_id) query = { ...query, device_id };
+  try {
+    const provider = await providers.forSession(sessionId(req));
+    if (provider.id !== "spotify") throw new ProviderError(409, "unsupported_provider");
+    const r = await provider.client.request(sessionId(req), method, url, { query });
     return res.status(r.status).send(r.data);
   } catch (e) {
-    return res.status(500).json({ error: "pause_failed" });
+    return sendProviderError(res, e, fallbackCode);
+  }
+}
+
+// Nächster / vorheriger Titel – body: { device_id? }
+app.post("/spotify/next", (req, res) => playerCommand(req, res, "POST", "/me/player/next", {}, "next_failed"));
+app.post("/spotify/previous", (req, res) =>
+  playerCommand(req, res, "POST", "/me/player/previous", {}, "previous_failed")
+);
+
+// Lautstärke – body: { volume_percent: 0..100, device_id? }
+app.put("/spotify/volume", (req, res) => {
+  const { volume_percent } = req.body || {};
+  if (!Number.isInteger(volume_percent) || volume_percent < 0 || volume_percent > 100) {
+    return badRequest(res, "invalid_volume_percent");
   }
+  return playerCommand(req, res, "PUT", "/me/player/volume", { volume_percent }, "volume_failed");
+});
+
+// Shuffle – body: { state: true|false, device_id? }
+app.put("/spotify/shuffle", (req, res) => {
+  const { state } = req.body || {};
+  if (typeof state !== "boolean") return badRequest(res, "invalid_state");
+  return playerCommand(req, res, "PUT", "/me/player/shuffle", { state }, "shuffle_failed");
+});
+
+// Repeat – body: { state: "track"|"context"|"off", device_id? }
+app.put("/spotify/repeat", (req, res) => {
+  const { state } = req.body || {};
+  if (!REPEAT_STATES.includes(state)) return badRequest(res, "invalid_state");
+  return playerCommand(req, res, "PUT", "/me/player/repeat", { state }, "repeat_failed");
+});
+
+// Warteschlange lesen / Titel anhängen – body: { uri: "spotify:track:<id>", device_id? }
+app.get("/spotify/queue", (req, res) => playerCommand(req, res, "GET", "/me/player/queue", {}, "queue_failed"));
+app.post("/spotify/queue", (req, res) => {
+  const { uri } = req.body || {};
+  if (typeof uri !== "string" || !QUEUE_URI_RE.test(uri)) return badRequest(res, "invalid_uri");
+  return playerCommand(req, res, "POST", "/me/player/queue", { uri }, "queue_failed");
 });
 
 /* -------------------- Static + SPA -------------------- */
@@ -392,7 +648,8 @@ app.get("*", (req, res, next) => {
 const server = http.createServer(app);
 
 // WS unter /ws terminieren (stabil hinter Render/ngrok)
-const wss = new WebSocket.Server({ noServer: true });
+// Harte Grenze je Frame (Verbindung wird getrennt); bis MAX_MESSAGE_BYTES antwortet der Hub mit einem error-Frame
+const wss = new WebSocket.Server({ noServer: true, maxPayload: 4 * MAX_MESSAGE_BYTES });
 
 function isWsOriginAllowed(req) {
   const origin = req.headers.origin;                 // z.B. https://<dein-ngrok>.ngrok-free.app
@@ -404,36 +661,89 @@ function isWsOriginAllowed(req) {
   return false;
 }
 
+// Identität der WS-Verbindung aus der Session (Cookie "sid") auflösen
+const parseCookies = cookieParser();
 
+async function resolveWsUser(req) {
+  parseCookies(req, null, () => {});
+  const sid = sessionId(req);
+  const session = await sessions.get(sid);
+  if (!session) return null;
+  const provider = session.provider || "spotify";
+  if (session.user) return { user: session.user, sid, provider };
+
+  try {
+    const me = await fetchMe(sid);
+    return me.id ? { user: { id: me.id, name: me.display_name || me.id }, sid, provider } : null;
+  } catch {
+    return null;
+  }
+}
 
-server.on("upgrade", (req, socket, head) => {
+server.on("upgrade", async (req, socket, head) => {
   try {
-    const { url = "", headers = {} } = req;
+    const { url = "" } = req;
     if (!url.startsWith("/ws") || !isWsOriginAllowed(req)) {
       socket.destroy();
       return;
     }
+    const resolved = await resolveWsUser(req);
+    if (!resolved) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    // Session für den Broadcaster (falls dieser User zu teilen beginnt)
+    const auth = { sid: resolved.sid, provider: resolved.provider };
     wss.handleUpgrade(req, socket, head, (ws) => {
-      wss.emit("connection", ws, req);
+      wss.emit("connection", ws, req, resolved.user, auth);
     });
   } catch {
     socket.destroy();
   }
 });
 
-// Simple Broadcast-Hub: Presence + Track-Events
-wss.on("connection", (ws) => {
-  ws.on("message", (raw) => {
-    let data;
-    try { data = JSON.parse(raw); } catch { return; }
-    // An alle außer den Sender weiterleiten
-    wss.clients.forEach((client) => {
-      if (client !== ws && client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(data));
-      }
-    });
-  });
+// Room-Hub: Server hält Presence, Follower und Snapshots je Sender – über den Cluster mit anderen Instanzen geteilt
+const hub = createHub({
+  access: createRoomAccess({ signer }),
+  signer, // versiegelt Session-IDs in Cluster-Nachrichten
+  history,
+  bans: createRoomBansFromEnv(),
+  cluster: createCluster({
+    pubsub: createPubSubFromEnv(),
+    prefix: process.env.PUBSUB_PREFIX || undefined,
+    ttlMs: PRESENCE_TTL_MS,
+  }),
+  onShareStart: (user, auth) => broadcaster.start(user, auth),
+  onShareStop: (roomId) => broadcaster.stop(roomId),
+  onRoomLive: (room) => push.notifyLive(room).catch((e) => console.warn("live push failed:", e.message)),
+  // Angenommener Hörer-Wunsch → Warteschlange des Senders
+  queueTrack: (auth, track) => {
+    const provider = providers.get(auth.provider);
+    if (!provider?.queue) throw new ProviderError(409, "unsupported_provider");
+    return provider.queue(auth.sid, track);
+  },
 });
+const broadcaster = createBroadcaster({ hub, providers });
+wss.on("connection", (ws, req, user, auth) => {
+  ws.isAlive = true;
+  ws.on("pong", () => (ws.isAlive = true));
+  // Protokollfehler (z.B. Frame über maxPayload) → ws schließt selbst; ohne Listener stürzt der Prozess ab
+  ws.on("error", (e) => console.warn("ws error:", e.code || e.message));
+  hub.handleConnection(ws, user, auth);
+});
+
+// Heartbeat: wer auf den letzten Ping nicht geantwortet hat, fliegt raus (toter Peer, Proxy-Timeout).
+// terminate() löst close aus → Hub räumt Follower/Warteliste auf wie bei einem normalen Abbruch
+const HEARTBEAT_MS = 25000; // unter dem Idle-Timeout gängiger Proxies (Render: 60s+)
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) return ws.terminate();
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_MS);
+wss.on("close", () => clearInterval(heartbeat));
 
 /* ---------------------- Start -------------------------- */
 const PORT = process.env.PORT || 3001;
@@ -0,0 +1,179 @@
+/**
+ * Celebeaty – Server-seitiger Sender-Broadcaster
+ * - Startet mit presence:start, pollt den Provider des Senders (Spotify, Mock, …) über dessen Server-Session
+ * - Erkennt Trackwechsel, Play/Pause und Seeks (Drift > DRIFT_MS) und schickt Events in den Raum
+ * - `ts` = Zeitpunkt, zu dem progress_ms galt (Mitte des Provider-Requests, Server-Uhr)
+ * - Events tragen den neutralen Track (`track`: ISRC, Titel, Artists, Dauer) für fremde Provider
+ * - Läuft weiter, wenn der Sender-Tab zu ist oder das Handy sperrt
+ * - Stoppt bei presence:stop, Ablauf des Raums, dauerhaftem Auth-Fehler oder langer Stille
+ * - Läuft pro DJ (User), nicht pro Raum: bei einer DJ-Übergabe stoppt der Hub den alten und startet
+ *   den neuen; share_status trägt die roomId (Gast-DJs teilen in einen fremden Raum)
+ */
+
+const DRIFT_MS = 2000;              // ab ~2s = Seek
+const POLL_MS = 2000;               // Provider-Poll
+const PING_MS = 12000;              // Präsenz-Ping (Lobby sichtbar halten)
+const IDLE_STOP_MS = 30 * 60 * 1000; // so lange nichts gespielt → Teilen beenden
+const MAX_AUTH_FAILS = 3;
+
+function createBroadcaster({ hub, providers }) {
+  // userId -> Sender-Zustand
+  const senders = new Map();
+
+  function start(user, auth = {}) {
+    const existing = senders.get(user.id);
+    if (existing) {
+      // Erneutes presence:start (z.B. neuer Tab) → ggf. neuere Session übernehmen
+      existing.user = user;
+      if (auth.sid) {
+        existing.sid = auth.sid;
+        existing.provider = providers.get(auth.provider) || existing.provider;
+      }
+      return;
+    }
+    const provider = providers.get(auth.provider);
+    if (!auth.sid || !provider) return;
+
+    const s = {
+      user,
+      sid: auth.sid,
+      provider,
+      last: { trackId: null, is_playing: null, progress_ms: 0, sentAt: 0 },
+      lastPingAt: Date.now(),
+      lastActiveAt: Date.now(),
+      authFails: 0,
+      backoffUntil: 0,
+      status: null,
+      busy: false,
+      timer: null,
+    };
+    senders.set(user.id, s);
+    s.timer = setInterval(() => tick(s), POLL_MS);
+    tick(s);
+  }
+
+  function stop(userId) {
+    const s = senders.get(userId);
+    if (!s) return;
+    clearInterval(s.timer);
+    senders.delete(userId);
+  }
+
+  function isActive(userId) {
+    return senders.has(userId);
+  }
+
+  function setStatus(s, reason, message) {
+    if (s.status === reason) return;
+    s.status = reason;
+    hub.sendToUser(s.user.id, {
+      type: "share_status",
+      state: "active",
+      roomId: hub.roomIdOf(s.user.id),
+      reason,
+      message,
+      ts: Date.now(),
+    });
+  }
+
+  function giveUp(s, reason) {
+    const roomId = hub.roomIdOf(s.user.id);
+    stop(s.user.id);
+    hub.sendToUser(s.user.id, { type: "share_status", state: "stopped", roomId, reason, ts: Date.now() });
+    hub.stopDj(s.user.id); // Host → Raum endet, Gast-DJ → Rolle zurück an den Host
+  }
+
+  async function tick(s) {
+    const now = Date.now();
+    if (s.busy) return;
+    s.busy = true;
+    try {
+      // Heartbeat (Lobby sichtbar halten, auch während Provider-Backoff)
+      if (now - s.lastPingAt > PING_MS) {
+        hub.dispatch(s.user, { type: "presence", action: "ping", ts: now });
+        s.lastPingAt = now;
+      }
+
+      if (now < s.backoffUntil) return;
+      let r;
+      let sampledAt;
+      try {
+        const requestedAt = Date.now();
+        r = await s.provider.getNowPlaying(s.sid);
+        // progress_ms stammt grob aus der Mitte des Requests, nicht vom Broadcast-Zeitpunkt
+        sampledAt = Math.round((requestedAt + Date.now()) / 2);
+      } catch (e) {
+        if (!senders.has(s.user.id)) return;
+        if (e.status === 401) {
+          if (++s.authFails >= MAX_AUTH_FAILS) giveUp(s, "auth_failed");
+        } else if (e.status === 429) {
+          s.backoffUntil = Date.now() + (e.retryAfter || 1) * 1000;
+        } else {
+          console.warn(`broadcaster poll (${s.user.id}) failed:`, e.message);
+        }
+        return;
+      }
+      if (!senders.has(s.user.id)) return; // während des Requests gestoppt
+      s.authFails = 0;
+
+      const track = r.track;
+      if (!track?.id) {
+        // Kein Item: Werbung / keine Quelle / private Session
+        setStatus(s, "no_item", r.reason === "ad" ? "Werbung läuft." : "Kein Song/kein Gerät.");
+        if (now - s.lastActiveAt > IDLE_STOP_MS) giveUp(s, "idle");
+        return;
+      }
+
+      const curr = {
+        trackId: track.id,
+        is_playing: !!r.is_playing,
+        progress_ms: r.progress_ms || 0,
+      };
+      if (curr.is_playing) s.lastActiveAt = now;
+      else if (now - s.lastActiveAt > IDLE_STOP_MS) return giveUp(s, "idle");
+      setStatus(s, "ok", "");
+
+      // Nur bei Events broadcasten
+      const prev = s.last;
+      let shouldBroadcast = false;
+      if (prev.trackId !== curr.trackId) {
+        shouldBroadcast = true; // Trackwechsel (auch der erste Snapshot)
+      } else if (prev.is_playing !== curr.is_playing) {
+        shouldBroadcast = true; // Play/Pause-Wechsel
+      } else {
+        // Seek-Detektion über Drift
+        const expected = prev.is_playing
+          ? prev.progress_ms + (sampledAt - (prev.sentAt || sampledAt))
+          : prev.progress_ms;
+        if (Math.abs(curr.progress_ms - expected) > DRIFT_MS) shouldBroadcast = true; // Seek
+      }
+      if (!shouldBroadcast) return;
+
+      hub.dispatch(s.user, {
+        type: curr.is_playing ? "track" : "pause",
+        trackId: curr.trackId,
+        progress_ms: curr.progress_ms,
+        name: track.title,
+        artists: track.artists,
+        image: track.image,
+        track,
+        is_playing: curr.is_playing,
+        ts: sampledAt,
+      });
+      s.last = {
+        trackId: curr.trackId,
+        is_playing: curr.is_playing,
+        progress_ms: curr.progress_ms,
+        sentAt: sampledAt,
+      };
+    } catch (e) {
+      console.warn(`broadcaster tick (${s.user.id}) failed:`, e.message);
+    } finally {
+      s.busy = false;
+    }
+  }
+
+  return { start, stop, isActive };
+}
+
+module.exports = { createBroadcaster };
@@ -0,0 +1,127 @@
+/**
+ * Celebeaty – Cluster: mehrere Hub-Instanzen hinter dem Load Balancer (Transport: server/pubsub.js)
+ * - Jeder Raum gehört der Instanz, auf der sein Host live gegangen ist (Owner): dort liegen
+ *   Raum-Zustand, Broadcaster, Historie und Push. Andere Instanzen leiten Nachrichten ihrer
+ *   Clients an den Owner weiter und stellen seine Antworten zu (server/hub.js)
+ * - Raum-Verzeichnis: Presence, Rollen, Hörerzahl und letzter Snapshot je Raum liegen geteilt im
+ *   Hash <prefix>rooms und gehen bei jeder Änderung an alle Instanzen; Einträge ohne Lebenszeichen
+ *   (Owner abgestürzt) verfallen nach ttlMs
+ * - Kanäle:
+ *     <prefix>broadcast      → room (Verzeichnis-Eintrag), room_end, lobby (Frame für fremde Lobbys), alive
+ *     <prefix>instance:<id>  → message/detach (Client → Owner), deliver (Owner → Client)
+ * - Eigene Broadcasts ignoriert jede Instanz (lokal schon erledigt)
+ * - Zwei Hubs auf einem Memory-Bus (Verzeichnis, Follow, Snapshot, Chat): server/cluster.test.js
+ */
+
+const crypto = require("crypto");
+
+const ALIVE_MS = 15000; // Lebenszeichen jeder Instanz; drei verpasste → Instanz gilt als weg
+
+// handlers (an start): { onRoom(entry, isNew), onRoomEnd(entry, expired), onLobby(event), onEnvelope(envelope) }
+function createCluster({ pubsub, instanceId = crypto.randomBytes(6).toString("base64url"), prefix = "celebeaty:", ttlMs }) {
+  const ROOMS_KEY = `${prefix}rooms`;
+  const BROADCAST = `${prefix}broadcast`;
+  const channelOf = (id) => `${prefix}instance:${id}`;
+  // roomId -> Eintrag eines Raums auf einer anderen Instanz ({ id, name, ..., owner })
+  const remoteRooms = new Map();
+  // instanceId -> zuletzt gehört
+  const instances = new Map();
+  const unsubscribes = [];
+  let handlers = {};
+  let aliveTimer = null;
+
+  const warn = (what) => (e) => console.warn(`cluster ${what} failed:`, e.message);
+
+  function publish(channel, message) {
+    pubsub.publish(channel, { ...message, from: instanceId }).catch(warn("publish"));
+  }
+
+  function onBroadcast(event) {
+    if (event.from === instanceId) return;
+    instances.set(event.from, Date.now());
+    if (event.kind === "room") {
+      const isNew = remoteRooms.get(event.room.id)?.owner !== event.room.owner;
+      remoteRooms.set(event.room.id, event.room);
+      handlers.onRoom?.(event.room, isNew);
+    } else if (event.kind === "room_end") {
+      const entry = remoteRooms.get(event.roomId);
+      if (entry?.owner !== event.from) return; // Raum lebt inzwischen woanders
+      remoteRooms.delete(event.roomId);
+      handlers.onRoomEnd?.(entry, false);
+    } else if (event.kind === "lobby") {
+      handlers.onLobby?.(event);
+    }
+  }
+
+  function onEnvelope(envelope) {
+    instances.set(envelope.from, Date.now());
+    handlers.onEnvelope?.(envelope);
+  }
+
+  // Kanäle abonnieren, bestehendes Verzeichnis laden (abgelaufene Einträge räumen wir gleich weg)
+  async function start(h) {
+    handlers = h;
+    unsubscribes.push(await pubsub.subscribe(BROADCAST, onBroadcast));
+    unsubscribes.push(await pubsub.subscribe(channelOf(instanceId), onEnvelope));
+    const cutoff = Date.now() - ttlMs;
+    Object.values(await pubsub.hgetall(ROOMS_KEY)).forEach((entry) => {
+      if (entry.lastSeen < cutoff) return pubsub.hdel(ROOMS_KEY, entry.id).catch(warn("prune"));
+      if (entry.owner === instanceId || remoteRooms.has(entry.id)) return;
+      remoteRooms.set(entry.id, entry);
+      instances.set(entry.owner, entry.lastSeen);
+    });
+    publish(BROADCAST, { kind: "alive" });
+    aliveTimer = setInterval(() => publish(BROADCAST, { kind: "alive" }), ALIVE_MS);
+    aliveTimer.unref?.();
+  }
+
+  /* -------------------- Owner → alle -------------------- */
+  function shareRoom(room) {
+    const entry = { ...room, owner: instanceId };
+    remoteRooms.delete(room.id); // lokal gewinnt (z.B. Owner abgestürzt, Host hier neu live)
+    pubsub.hset(ROOMS_KEY, room.id, entry).catch(warn("share"));
+    publish(BROADCAST, { kind: "room", room: entry });
+  }
+
+  function endRoom(roomId) {
+    pubsub.hdel(ROOMS_KEY, roomId).catch(warn("end"));
+    publish(BROADCAST, { kind: "room_end", roomId });
+  }
+
+  // scope: wie der Hub entscheidet, wer den Frame sieht (visible/hidden/preview)
+  function lobby(room, scope, msg) {
+    publish(BROADCAST, { kind: "lobby", room: { id: room.id, visibility: room.visibility }, scope, msg });
+  }
+
+  /* -------------------- Instanz → Instanz -------------------- */
+  function send(instance, envelope) {
+    publish(channelOf(instance), envelope);
+  }
+
+  function ownerOf(roomId) {
+    return remoteRooms.get(roomId)?.owner || null;
+  }
+
+  function isAlive(instance, now = Date.now()) {
+    return instance === instanceId || now - (instances.get(instance) || 0) < 3 * ALIVE_MS;
+  }
+
+  // Einträge, deren Owner sich nicht mehr meldet, aus Cache und Hash nehmen
+  function sweep(cutoff) {
+    remoteRooms.forEach((entry, roomId) => {
+      if (entry.lastSeen >= cutoff) return;
+      remoteRooms.delete(roomId);
+      pubsub.hdel(ROOMS_KEY, roomId).catch(warn("prune"));
+      handlers.onRoomEnd?.(entry, true);
+    });
+  }
+
+  async function close() {
+    clearInterval(aliveTimer);
+    await Promise.all(unsubscribes.splice(0).map((unsubscribe) => unsubscribe()));
+  }
+
+  return { instanceId, rooms: remoteRooms, start, shareRoom, endRoom, lobby, send, ownerOf, isAlive, sweep, close };
+}
+
+module.exports = { createCluster };
@@ -0,0 +1,198 @@
+// Zwei Hub-Instanzen auf einem Memory-Bus (server/cluster.js + server/hub.js): Raum auf A,
+// Hörer auf B – Verzeichnis, Follow, Snapshot und Chat laufen über die Instanzgrenze. Start: npm test
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { createHub, PRESENCE_TTL_MS } = require("./hub");
+const { createCluster } = require("./cluster");
+const { createMemoryBus, createMemoryPubSub } = require("./pubsub");
+const { createRoomAccess } = require("./roomAccess");
+const { createSigner } = require("./signing");
+
+const ALICE = { id: "mock:alice", name: "Alice" };
+const BOB = { id: "mock:bob", name: "Bob" };
+const TRACK = {
+  type: "track",
+  trackId: "mock:1",
+  name: "Song",
+  artists: ["Band"],
+  is_playing: true,
+  progress_ms: 1000,
+  duration_ms: 180000,
+};
+
+/* -------------------- Hilfen -------------------- */
+// Verbindung wie von ws: sammelt alle Frames, send()/close() wie beim Browser
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.got = [];
+  ws.send = (raw) => ws.got.push(JSON.parse(raw));
+  ws.message = (msg) => ws.emit("message", JSON.stringify({ v: 1, ...msg }));
+  ws.close = () => {
+    ws.readyState = 3;
+    ws.emit("close");
+  };
+  return ws;
+}
+
+// Wartet, bis ein Frame passt (Zustellung über den Bus ist asynchron)
+async function frame(ws, predicate, ms = 500) {
+  const start = Date.now();
+  for (;;) {
+    const found = ws.got.find(predicate);
+    if (found) return found;
+    if (Date.now() - start > ms) throw new Error(`kein passender Frame (bisher: ${ws.got.map((m) => m.type)})`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+async function eventually(check, ms = 500) {
+  const start = Date.now();
+  for (;;) {
+    try {
+      return check();
+    } catch (e) {
+      if (Date.now() - start > ms) throw e;
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+describe("two hub instances", () => {
+  let a;
+  let b;
+  let bus;
+
+  function instance(bus, instanceId, signer) {
+    const cluster = createCluster({ pubsub: createMemoryPubSub({ bus }), instanceId, ttlMs: PRESENCE_TTL_MS });
+    const shares = []; // onShareStart-Aufrufe (Broadcaster)
+    const hub = createHub({
+      access: createRoomAccess({ signer }),
+      cluster,
+      signer,
+      onShareStart: (user, auth) => shares.push({ user, auth }),
+    });
+    const connect = (user) => {
+      const ws = fakeSocket();
+      hub.handleConnection(ws, user, { sid: `sid-${user.id}`, provider: "mock" });
+      return ws;
+    };
+    return { hub, cluster, connect, shares };
+  }
+
+  // Alice ist auf A live (mit erstem Track vom Broadcaster), Bob kommt auf B dazu
+  async function aliceLiveOnA() {
+    const alice = a.connect(ALICE);
+    alice.message({ type: "presence", action: "start", visibility: "public", user: ALICE });
+    a.hub.dispatch(ALICE, TRACK);
+    await settle();
+    return alice;
+  }
+
+  beforeEach(async () => {
+    bus = createMemoryBus();
+    const signer = createSigner("test-secret"); // alle Instanzen teilen APP_SECRET
+    a = instance(bus, "A", signer);
+    b = instance(bus, "B", signer);
+    await settle(); // cluster.start: Kanäle abonniert
+  });
+
+  afterEach(async () => {
+    await Promise.all([a.cluster.close(), b.cluster.close()]);
+  });
+
+  test("shares the room directory with the other instance", async () => {
+    await aliceLiveOnA();
+    assert.equal(b.cluster.ownerOf(ALICE.id), "A");
+    const live = b.hub.liveRooms({ viewer: { userId: BOB.id } });
+    assert.equal(live.total, 1);
+    assert.equal(live.rooms[0].id, ALICE.id);
+    assert.equal(live.rooms[0].track.trackId, TRACK.trackId);
+
+    const bob = b.connect(BOB);
+    const presence = await frame(bob, (m) => m.type === "presence" && m.action === "start");
+    assert.deepEqual(presence.user, { id: ALICE.id, name: ALICE.name });
+  });
+
+  test("follows a room on another instance", async () => {
+    const alice = await aliceLiveOnA();
+    const bob = b.connect(BOB);
+    bob.message({ type: "follow", targetUserId: ALICE.id });
+
+    const follow = await frame(alice, (m) => m.type === "follow");
+    assert.deepEqual(follow.user, { id: BOB.id, name: BOB.name });
+    await frame(bob, (m) => m.type === "room_roles" && m.roomId === ALICE.id);
+    await eventually(() => assert.equal(b.hub.liveRooms().rooms[0].listeners, 1));
+
+    // Neuer Track auf A erreicht den Hörer auf B
+    a.hub.dispatch(ALICE, { ...TRACK, trackId: "mock:2" });
+    const track = await frame(bob, (m) => m.type === "track" && m.trackId === "mock:2");
+    assert.equal(track.user.id, ALICE.id);
+
+    bob.close();
+    const unfollow = await frame(alice, (m) => m.type === "unfollow");
+    assert.equal(unfollow.user.id, BOB.id);
+    await eventually(() => assert.equal(b.hub.liveRooms().rooms[0].listeners, 0));
+  });
+
+  test("answers a snapshot request from the owner", async () => {
+    await aliceLiveOnA();
+    const bob = b.connect(BOB);
+    bob.message({ type: "follow", targetUserId: ALICE.id });
+    await frame(bob, (m) => m.type === "room_roles");
+    bob.got.length = 0;
+
+    bob.message({ type: "req_snapshot", targetUserId: ALICE.id });
+    const snapshot = await frame(bob, (m) => m.type === "track");
+    assert.equal(snapshot.trackId, TRACK.trackId);
+    assert.deepEqual(snapshot.user, { id: ALICE.id, name: ALICE.name });
+    assert.deepEqual(snapshot.dj, { id: ALICE.id, name: ALICE.name });
+  });
+
+  test("relays chat in both directions", async () => {
+    const alice = await aliceLiveOnA();
+    const bob = b.connect(BOB);
+    bob.message({ type: "follow", targetUserId: ALICE.id });
+    await frame(alice, (m) => m.type === "follow");
+
+    bob.message({ type: "chat", targetUserId: ALICE.id, text: "hallo von B" });
+    const fromBob = await frame(alice, (m) => m.type === "chat");
+    assert.equal(fromBob.text, "hallo von B");
+    assert.deepEqual(fromBob.user, { id: BOB.id, name: BOB.name });
+
+    alice.message({ type: "chat", targetUserId: ALICE.id, text: "hallo von A" });
+    const fromAlice = await frame(bob, (m) => m.type === "chat" && m.user.id === ALICE.id);
+    assert.equal(fromAlice.text, "hallo von A");
+  });
+
+  test("never puts a session id on the bus in cleartext", async () => {
+    const seen = [];
+    const spy = createMemoryPubSub({ bus });
+    await spy.subscribe("celebeaty:instance:A", (envelope) => seen.push(JSON.stringify(envelope)));
+
+    const alice = await aliceLiveOnA();
+    const bob = b.connect(BOB);
+    bob.message({ type: "follow", targetUserId: ALICE.id });
+    await frame(alice, (m) => m.type === "follow");
+    assert.ok(seen.length > 0);
+    seen.forEach((raw) => assert.ok(!raw.includes(`sid-${BOB.id}`), raw));
+
+    // Der Owner kann das Siegel öffnen: DJ-Rolle an Bob → Broadcaster mit Bobs Session
+    alice.message({ type: "dj_handoff", followerId: BOB.id });
+    await eventually(() => assert.equal(a.shares.at(-1)?.user.id, BOB.id));
+    assert.deepEqual(a.shares.at(-1).auth, { sid: `sid-${BOB.id}`, provider: "mock" });
+    await spy.close();
+  });
+
+  test("ends the room on every instance", async () => {
+    const alice = await aliceLiveOnA();
+    const bob = b.connect(BOB);
+    alice.message({ type: "presence", action: "stop" });
+    await frame(bob, (m) => m.type === "presence" && m.action === "stop");
+    assert.equal(b.cluster.ownerOf(ALICE.id), null);
+    assert.equal(b.hub.liveRooms().total, 0);
+  });
+});
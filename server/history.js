@@ -0,0 +1,196 @@
+/**
+ * Celebeaty – Hör-Historie pro Raum (Session-Recap)
+ * - Der Hub meldet Start/Ende eines Raums, jedes track/pause-Event und follow/unfollow
+ * - Pro Sitzung ein Record: Tracks (mit Spielzeit), Events, Zuhörer (wann rein/raus),
+ *   Peak (gleichzeitig) und Total (verschiedene Zuhörer)
+ * - Ablage im selben Store-Format wie die Sessions (server/sessionStore.js):
+ *     session:<id> → Record, user:<userId> → { ids: [neueste zuerst] }
+ *
+ * ENV:
+ *   HISTORY_STORE=file|memory   (Default: file)
+ *   HISTORY_FILE=./data/history.jsonl   (JSONL, nur angehängt – createLogStore; eine alte
+ *                                        ./data/history.json wird beim ersten Start übernommen)
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createLogStore } = require("./sessionStore");
+
+const HISTORY_TTL_MS = 180 * 24 * 3600 * 1000;
+const MAX_EVENTS = 2000;      // je Sitzung
+const MAX_USER_SESSIONS = 50; // im Index je Sender
+
+function createHistory({ store, now = () => Date.now() }) {
+  // roomId -> laufender Record
+  const active = new Map();
+
+  function persist(rec) {
+    store.set(`session:${rec.id}`, rec).catch((e) => console.warn("history write failed:", e.message));
+  }
+
+  async function addToUserIndex(userId, sessionId) {
+    const key = `user:${userId}`;
+    const index = (await store.get(key)) || { ids: [] };
+    const ids = [sessionId, ...index.ids.filter((id) => id !== sessionId)].slice(0, MAX_USER_SESSIONS);
+    await store.set(key, { ids, expires: now() + HISTORY_TTL_MS });
+  }
+
+  // Spielzeit des laufenden Tracks bis ts aufsummieren
+  function advance(entry, ts) {
+    if (entry && !entry.endedAt && entry.playing) entry.playedMs += Math.max(0, ts - entry.lastTs);
+    if (entry) entry.lastTs = ts;
+  }
+
+  function openListeners(rec) {
+    return rec.listeners.filter((l) => !l.leftAt);
+  }
+
+  // → ID der (neuen oder laufenden) Sitzung
+  function start(room) {
+    if (active.has(room.id)) return active.get(room.id).id;
+    const startedAt = room.since || now();
+    const rec = {
+      id: crypto.randomBytes(12).toString("base64url"),
+      roomId: room.id,
+      roomName: room.name,
+      visibility: room.visibility || "public",
+      startedAt,
+      endedAt: null,
+      tracks: [],
+      events: [],
+      listeners: [],
+      peakListeners: 0,
+      totalListeners: 0,
+      expires: startedAt + HISTORY_TTL_MS,
+    };
+    active.set(room.id, rec);
+    persist(rec);
+    addToUserIndex(room.id, rec.id).catch((e) => console.warn("history index failed:", e.message));
+    return rec.id;
+  }
+
+  function setVisibility(roomId, visibility) {
+    const rec = active.get(roomId);
+    if (!rec || rec.visibility === visibility) return;
+    rec.visibility = visibility;
+    persist(rec);
+  }
+
+  // data: track/pause-Event aus dem Hub
+  function track(roomId, data) {
+    const rec = active.get(roomId);
+    if (!rec || !data.trackId) return;
+    const ts = data.ts || now();
+    const playing = data.type !== "pause" && data.is_playing !== false;
+    if (rec.events.length < MAX_EVENTS) {
+      rec.events.push({ type: data.type, trackId: data.trackId, progress_ms: data.progress_ms || 0, is_playing: playing, ts });
+    }
+
+    const last = rec.tracks[rec.tracks.length - 1];
+    advance(last, ts);
+    if (last?.trackId === data.trackId) {
+      last.playing = playing;
+    } else {
+      if (last) {
+        last.endedAt = ts;
+        last.playing = false;
+      }
+      const t = data.track || {};
+      rec.tracks.push({
+        trackId: data.trackId,
+        provider: t.provider || null,
+        isrc: t.isrc || null,
+        title: t.title || data.name || data.trackId,
+        artists: t.artists || data.artists || [],
+        image: t.image || data.image || null,
+        duration_ms: t.duration_ms || null,
+        startedAt: ts,
+        endedAt: null,
+        playedMs: 0,
+        playing,
+        lastTs: ts,
+      });
+    }
+    persist(rec);
+  }
+
+  function follow(roomId, user, ts = now()) {
+    const rec = active.get(roomId);
+    if (!rec || !user?.id || user.id === roomId) return;
+    if (openListeners(rec).some((l) => l.userId === user.id)) return;
+    const known = rec.listeners.some((l) => l.userId === user.id);
+    rec.listeners.push({ userId: user.id, name: user.name || user.id, joinedAt: ts, leftAt: null });
+    if (!known) rec.totalListeners += 1;
+    rec.peakListeners = Math.max(rec.peakListeners, openListeners(rec).length);
+    persist(rec);
+  }
+
+  function unfollow(roomId, userId, ts = now()) {
+    const rec = active.get(roomId);
+    const entry = rec && openListeners(rec).find((l) => l.userId === userId);
+    if (!entry) return;
+    entry.leftAt = ts;
+    persist(rec);
+  }
+
+  function end(roomId, ts = now()) {
+    const rec = active.get(roomId);
+    if (!rec) return;
+    active.delete(roomId);
+    const last = rec.tracks[rec.tracks.length - 1];
+    advance(last, ts);
+    if (last && !last.endedAt) last.endedAt = ts;
+    openListeners(rec).forEach((l) => (l.leftAt = ts));
+    rec.endedAt = ts;
+    persist(rec);
+  }
+
+  // Sitzung nach außen: ohne interne Felder; nach Neustart verwaiste Sitzungen gelten als beendet
+  function present(rec) {
+    const live = active.get(rec.roomId)?.id === rec.id;
+    const lastEventTs = rec.events.length ? rec.events[rec.events.length - 1].ts : rec.startedAt;
+    return {
+      ...rec,
+      live,
+      endedAt: rec.endedAt || (live ? null : lastEventTs),
+      tracks: rec.tracks.map(({ lastTs, playing, ...t }) => ({
+        ...t,
+        // laufender Track: Spielzeit bis jetzt
+        playedMs: live && playing && !t.endedAt ? t.playedMs + (now() - lastTs) : t.playedMs,
+      })),
+      expires: undefined,
+    };
+  }
+
+  async function get(id) {
+    const rec = await store.get(`session:${id}`);
+    return rec ? present(rec) : null;
+  }
+
+  async function listForUser(userId, { limit = 20 } = {}) {
+    const index = await store.get(`user:${userId}`);
+    const recs = await Promise.all((index?.ids || []).slice(0, limit).map((id) => store.get(`session:${id}`)));
+    return recs.filter(Boolean).map(present);
+  }
+
+  // Darf viewerId die Sitzung sehen? Öffentlich, eigener Raum oder selbst zugehört
+  function canView(session, viewerId) {
+    if (!session) return false;
+    if (session.visibility === "public") return true;
+    return !!viewerId && (session.roomId === viewerId || session.listeners.some((l) => l.userId === viewerId));
+  }
+
+  return { start, setVisibility, track, follow, unfollow, end, get, listForUser, canView };
+}
+
+function createHistoryFromEnv(env = process.env) {
+  const type = (env.HISTORY_STORE || "file").toLowerCase();
+  if (type === "memory") return createHistory({ store: createMemoryStore() });
+  if (type !== "file") console.warn(`Unbekannter HISTORY_STORE "${type}" – nutze file`);
+  const dataDir = path.join(__dirname, "..", "data");
+  const file = env.HISTORY_FILE || path.join(dataDir, "history.jsonl");
+  const legacyFile = env.HISTORY_FILE ? null : path.join(dataDir, "history.json");
+  return createHistory({ store: createLogStore(file, { legacyFile }) });
+}
+
+module.exports = { createHistory, createHistoryFromEnv };
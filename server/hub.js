@@ -0,0 +1,1297 @@
+/**
+ * Celebeaty – Room-Hub für /ws
+ * - Server hält den Zustand: Räume mit eigener ID (Presence, letzter Track/Pause-Snapshot)
+ * - Raum ≠ User: hostId hat den Raum eröffnet (Raum-ID = seine ID, damit Links stabil bleiben),
+ *   djId liefert gerade die Musik. Host und Co-Hosts können die DJ-Rolle weitergeben;
+ *   Raum-ID und Follower bleiben, nur die Quelle (Broadcaster) wechselt
+ * - track/pause kommen vom DJ und werden auf den Raum umadressiert: user = Raum, dj = Quelle
+ * - Follower werden aus den verbundenen Clients abgeleitet (wer folgt wem)
+ * - Nachrichten gehen nur an die Clients, die sie brauchen:
+ *     presence        → alle (Lobby) – bei unlisted/private nur Follower + Sender
+ *     track/pause     → Follower des Raums + Clients in der Lobby (nur öffentliche Räume)
+ *     follow/unfollow → nur der Sender (Host)
+ *     set_role        → Host macht Follower zu Co-Hosts (oder wieder zu Hörern)
+ *     dj_handoff      → Host/Co-Host übergibt die DJ-Rolle; room_roles geht an alle im Raum.
+ *                       Geht der DJ oder gibt sein Broadcaster auf, fällt die Rolle an den Host zurück
+ *     req_snapshot    → direkt aus dem Server-Snapshot beantwortet
+ *     time_sync       → direkt beantwortet (NTP-artiger Uhrabgleich, t1/t2 = Server-Uhr)
+ *     track_request   → Hörer wünscht sich einen Track → Inbox des Senders (Rate-Limit je Hörer)
+ *     request_decision → Sender nimmt an (→ Warteschlange beim Provider) oder lehnt ab;
+ *                       request_status geht an Hörer und Sender
+ *     room_settings   → Sender schaltet Wünsche an/aus
+ *     chat/reaction   → an Sender + Follower des Raums (Verlauf im Raum, Reaktion mit Track + Position);
+ *                       neue Mitglieder bekommen chat_history
+ *     moderate        → Sender: mute/unmute (Chat), kick (raus, kurze Sperre), ban/unban (dauerhaft,
+ *                       Sperrliste über server/roomBans.js → ban_list an den Sender); Co-Hosts: mute/kick
+ *     lobby           → Client wählt Sortierung + Seitengröße seiner Lobby-Übersicht
+ * - lobby_state: sichtbare Live-Räume aus Server-Sicht (DJ, aktueller Track, Hörerzahl, Start) –
+ *   beim Verbinden, nach `lobby` und gesammelt nach jeder Änderung (nur wenn sich für den Client
+ *   etwas ändert). Dieselbe Liste liefert liveRooms() für GET /api/live
+ * - room_members: aktuelle Zuhörer an den Host (neuer Tab, Reconnect), danach follow/unfollow
+ * - Optionales Hörer-Limit (maxListeners): ist der Raum voll, landen neue Hörer auf der
+ *   Warteliste (waitlist) und rücken nach, sobald jemand geht. Senken des Limits wirft niemanden raus
+ * - Alle `ts` sind Server-Zeit: track/pause von Clients werden beim Empfang neu gestempelt
+ * - Räume eröffnet nur presence:start (oder der Server-Broadcaster); track/pause/ping einer
+ *   Verbindung ohne Raum → error-Frame `no_room`
+ * - Sichtbarkeit/Zugang (public/unlisted/private, Invite, Passcode) über server/roomAccess.js;
+ *   Passcodes werden async geprüft, falsche Versuche je Hörer und Raum begrenzt (nicht je Verbindung)
+ * - Start/Ende, Tracks und Zuhörer jeder Sitzung gehen an die Historie (server/history.js)
+ * - track/pause kommen vom Server-Broadcaster (dispatch), Hooks melden Start/Ende des Teilens
+ * - Geht ein Raum neu live, meldet onRoomLive das (Push an Abonnenten, server/push.js)
+ * - Neue Clients bekommen beim Verbinden sofort die aktuelle Lobby
+ * - Identität kommt vom Upgrade (Spotify-Cookie); `user` wird auf jeder Nachricht
+ *   überschrieben, fremde IDs werden mit einem error-Frame abgelehnt
+ * - Eingehende Nachrichten prüft das gemeinsame Protokoll (shared/protocol.js): zu groß,
+ *   kaputt, unbekannt oder falsche Felder → error-Frame; ausgehende tragen die Protokollversion `v`
+ * - Mehrere Instanzen (hooks.cluster, server/cluster.js): ein Raum lebt auf der Instanz, auf der sein
+ *   Host live ging. Nachrichten für Räume anderer Instanzen gehen an deren Owner, der die Verbindung
+ *   als virtuellen Client führt (ws.remote) – seine Antworten stellt die Heimat-Instanz zu.
+ *   Lobby-Frames gehen zusätzlich an alle Instanzen; Verzeichnis (Presence, Hörer, Snapshot) ist geteilt.
+ *   Tokens (sid) gehen nur versiegelt und kurzlebig über den Bus (hooks.signer, gleiches APP_SECRET)
+ */
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const { parseTrack } = require("./providers/base");
+// Protokoll liegt in shared/, damit Backend und Frontend dieselben Schemas nutzen
+const {
+  PROTOCOL_VERSION,
+  CHAT_MAX_LENGTH,
+  REACTIONS,
+  LOBBY_PAGE_SIZE,
+  parseMessage,
+  errorFrame,
+} = require("../shared/protocol");
+
+const PRESENCE_TTL_MS = 45000; // ohne Ping/Event so lange → Raum gilt als beendet
+const SWEEP_MS = 10000;
+const MAX_FOLLOW_FAILS = 5;    // falsche Passcodes je Hörer, Raum und Minute (auch über Reconnects)
+const FOLLOW_FAIL_WINDOW_MS = 60000;
+const MAX_REQUESTS = 3;        // Wünsche je Hörer und Fenster
+const REQUEST_WINDOW_MS = 5 * 60000;
+const MAX_PENDING_PER_USER = 3;
+const MAX_INBOX = 50;          // offene Wünsche je Raum
+const CHAT_HISTORY = 100;      // Nachrichten + Reaktionen je Raum
+const MAX_CHAT = 8;            // Chat/Reaktionen je Verbindung und Fenster
+const CHAT_WINDOW_MS = 10000;
+const KICK_COOLDOWN_MS = 5 * 60000;
+const MAX_LISTENERS_CAP = 1000;
+const LOBBY_STATE_MS = 1000;   // Änderungen so lange sammeln, dann lobby_state an alle
+const AUTH_SEAL_TTL_MS = 60000; // versiegelte Tokens in Cluster-Nachrichten
+
+// Hörer-Limit aus presence:start/room_settings → Zahl oder null (unbegrenzt)
+function parseMaxListeners(value) {
+  return Number.isInteger(value) && value > 0 ? Math.min(value, MAX_LISTENERS_CAP) : null;
+}
+
+// hooks: { access, history, bans, cluster, signer, onShareStart(user, auth), onShareStop(roomId), queueTrack(auth, track) → Match }
+function createHub(hooks = {}) {
+  const { access, history, bans, cluster, signer } = hooks;
+  // senderId -> { id, name, since, lastSeen, lastTrack, visibility, passcode, sessionId,
+  //               requestsEnabled, requests: Map<id, Request>, requestLog: Map<userId, ts[]>, followFails: Map<userId, ts[]>,
+  //               chat: [Nachricht/Reaktion], muted: Set<userId>, kicked: Map<userId, bis>,
+  //               maxListeners, waitlist: [ws], hostId, hostAuth, djId, djName, djAuth, cohosts: Set<userId> }
+  const rooms = new Map();
+  // ws -> { userId, name, auth, following, waiting, followTs, followSeq, credentials, chatLog, connId, remotes }
+  //       (userId/name verifiziert; virtuelle Clients anderer Instanzen: ws = { remote: { instance, conn } })
+  const clients = new Map();
+  // connId -> ws (eigene Verbindungen) bzw. "<instanz>/<connId>" -> virtueller Client
+  const localConns = new Map();
+  const virtualConns = new Map();
+  let connSeq = 0;
+
+  /* -------------------- Senden -------------------- */
+  function send(ws, msg) {
+    const frame = { ...msg, v: PROTOCOL_VERSION };
+    if (ws.remote) return cluster.send(ws.remote.instance, { kind: "deliver", conn: ws.remote.conn, msg: frame });
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(frame));
+  }
+
+  function sendWhere(predicate, msg, except = null) {
+    clients.forEach((state, ws) => {
+      if (ws !== except && predicate(state)) send(ws, msg);
+    });
+  }
+
+  function sendToUser(userId, msg) {
+    sendWhere((s) => s.userId === userId, msg);
+  }
+
+  function isFollowing(userId, roomId, except = null) {
+    for (const [ws, s] of clients) {
+      if (ws !== except && s.userId === userId && s.following === roomId) return true;
+    }
+    return false;
+  }
+
+  // Raum, in dem userId gerade DJ ist
+  function roomOfDj(userId) {
+    for (const room of rooms.values()) {
+      if (room.djId === userId) return room;
+    }
+    return null;
+  }
+
+  // Eigener Raum (Host) oder der, in dem userId auflegt
+  function roomFor(userId) {
+    return rooms.get(userId) || roomOfDj(userId);
+  }
+
+  // Raum, den userId moderieren darf (Host oder Co-Host)
+  function managedRoom(userId) {
+    if (rooms.has(userId)) return rooms.get(userId);
+    for (const room of rooms.values()) {
+      if (room.cohosts.has(userId)) return room;
+    }
+    return null;
+  }
+
+  function djOf(room) {
+    return { id: room.djId, name: room.djName };
+  }
+
+  // Im Raum: der Sender selbst und seine Follower
+  function inRoom(state, room) {
+    return state.userId === room.id || state.following === room.id;
+  }
+
+  // Öffentliche Räume sieht jeder, alle anderen nur Follower und der Sender selbst
+  function canSee(state, room) {
+    return room.visibility === "public" || state.following === room.id || state.userId === room.id;
+  }
+
+  // room: lokaler Raum oder Verzeichnis-Eintrag einer anderen Instanz (bringt dj schon mit)
+  function presenceStart(room, dj = djOf(room)) {
+    return {
+      type: "presence",
+      action: "start",
+      user: { id: room.id, name: room.name },
+      since: room.since,
+      session: room.sessionId,
+      requests: room.requestsEnabled,
+      dj,
+      ts: room.lastSeen,
+    };
+  }
+
+  // Lobby-Zustand an einen Client: erst Snapshot, dann Presence (setzt lastSeen/since).
+  // Virtuelle Clients bekommen die Lobby von ihrer eigenen Instanz
+  function sendLobby(ws) {
+    if (ws.remote) return;
+    const state = clients.get(ws);
+    rooms.forEach((room) => {
+      if (!canSee(state, room)) return;
+      if (room.lastTrack) send(ws, room.lastTrack);
+      send(ws, presenceStart(room));
+    });
+    cluster?.rooms.forEach((entry) => {
+      if (rooms.has(entry.id) || !canSee(state, entry)) return;
+      if (entry.lastTrack) send(ws, entry.lastTrack);
+      send(ws, presenceStart(entry, entry.dj));
+    });
+  }
+
+  // Wer einen Lobby-Frame bekommt (presence, Previews) – je Raum und Client
+  const LOBBY_SCOPES = {
+    visible: (s, room) => canSee(s, room),
+    hidden: (s, room) => !canSee(s, room),
+    preview: (s, room) => s.following === room.id || (!s.following && canSee(s, room)),
+  };
+
+  // Lobby-Frame: lokal an alle im Scope (virtuelle Clients nur, wenn sie im Raum sind – die Lobby
+  // stellt ihre Instanz zu), dazu an die übrigen Instanzen
+  function sendLobbyWide(room, scope, msg, except = null) {
+    sendWhere((s) => LOBBY_SCOPES[scope](s, room) && (!s.remote || inRoom(s, room)), msg, except);
+    cluster?.lobby(room, scope, msg);
+  }
+
+  // Verzeichnis-Eintrag (andere Instanzen, Lobby-Übersicht) – gleiches Format wie cluster.rooms
+  function summaryOf(room) {
+    return {
+      id: room.id,
+      name: room.name,
+      since: room.since,
+      lastSeen: room.lastSeen,
+      visibility: room.visibility,
+      sessionId: room.sessionId,
+      requestsEnabled: room.requestsEnabled,
+      maxListeners: room.maxListeners,
+      hostId: room.hostId,
+      dj: djOf(room),
+      cohosts: [...room.cohosts],
+      listeners: listenerCount(room),
+      lastTrack: room.lastTrack,
+    };
+  }
+
+  // Raum hat sich geändert → Lobby-Übersichten auffrischen, Verzeichnis teilen
+  function roomChanged(room) {
+    if (rooms.get(room.id) !== room) return;
+    lobbyChanged();
+    cluster?.shareRoom(summaryOf(room));
+  }
+
+  /* -------------------- Lobby-Übersicht (lobby_state, /api/live) -------------------- */
+  const LOBBY_ORDER = {
+    listeners: (a, b) => b.listeners - a.listeners || a.since - b.since,
+    recent: (a, b) => b.since - a.since,
+    name: (a, b) => a.name.localeCompare(b.name),
+  };
+
+  function liveEntry(summary) {
+    const last = summary.lastTrack;
+    return {
+      id: summary.id,
+      name: summary.name,
+      since: summary.since,
+      dj: summary.dj,
+      listeners: summary.listeners,
+      requests: summary.requestsEnabled,
+      session: summary.sessionId,
+      track: last
+        ? {
+            trackId: last.trackId,
+            name: last.name || last.trackId,
+            artists: last.artists || [],
+            image: last.image || null,
+            is_playing: last.type !== "pause" && last.is_playing !== false,
+            progress_ms: last.progress_ms || 0,
+            duration_ms: last.duration_ms ?? null,
+            ts: last.ts,
+          }
+        : null,
+    };
+  }
+
+  // Alle Live-Räume (hier und auf anderen Instanzen) einmal aufbereitet; sorted(sort) sortiert je
+  // Sortierung nur beim ersten Aufruf. Ein Index gilt für einen Durchlauf (Tick, Anfrage)
+  function lobbyIndex() {
+    const all = [...rooms.values()].map(summaryOf);
+    cluster?.rooms.forEach((entry) => {
+      if (!rooms.has(entry.id)) all.push(entry);
+    });
+    const items = all.map((summary) => ({ summary, entry: liveEntry(summary) }));
+    const bySort = new Map();
+    return {
+      sorted(sort) {
+        if (!bySort.has(sort)) {
+          const order = LOBBY_ORDER[sort] || LOBBY_ORDER.listeners;
+          bySort.set(sort, [...items].sort((a, b) => order(a.entry, b.entry) || (a.entry.id < b.entry.id ? -1 : 1)));
+        }
+        return bySort.get(sort);
+      },
+    };
+  }
+
+  // Live-Räume, die viewer ({ userId, following }) sehen darf – ein Ausschnitt der sortierten Liste
+  function liveRooms({ viewer = {}, sort = "listeners", offset = 0, limit = LOBBY_PAGE_SIZE } = {}, index = lobbyIndex()) {
+    const visible = index.sorted(sort).filter(({ summary }) => canSee(viewer, summary));
+    const list = visible.slice(offset, offset + limit).map(({ entry }) => entry);
+    return { sort, offset, limit, total: visible.length, rooms: list };
+  }
+
+  // Nur senden, wenn sich für diesen Client etwas geändert hat (force: Client hat gefragt)
+  function sendLobbyState(ws, state, force = false, index = undefined) {
+    if (ws.remote) return;
+    const { sort, limit, total, rooms: list } = liveRooms({ viewer: state, ...state.lobby }, index);
+    const key = JSON.stringify([sort, limit, total, list]);
+    if (!force && key === state.lobbySent) return;
+    state.lobbySent = key;
+    send(ws, { type: "lobby_state", sort, limit, total, rooms: list, ts: Date.now() });
+  }
+
+  let lobbyTimer = null;
+  function lobbyChanged() {
+    if (lobbyTimer) return;
+    lobbyTimer = setTimeout(() => {
+      lobbyTimer = null;
+      const index = lobbyIndex(); // einmal je Tick, nicht je Client
+      clients.forEach((s, w) => sendLobbyState(w, s, false, index));
+    }, LOBBY_STATE_MS);
+    lobbyTimer.unref?.();
+  }
+
+  /* -------------------- Räume -------------------- */
+  // user = Host oder aktueller DJ; ohne Raum eröffnet user einen neuen (als Host + DJ).
+  // Nur für presence:start und den Broadcaster – Clients ohne Raum lehnt noRoom() ab
+  function touchRoom(user) {
+    const now = Date.now();
+    let room = roomFor(user.id);
+    const isNew = !room;
+    if (!room) {
+      room = {
+        id: user.id,
+        name: user.name || user.id,
+        since: now,
+        lastSeen: now,
+        lastTrack: null,
+        visibility: "public",
+        passcode: null,
+        sessionId: null,
+        requestsEnabled: true,
+        requests: new Map(),
+        requestLog: new Map(),
+        followFails: new Map(),
+        chat: [],
+        muted: new Set(),
+        kicked: new Map(),
+        maxListeners: null,
+        waitlist: [],
+        hostId: user.id,
+        hostAuth: null,
+        djId: user.id,
+        djName: user.name || user.id,
+        djAuth: null,
+        cohosts: new Set(),
+      };
+      rooms.set(user.id, room);
+      // Sperrliste laden; wer schon vorher gefolgt ist und gebannt ist, fliegt dann raus
+      bans?.load(room.id)
+        .then(() => enforceBans(room))
+        .catch((e) => console.warn("bans load failed:", e.message));
+      room.sessionId = history?.start(room) || null; // ID der Sitzung in der Historie (Recap/Playlist)
+      // Wer schon vor dem Start gefolgt ist (Link geöffnet), zählt ab jetzt als Zuhörer
+      clients.forEach((s) => {
+        if (s.following === room.id) history?.follow(room.id, { id: s.userId, name: s.name }, now);
+      });
+    }
+    if (user.name && user.id === room.hostId) room.name = user.name;
+    if (user.name && user.id === room.djId) room.djName = user.name;
+    room.lastSeen = now;
+    return { room, isNew };
+  }
+
+  // Nachricht eines Clients, der keinen Raum hat (nie gestartet, Raum schon beendet) → error-Frame
+  function noRoom(ws, data) {
+    if (!ws || roomFor(data.user.id)) return false;
+    send(ws, errorFrame("no_room", data.type));
+    return true;
+  }
+
+  function endRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    rooms.delete(roomId);
+    // Wartende folgen weiter (wie ein Link, der vor dem Start geöffnet wurde)
+    room.waitlist.forEach((w) => {
+      const s = clients.get(w);
+      if (s?.waiting !== roomId) return;
+      s.waiting = null;
+      setFollowing(s, roomId);
+      s.followTs = Date.now();
+    });
+    history?.end(roomId);
+    hooks.onShareStop?.(room.djId);
+    cluster?.endRoom(roomId);
+    lobbyChanged();
+    sendLobbyWide(room, "visible", {
+      type: "presence",
+      action: "stop",
+      user: { id: room.id, name: room.name },
+      ts: Date.now(),
+    });
+  }
+
+  function announceStart(room, except) {
+    sendLobbyWide(room, "visible", presenceStart(room), except);
+  }
+
+  /* -------------------- Rollen (Host, Co-Host, DJ) -------------------- */
+  function rolesOf(room) {
+    return {
+      type: "room_roles",
+      roomId: room.id,
+      hostId: room.hostId,
+      dj: djOf(room),
+      cohosts: [...room.cohosts],
+      ts: Date.now(),
+    };
+  }
+
+  function sendRoomRoles(room) {
+    sendWhere((s) => inRoom(s, room), rolesOf(room));
+    roomChanged(room);
+  }
+
+  // Quelle wechseln: alten Broadcaster stoppen, neuen mit den Tokens des neuen DJs starten
+  function setDj(room, user, auth) {
+    if (room.djId === user.id || !auth?.sid) return false;
+    hooks.onShareStop?.(room.djId);
+    room.djId = user.id;
+    room.djName = user.name || user.id;
+    room.djAuth = auth;
+    hooks.onShareStart?.({ id: user.id, name: room.djName }, auth);
+    sendRoomRoles(room);
+    announceStart(room); // Lobby zeigt den neuen DJ
+    return true;
+  }
+
+  // DJ-Rolle zurück an den Host (DJ gegangen, gekickt, Broadcaster aufgegeben)
+  function returnDjToHost(room) {
+    if (room.djId === room.hostId) return;
+    const host = [...clients.values()].find((s) => s.userId === room.hostId);
+    if (!setDj(room, { id: room.hostId, name: host?.name || room.name }, room.hostAuth)) endRoom(room.id);
+  }
+
+  // Broadcaster gibt auf (Auth-Fehler, lange Stille): Host → Raum endet, Gast-DJ → zurück an den Host
+  function stopDj(userId) {
+    const room = roomOfDj(userId);
+    if (!room) return;
+    if (room.hostId === userId) endRoom(room.id);
+    else returnDjToHost(room);
+  }
+
+  // Ein Verbindungszustand des Users mit Tokens (für den Broadcaster)
+  function authOf(userId) {
+    for (const s of clients.values()) {
+      if (s.userId === userId && s.auth?.sid) return s.auth;
+    }
+    return null;
+  }
+
+  function sendRoomInfo(room) {
+    sendToUser(room.id, {
+      type: "room_info",
+      visibility: room.visibility,
+      invite: room.visibility === "private" ? access.issueInvite(room.id) : null,
+      hasPasscode: !!room.passcode,
+      session: room.sessionId,
+      requests: room.requestsEnabled,
+      maxListeners: room.maxListeners,
+      dj: djOf(room),
+      cohosts: [...room.cohosts],
+      ts: Date.now(),
+    });
+  }
+
+  // Sichtbarkeit/Passcode aus presence:start übernehmen und durchsetzen
+  function configureRoom(room, settings, isNew) {
+    const wasPublic = room.visibility === "public";
+    access.configure(room, settings);
+    if (!isNew && wasPublic && room.visibility !== "public") {
+      // Aus der Lobby nehmen – bei allen, die den Raum jetzt nicht mehr sehen dürfen
+      sendLobbyWide(room, "hidden", {
+        type: "presence",
+        action: "stop",
+        user: { id: room.id, name: room.name },
+        ts: Date.now(),
+      });
+    }
+    // Bestehende Follower ohne gültigen Zugang entfernen (Prüfung async – wer inzwischen
+    // gegangen ist oder neu gefolgt hat, bleibt unberührt)
+    const { passcode } = room;
+    clients.forEach((s, ws) => {
+      if (s.following !== room.id) return;
+      const seq = s.followSeq;
+      access
+        .check(room, s.credentials)
+        .then((reason) => {
+          if (!reason || room.passcode !== passcode || s.followSeq !== seq || !clients.has(ws)) return;
+          denyFollow(ws, s, room.id, reason);
+        })
+        .catch((e) => console.warn("access check failed:", e.message));
+    });
+    history?.setVisibility(room.id, room.visibility);
+    sendRoomInfo(room);
+    roomChanged(room);
+  }
+
+  /* -------------------- Follower -------------------- */
+  function denyFollow(ws, state, roomId, reason) {
+    if (state.following === roomId) unfollow(ws, state);
+    if (state.waiting === roomId) leaveWaitlist(ws, state);
+    send(ws, { type: "follow_denied", targetUserId: roomId, reason, ts: Date.now() });
+  }
+
+  // Zugangsversuche je Hörer und Raum der letzten Minute (laufende Prüfungen zählen schon mit)
+  function followAttempts(room, userId) {
+    const now = Date.now();
+    const attempts = room.followFails.get(userId) || [];
+    while (attempts.length && now - attempts[0] >= FOLLOW_FAIL_WINDOW_MS) attempts.shift();
+    if (attempts.length) room.followFails.set(userId, attempts);
+    else room.followFails.delete(userId);
+    return attempts;
+  }
+
+  function startFollowing(ws, state, roomId, ts = Date.now()) {
+    setFollowing(state, roomId);
+    state.followTs = ts;
+    const room = rooms.get(roomId);
+    if (room) {
+      history?.follow(roomId, { id: state.userId, name: state.name });
+      sendChatHistory(ws, room);
+      send(ws, rolesOf(room));
+      roomChanged(room);
+    }
+    sendToUser(roomId, {
+      type: "follow",
+      targetUserId: roomId,
+      user: { id: state.userId, name: state.name },
+      ts: state.followTs,
+    });
+  }
+
+  function unfollow(ws, state, ts = Date.now()) {
+    const roomId = state.following;
+    if (!roomId) return;
+    setFollowing(state, null);
+    state.followTs = 0;
+    state.credentials = null;
+    // Raum einer anderen Instanz: dort zählt und meldet der Owner
+    const owner = ownerElsewhere(ws, roomId);
+    if (owner) return forward(state, { type: "unfollow", targetUserId: roomId, ts }, owner);
+    if (state.userId && !isFollowing(state.userId, roomId)) {
+      history?.unfollow(roomId, state.userId);
+      sendToUser(roomId, {
+        type: "unfollow",
+        targetUserId: roomId,
+        user: { id: state.userId, name: state.name },
+        ts,
+      });
+      const room = rooms.get(roomId);
+      if (room?.djId === state.userId) returnDjToHost(room); // Gast-DJ hat den Raum verlassen
+      if (room) promoteWaitlist(room); // Platz frei
+      if (room) roomChanged(room);
+    }
+  }
+
+  // Alle Verbindungen eines Users aus dem Raum (und von der Warteliste) nehmen
+  function removeMember(room, userId, reason) {
+    clients.forEach((s, w) => {
+      if (s.userId === userId && (s.following === room.id || s.waiting === room.id)) denyFollow(w, s, room.id, reason);
+    });
+  }
+
+  function enforceBans(room) {
+    if (rooms.get(room.id) !== room) return; // inzwischen beendet
+    clients.forEach((s, w) => {
+      if ((s.following === room.id || s.waiting === room.id) && bans.isBanned(room.id, s.userId)) {
+        denyFollow(w, s, room.id, "banned");
+      }
+    });
+    sendBanList(room.id);
+  }
+
+  // Aktuelle Zuhörer an den Host – danach halten follow/unfollow seine Liste aktuell
+  function sendMembers(ws, room) {
+    const members = new Map();
+    clients.forEach((s) => {
+      if (s.following !== room.id || s.userId === room.id || members.has(s.userId)) return;
+      members.set(s.userId, { id: s.userId, name: s.name, ts: s.followTs });
+    });
+    send(ws, { type: "room_members", roomId: room.id, members: [...members.values()], ts: Date.now() });
+  }
+
+  function sendBanList(roomId) {
+    if (bans) sendToUser(roomId, { type: "ban_list", roomId, users: bans.list(roomId), ts: Date.now() });
+  }
+
+  /* -------------------- Hörer-Limit + Warteliste -------------------- */
+  // roomId -> Map<userId, Verbindungen>: wer gerade folgt – jede Änderung von state.following
+  // läuft über setFollowing, damit Hörerzahlen ohne Durchlauf aller Clients bereitstehen
+  const followers = new Map();
+
+  function setFollowing(state, roomId) {
+    const previous = state.following;
+    if (previous === roomId) return;
+    state.following = roomId;
+    if (previous) {
+      const users = followers.get(previous);
+      const count = users.get(state.userId) - 1;
+      if (count > 0) users.set(state.userId, count);
+      else users.delete(state.userId);
+      if (!users.size) followers.delete(previous);
+    }
+    if (roomId) {
+      if (!followers.has(roomId)) followers.set(roomId, new Map());
+      const users = followers.get(roomId);
+      users.set(state.userId, (users.get(state.userId) || 0) + 1);
+    }
+  }
+
+  // Zuhörer ohne den Host selbst (folgt er aus einem zweiten Tab, zählt er nicht)
+  function listenerCount(room) {
+    const users = followers.get(room.id);
+    if (!users) return 0;
+    return users.size - (users.has(room.id) ? 1 : 0);
+  }
+
+  function isFull(room) {
+    return room.maxListeners != null && listenerCount(room) >= room.maxListeners;
+  }
+
+  // Wartende: ihre Position; Sender: Länge der Liste
+  function sendWaitlist(room) {
+    room.waitlist.forEach((w, i) => send(w, { type: "waitlist", roomId: room.id, position: i + 1, ts: Date.now() }));
+    sendToUser(room.id, { type: "waitlist", roomId: room.id, size: room.waitlist.length, ts: Date.now() });
+  }
+
+  function joinWaitlist(ws, state, room) {
+    state.waiting = room.id;
+    if (!room.waitlist.includes(ws)) room.waitlist.push(ws);
+    sendWaitlist(room);
+  }
+
+  function leaveWaitlist(ws, state) {
+    const owner = ownerElsewhere(ws, state.waiting);
+    if (owner) forward(state, { type: "unfollow", targetUserId: state.waiting }, owner);
+    const room = rooms.get(state.waiting);
+    state.waiting = null;
+    if (!room || !room.waitlist.includes(ws)) return;
+    room.waitlist = room.waitlist.filter((w) => w !== ws);
+    sendWaitlist(room);
+  }
+
+  function promoteWaitlist(room) {
+    let changed = false;
+    while (room.waitlist.length && !isFull(room)) {
+      const w = room.waitlist.shift();
+      const s = clients.get(w);
+      changed = true;
+      if (!s || s.waiting !== room.id) continue;
+      s.waiting = null;
+      startFollowing(w, s, room.id);
+      send(w, { type: "waitlist", roomId: room.id, admitted: true, ts: Date.now() });
+      if (room.lastTrack) send(w, room.lastTrack);
+    }
+    if (changed) sendWaitlist(room);
+  }
+
+  /* -------------------- Track-Wünsche -------------------- */
+  function requestStatus(request, status, extra = {}) {
+    return {
+      type: "request_status",
+      id: request.id,
+      targetUserId: request.roomId,
+      status,
+      track: request.track,
+      ...extra,
+      ts: Date.now(),
+    };
+  }
+
+  function denyRequest(ws, roomId, reason, extra = {}) {
+    send(ws, { type: "request_status", id: null, targetUserId: roomId, status: "denied", reason, ...extra, ts: Date.now() });
+  }
+
+  // → Sekunden bis zum nächsten erlaubten Wunsch, 0 = jetzt erlaubt
+  function requestRetryAfter(room, userId) {
+    const now = Date.now();
+    const log = (room.requestLog.get(userId) || []).filter((t) => now - t < REQUEST_WINDOW_MS);
+    room.requestLog.set(userId, log);
+    if (log.length < MAX_REQUESTS) return 0;
+    return Math.ceil((log[0] + REQUEST_WINDOW_MS - now) / 1000);
+  }
+
+  function pendingOf(room, userId) {
+    let n = 0;
+    room.requests.forEach((r) => {
+      if (r.user.id === userId) n += 1;
+    });
+    return n;
+  }
+
+  /* -------------------- Chat -------------------- */
+  function sendChatHistory(ws, room) {
+    send(ws, { type: "chat_history", roomId: room.id, messages: room.chat, muted: [...room.muted], ts: Date.now() });
+  }
+
+  // Gemeinsames Limit für Chat und Reaktionen
+  function chatLimited(state) {
+    const now = Date.now();
+    state.chatLog = state.chatLog.filter((t) => now - t < CHAT_WINDOW_MS);
+    if (state.chatLog.length >= MAX_CHAT) return true;
+    state.chatLog.push(now);
+    return false;
+  }
+
+  // → Raum, wenn state dort schreiben darf; sonst chat_denied und null
+  function chatRoom(ws, state, roomId) {
+    const room = rooms.get(roomId);
+    let reason = null;
+    if (!room || !inRoom(state, room)) reason = "not_in_room";
+    else if (room.muted.has(state.userId)) reason = "muted";
+    else if (chatLimited(state)) reason = "rate_limited";
+    if (reason) send(ws, { type: "chat_denied", roomId, reason, ts: Date.now() });
+    return reason ? null : room;
+  }
+
+  function postToRoom(room, msg) {
+    room.chat.push(msg);
+    if (room.chat.length > CHAT_HISTORY) room.chat.shift();
+    sendWhere((s) => inRoom(s, room), msg);
+  }
+
+  // Position im aktuellen Track (Server-Zeit), für Reaktionen
+  function positionNow(room, now = Date.now()) {
+    const last = room.lastTrack;
+    if (!last) return null;
+    const playing = last.type !== "pause" && last.is_playing !== false;
+    return Math.max(0, (last.progress_ms || 0) + (playing ? now - last.ts : 0));
+  }
+
+  /* -------------------- Nachrichten -------------------- */
+  const handlers = {
+    // Identität steht schon fest – hello dient nur noch als Lebenszeichen
+    hello() {},
+
+    presence(ws, state, data) {
+      if (!data.user?.id) return;
+      const action = data.action;
+      if (action === "stop") {
+        // Host beendet den Raum, ein Gast-DJ gibt nur die Rolle ab
+        const current = roomFor(data.user.id);
+        if (current?.hostId === data.user.id) return endRoom(current.id);
+        if (current) returnDjToHost(current);
+        return;
+      }
+      if (action !== "start" && action !== "ping") return;
+      if (action === "ping" && noRoom(ws, data)) return;
+
+      const { room, isNew } = touchRoom(data.user);
+      const isHost = room.hostId === data.user.id;
+      if (action === "start" && !isHost) return; // Gast-DJ: der Raum gehört dem Host
+      if (action === "start" && typeof data.requests === "boolean") room.requestsEnabled = data.requests;
+      if (action === "start" && "maxListeners" in data) room.maxListeners = parseMaxListeners(data.maxListeners);
+      if (action === "start" && state) {
+        configureRoom(room, { visibility: data.visibility, passcode: data.passcode }, isNew);
+        sendChatHistory(ws, room);
+        if (!isNew) sendBanList(room.id); // neue Räume: nach dem Laden (enforceBans)
+        sendWaitlist(room);
+        sendMembers(ws, room);
+        room.hostAuth = state.auth;
+        if (room.djId === data.user.id) {
+          room.djAuth = state.auth;
+          hooks.onShareStart?.(data.user, state.auth);
+        }
+        if (!isNew) sendRoomRoles(room);
+        if (isNew) hooks.onRoomLive?.({ id: room.id, name: room.name, visibility: room.visibility });
+      }
+      roomChanged(room);
+      // Broadcaster-Ping ohne Raum behandeln wir wie einen Start
+      if (isNew || action === "start") return announceStart(room, ws);
+      sendLobbyWide(room, "visible", {
+        type: "presence",
+        action: "ping",
+        user: { id: room.id, name: room.name },
+        ts: room.lastSeen,
+      }, ws);
+    },
+
+    track(ws, state, data) {
+      if (!data.user?.id) return;
+      if (noRoom(ws, data)) return;
+      if (ws) data.ts = Date.now(); // Client-Uhren sind nicht vergleichbar
+      const { room, isNew } = touchRoom(data.user);
+      if (room.djId !== data.user.id) return; // nachzügelnder Poll des alten DJs
+      // Auf den Raum umadressieren – Clients filtern nach user.id (= Raum)
+      data.dj = { id: data.user.id, name: data.user.name };
+      data.user = { id: room.id, name: room.name };
+      data.roomId = room.id;
+      if (isNew) announceStart(room, ws);
+      room.lastTrack = data;
+      history?.track(room.id, data);
+      roomChanged(room);
+      sendLobbyWide(room, "preview", data, ws);
+    },
+
+    async follow(ws, state, data) {
+      const target = data.targetUserId;
+      if (!target || !data.user?.id) return;
+      const credentials = { invite: data.invite, passcode: data.passcode };
+      const seq = ++state.followSeq;
+      // Läuft der Raum schon, Zugang sofort prüfen; sonst beim presence:start (configureRoom)
+      const room = rooms.get(target);
+      if (room) {
+        const attempts = followAttempts(room, state.userId);
+        if (attempts.length >= MAX_FOLLOW_FAILS) return denyFollow(ws, state, target, "too_many_attempts");
+        if ((room.kicked.get(state.userId) || 0) > Date.now()) return denyFollow(ws, state, target, "kicked");
+        if (bans?.isBanned(target, state.userId)) return denyFollow(ws, state, target, "banned");
+        const attempt = Date.now();
+        attempts.push(attempt);
+        room.followFails.set(state.userId, attempts);
+        const reason = await access.check(room, credentials);
+        if (reason !== "passcode_wrong") attempts.splice(attempts.indexOf(attempt), 1);
+        // Während der Prüfung gegangen oder neu gefolgt/entfolgt → verwerfen; Raum beendet → neu bewerten
+        if (!clients.has(ws) || state.followSeq !== seq) return;
+        if (rooms.get(target) !== room) return handlers.follow(ws, state, data);
+        if (reason) return denyFollow(ws, state, target, reason);
+      }
+      if (state.following && state.following !== target) unfollow(ws, state, data.ts);
+      if (state.waiting) leaveWaitlist(ws, state);
+      state.credentials = credentials;
+      // Voll? Wer schon (in einem anderen Tab) zuhört, zählt bereits mit
+      if (room && isFull(room) && !isFollowing(state.userId, target)) return joinWaitlist(ws, state, room);
+      startFollowing(ws, state, target, data.ts || Date.now());
+      // Den Snapshot holt sich der Client gezielt per req_snapshot
+    },
+
+    unfollow(ws, state, data) {
+      state.followSeq += 1; // laufende Zugangsprüfung verwerfen
+      if (data.targetUserId && state.waiting === data.targetUserId) return leaveWaitlist(ws, state);
+      if (!data.targetUserId || state.following !== data.targetUserId) return;
+      unfollow(ws, state, data.ts);
+      // Zurück in der Lobby: Previews der anderen Räume nachliefern
+      sendLobby(ws);
+    },
+
+    req_snapshot(ws, state, data) {
+      const room = rooms.get(data.targetUserId);
+      // Noch kein Snapshot → der erste Poll des Broadcasters erreicht alle Follower
+      if (room?.lastTrack && canSee(state, room)) send(ws, room.lastTrack);
+    },
+
+    // Hörer → Sender: { targetUserId, track } (neutraler Track)
+    track_request(ws, state, data) {
+      const target = data.targetUserId;
+      const room = rooms.get(target);
+      if (!room) return denyRequest(ws, target, "room_offline");
+      if (state.following !== target) return denyRequest(ws, target, "not_following");
+      if (!room.requestsEnabled) return denyRequest(ws, target, "requests_disabled");
+      const track = parseTrack(data.track);
+      if (!track) return denyRequest(ws, target, "invalid_track");
+      const retryAfter = requestRetryAfter(room, state.userId);
+      if (retryAfter) return denyRequest(ws, target, "rate_limited", { retry_after: retryAfter });
+      if (pendingOf(room, state.userId) >= MAX_PENDING_PER_USER) return denyRequest(ws, target, "too_many_pending");
+      if (room.requests.size >= MAX_INBOX) return denyRequest(ws, target, "inbox_full");
+
+      room.requestLog.get(state.userId).push(Date.now());
+      const request = {
+        id: crypto.randomBytes(6).toString("base64url"),
+        roomId: room.id,
+        user: { id: state.userId, name: state.name },
+        track,
+        ts: Date.now(),
+      };
+      room.requests.set(request.id, request);
+      sendToUser(room.id, { type: "track_request", request, ts: request.ts });
+      sendToUser(state.userId, requestStatus(request, "pending"));
+    },
+
+    // Sender: { id, approve } – angenommene Wünsche landen in der eigenen Warteschlange
+    async request_decision(ws, state, data) {
+      const room = managedRoom(state.userId);
+      const request = room?.requests.get(data.id);
+      if (!request) return send(ws, errorFrame("unknown_request", data.type));
+      room.requests.delete(request.id);
+      if (!data.approve) {
+        const msg = requestStatus(request, "rejected");
+        sendToUser(request.user.id, msg);
+        return sendToUser(room.id, msg);
+      }
+      let msg;
+      try {
+        if (!hooks.queueTrack) throw Object.assign(new Error("no queue"), { code: "unsupported_provider" });
+        // in die Warteschlange des aktuellen DJs
+        const match = await hooks.queueTrack(room.djAuth || state.auth, request.track);
+        msg = requestStatus(request, "queued", { exact: match?.exact !== false });
+      } catch (e) {
+        msg = requestStatus(request, "failed", { reason: e.code || "queue_failed" });
+      }
+      sendToUser(request.user.id, msg);
+      sendToUser(room.id, msg);
+    },
+
+    // Sender oder Follower: { targetUserId, text }
+    chat(ws, state, data) {
+      const text = typeof data.text === "string" ? data.text.trim().slice(0, CHAT_MAX_LENGTH) : "";
+      if (!text) return;
+      const room = chatRoom(ws, state, data.targetUserId);
+      if (!room) return;
+      postToRoom(room, {
+        type: "chat",
+        id: crypto.randomBytes(6).toString("base64url"),
+        roomId: room.id,
+        user: { id: state.userId, name: state.name },
+        text,
+        ts: Date.now(),
+      });
+    },
+
+    // { targetUserId, emoji } – hängt an Track + Position beim Sender
+    reaction(ws, state, data) {
+      if (!REACTIONS.includes(data.emoji)) return;
+      const room = chatRoom(ws, state, data.targetUserId);
+      if (!room) return;
+      const now = Date.now();
+      postToRoom(room, {
+        type: "reaction",
+        id: crypto.randomBytes(6).toString("base64url"),
+        roomId: room.id,
+        user: { id: state.userId, name: state.name },
+        emoji: data.emoji,
+        trackId: room.lastTrack?.trackId || null,
+        position_ms: positionNow(room, now),
+        ts: now,
+      });
+    },
+
+    // Sender: { action: "mute"|"unmute"|"kick"|"ban"|"unban", followerId }
+    moderate(ws, state, data) {
+      const room = managedRoom(state.userId);
+      const target = data.followerId;
+      if (!room || !target || target === room.hostId) return;
+      const isHost = room.hostId === state.userId;
+      if (!isHost && data.action !== "mute" && data.action !== "unmute" && data.action !== "kick") return;
+      if (!isHost && room.cohosts.has(target)) return; // Co-Hosts moderieren sich nicht gegenseitig
+      if (data.action === "mute") {
+        room.muted.add(target);
+        sendToUser(target, { type: "chat_muted", roomId: room.id, muted: true, ts: Date.now() });
+      } else if (data.action === "unmute") {
+        room.muted.delete(target);
+        sendToUser(target, { type: "chat_muted", roomId: room.id, muted: false, ts: Date.now() });
+      } else if (data.action === "kick") {
+        room.kicked.set(target, Date.now() + KICK_COOLDOWN_MS);
+        removeMember(room, target, "kicked");
+      } else if (data.action === "ban" && bans) {
+        const member = [...clients.values()].find((s) => s.userId === target);
+        removeMember(room, target, "banned");
+        bans.ban(room.id, { id: target, name: member?.name || data.name })
+          .then(() => sendBanList(room.id))
+          .catch((e) => console.warn("ban failed:", e.message));
+      } else if (data.action === "unban" && bans) {
+        bans.unban(room.id, target)
+          .then(() => sendBanList(room.id))
+          .catch((e) => console.warn("unban failed:", e.message));
+      } else {
+        return;
+      }
+      sendWhere((s) => s.userId === room.hostId || room.cohosts.has(s.userId), {
+        type: "moderation",
+        roomId: room.id,
+        action: data.action,
+        followerId: target,
+        ts: Date.now(),
+      });
+    },
+
+    // Host: { followerId, role: "cohost"|"listener" }
+    set_role(ws, state, data) {
+      const room = rooms.get(state.userId);
+      const target = data.followerId;
+      if (!room || !target || target === room.hostId) return;
+      if (data.role === "cohost" && isFollowing(target, room.id)) room.cohosts.add(target);
+      else if (data.role === "listener") room.cohosts.delete(target);
+      else return;
+      sendRoomRoles(room);
+    },
+
+    // Host/Co-Host: { followerId } – neuer DJ (Follower des Raums oder der Host selbst)
+    dj_handoff(ws, state, data) {
+      const room = managedRoom(state.userId);
+      const target = data.followerId;
+      if (!room || !target) return;
+      const reject = (error) => send(ws, errorFrame(error, data.type));
+      if (target !== room.hostId && !isFollowing(target, room.id)) return reject("not_in_room");
+      if (target !== room.hostId && rooms.has(target)) return reject("hosts_own_room");
+      const auth = target === room.hostId ? room.hostAuth || authOf(target) : authOf(target);
+      const member = [...clients.values()].find((s) => s.userId === target);
+      if (!setDj(room, { id: target, name: member?.name || target }, auth)) return reject("handoff_failed");
+    },
+
+    // Sender: { requests?: true|false, maxListeners?: Zahl|null }
+    room_settings(ws, state, data) {
+      const room = rooms.get(state.userId);
+      if (!room) return;
+      if (typeof data.requests === "boolean" && data.requests !== room.requestsEnabled) {
+        room.requestsEnabled = data.requests;
+        announceStart(room); // Hörer sehen den neuen Schalterstand
+      }
+      if ("maxListeners" in data) {
+        room.maxListeners = parseMaxListeners(data.maxListeners);
+        promoteWaitlist(room);
+      }
+      sendRoomInfo(room);
+      roomChanged(room);
+    },
+
+    // { sort?, limit? } – Lobby-Übersicht dieses Clients (Sortierung, wie viele Räume)
+    lobby(ws, state, data) {
+      state.lobby = { sort: data.sort || state.lobby.sort, limit: data.limit || state.lobby.limit };
+      sendLobbyState(ws, state, true);
+    },
+  };
+  handlers.pause = handlers.track;
+
+  function claimsOtherUser(state, data) {
+    const claimed = data.user?.id ?? data.userId;
+    return claimed != null && claimed !== state.userId;
+  }
+
+  function createClient(ws, user, auth, connId) {
+    const state = {
+      userId: user.id,
+      name: user.name || user.id,
+      auth,
+      following: null,
+      waiting: null,
+      followTs: 0,
+      credentials: null,
+      followSeq: 0, // zählt follow/unfollow – verwirft veraltete async Zugangsprüfungen
+      chatLog: [],
+      connId,
+      remotes: new Set(), // Instanzen, an die diese Verbindung schon weitergeleitet hat
+      lobby: { sort: "listeners", limit: LOBBY_PAGE_SIZE },
+      lobbySent: null, // zuletzt gesendeter lobby_state (Vergleich)
+    };
+    clients.set(ws, state);
+    return state;
+  }
+
+  // Teilt dieser User schon (z.B. Tab neu geöffnet) → Sender-Ansicht wieder aufnehmen
+  function resumeSender(ws, userId) {
+    const room = rooms.get(userId);
+    if (!room) return;
+    send(ws, { type: "share_status", state: "active", ts: Date.now() });
+    send(ws, { type: "request_inbox", requests: [...room.requests.values()], ts: Date.now() });
+    sendChatHistory(ws, room);
+    sendBanList(userId);
+    sendMembers(ws, room);
+  }
+
+  function removeClient(ws) {
+    const state = clients.get(ws);
+    if (!state) return;
+    clients.delete(ws);
+    if (state.waiting) leaveWaitlist(ws, state);
+    unfollow(ws, state);
+    if (ws.remote) virtualConns.delete(`${ws.remote.instance}/${ws.remote.conn}`);
+    else localConns.delete(state.connId);
+    // Owner auf anderen Instanzen räumen ihren virtuellen Client weg
+    state.remotes.forEach((owner) => cluster.send(owner, { kind: "detach", conn: state.connId }));
+  }
+
+  /* -------------------- Cluster (andere Instanzen) -------------------- */
+  // Owner eines Raums auf einer anderen Instanz – nur für eigene Verbindungen (keine Weiterleitungsketten)
+  function ownerElsewhere(ws, roomId) {
+    if (!cluster || !roomId || ws?.remote || rooms.has(roomId)) return null;
+    return cluster.ownerOf(roomId);
+  }
+
+  // Raum einer anderen Instanz, in dem userId Host, DJ oder Co-Host ist
+  function remoteRoleRoom(userId) {
+    for (const entry of cluster.rooms.values()) {
+      if (entry.hostId === userId || entry.dj?.id === userId || entry.cohosts.includes(userId)) return entry.id;
+    }
+    return null;
+  }
+
+  // Owner-Instanz des Raums, den eine Client-Nachricht betrifft – null = hier behandeln
+  function ownerFor(ws, state, data) {
+    if (!cluster || ws.remote) return null;
+    switch (data.type) {
+      case "hello":
+      case "lobby":
+        return null;
+      case "follow":
+      case "unfollow":
+      case "req_snapshot":
+      case "track_request":
+      case "chat":
+      case "reaction":
+        return ownerElsewhere(ws, data.targetUserId);
+      default:
+        // presence, track/pause, Rollen, Moderation, Wünsche, Einstellungen: eigener Raum
+        if (roomFor(state.userId) || managedRoom(state.userId)) return null;
+        return ownerElsewhere(ws, remoteRoleRoom(state.userId));
+    }
+  }
+
+  // Session-ID ist ein Bearer-Credential: über den Bus nur versiegelt und an den User gebunden
+  function sealAuth(state) {
+    if (!signer || !state.auth?.sid) return null;
+    return signer.seal({ user: state.userId, sid: state.auth.sid, provider: state.auth.provider }, { ttlMs: AUTH_SEAL_TTL_MS });
+  }
+
+  function openAuth(sealed, userId) {
+    const payload = sealed && signer ? signer.open(sealed) : null;
+    return payload?.user === userId ? { sid: payload.sid, provider: payload.provider } : {};
+  }
+
+  function forward(state, data, owner) {
+    state.remotes.add(owner);
+    cluster.send(owner, {
+      kind: "message",
+      conn: state.connId,
+      user: { id: state.userId, name: state.name },
+      auth: sealAuth(state),
+      data,
+    });
+  }
+
+  // Nachricht eines eigenen Clients an den Owner; following/waiting spiegeln wir hier mit,
+  // damit Lobby-Frames und Raumwechsel stimmen
+  function relay(ws, state, data, owner) {
+    const target = data.targetUserId;
+    if (data.type === "unfollow") {
+      if (state.waiting === target) return leaveWaitlist(ws, state);
+      if (state.following !== target) return;
+      unfollow(ws, state, data.ts);
+      return sendLobby(ws);
+    }
+    if (data.type === "follow") {
+      if (state.following && state.following !== target) unfollow(ws, state, data.ts);
+      if (state.waiting && state.waiting !== target) leaveWaitlist(ws, state);
+      setFollowing(state, target);
+      state.followTs = data.ts || Date.now();
+      state.credentials = { invite: data.invite, passcode: data.passcode };
+    }
+    forward(state, data, owner);
+  }
+
+  // Frames vom Owner, die den gespiegelten Zustand ändern
+  function mirror(state, msg) {
+    if (msg.type === "follow_denied") {
+      if (state.following === msg.targetUserId) setFollowing(state, null);
+      if (state.waiting === msg.targetUserId) state.waiting = null;
+    } else if (msg.type === "waitlist" && msg.position) {
+      state.waiting = msg.roomId;
+      if (state.following === msg.roomId) setFollowing(state, null);
+    } else if (msg.type === "waitlist" && msg.admitted) {
+      state.waiting = null;
+      setFollowing(state, msg.roomId);
+    }
+  }
+
+  function receiveEnvelope(envelope) {
+    if (envelope.kind === "deliver") {
+      const ws = localConns.get(envelope.conn);
+      const state = ws && clients.get(ws);
+      if (!state) return;
+      mirror(state, envelope.msg);
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(envelope.msg));
+      return;
+    }
+    const key = `${envelope.from}/${envelope.conn}`;
+    let ws = virtualConns.get(key);
+    if (envelope.kind === "detach") return ws && removeClient(ws);
+    if (envelope.kind !== "message") return;
+    if (!ws) {
+      ws = { remote: { instance: envelope.from, conn: envelope.conn } };
+      virtualConns.set(key, ws);
+      createClient(ws, envelope.user, openAuth(envelope.auth, envelope.user.id), envelope.conn);
+      resumeSender(ws, envelope.user.id);
+    }
+    handleMessage(ws, clients.get(ws), { ...envelope.data, user: envelope.user });
+  }
+
+  // Lobby-Frame eines Raums einer anderen Instanz → eigene Clients außerhalb des Raums
+  // (wer drin ist, ist beim Owner virtueller Client und bekommt den Frame von dort)
+  function receiveLobby({ room, scope, msg }) {
+    if (rooms.has(room.id) || !LOBBY_SCOPES[scope]) return;
+    sendWhere((s) => !s.remote && !inRoom(s, room) && LOBBY_SCOPES[scope](s, room), msg);
+  }
+
+  // Raum ist auf einer anderen Instanz live gegangen: wer schon folgt (Link vor dem Start
+  // geöffnet) oder als Host hier verbunden ist, meldet sich beim Owner an
+  function attachToRemote(entry) {
+    clients.forEach((s, w) => {
+      if (w.remote || !inRoom(s, entry)) return;
+      send(w, presenceStart(entry, entry.dj));
+      if (s.userId === entry.id) forward(s, { type: "hello" }, entry.owner);
+      else forward(s, { type: "follow", targetUserId: entry.id, ...s.credentials }, entry.owner);
+    });
+  }
+
+  // Owner verschwunden (kein Lebenszeichen mehr): Raum aus den eigenen Lobbys nehmen.
+  // Reguläres Ende: presence stop kam schon als Lobby-Frame bzw. vom Owner
+  function remoteRoomGone(entry, expired) {
+    if (!expired) return;
+    sendWhere((s) => !s.remote && canSee(s, entry), {
+      type: "presence",
+      action: "stop",
+      user: { id: entry.id, name: entry.name },
+      ts: Date.now(),
+    });
+  }
+
+  // Geprüfte Nachricht eines Clients (eigener oder virtueller) ausführen
+  function handleMessage(ws, state, data) {
+    const owner = ownerFor(ws, state, data);
+    if (owner) return relay(ws, state, data, owner);
+    const handler = handlers[data.type];
+    // follow/request_decision sind async – Fehler nur loggen
+    if (handler) Promise.resolve(handler(ws, state, data)).catch((e) => console.warn(`${data.type} failed:`, e.message));
+  }
+
+  // user: verifizierte Identität aus dem Upgrade ({ id, name }), auth: Tokens für den Broadcaster
+  function handleConnection(ws, user, auth = {}) {
+    const connId = String(++connSeq);
+    const state = createClient(ws, user, auth, connId);
+    localConns.set(connId, ws);
+    sendLobby(ws);
+    sendLobbyState(ws, state);
+    resumeSender(ws, user.id);
+    // Eigener Raum lebt auf einer anderen Instanz → dort anmelden (Sender-Ansicht, Follower-Meldungen)
+    const owner = ownerElsewhere(ws, user.id);
+    if (owner) forward(state, { type: "hello" }, owner);
+
+    ws.on("message", (raw) => {
+      const receivedAt = Date.now();
+      // Größe, JSON, Version und Felder prüfen (shared/protocol.js) – nur bekannte Felder kommen durch
+      const parsed = parseMessage(raw);
+      if (!parsed.ok) return send(ws, errorFrame(parsed.error, parsed.type, parsed.field ? { field: parsed.field } : {}));
+      const data = parsed.message;
+      // Uhrabgleich: t0 = Client-Sendezeit (unverändert zurück), t1 = Empfang, t2 = Antwort
+      if (data.type === "time_sync") {
+        return send(ws, { type: "time_sync", t0: data.t0, t1: receivedAt, t2: Date.now() });
+      }
+      if (claimsOtherUser(state, data)) {
+        return send(ws, errorFrame("identity_mismatch", data.type));
+      }
+      data.user = { id: state.userId, name: state.name };
+      handleMessage(ws, state, data);
+    });
+
+    ws.on("close", () => removeClient(ws));
+  }
+
+  // Räume ohne Lebenszeichen aufräumen
+  const sweepTimer = setInterval(() => {
+    const cutoff = Date.now() - PRESENCE_TTL_MS;
+    rooms.forEach((room) => {
+      if (room.lastSeen < cutoff) endRoom(room.id);
+    });
+    if (!cluster) return;
+    cluster.sweep(cutoff);
+    // Virtuelle Clients abgestürzter Instanzen (von dort kommt kein detach mehr)
+    virtualConns.forEach((ws) => {
+      if (!cluster.isAlive(ws.remote.instance)) removeClient(ws);
+    });
+  }, SWEEP_MS);
+  sweepTimer.unref?.();
+
+  cluster
+    ?.start({
+      onRoom: (entry, isNew) => {
+        lobbyChanged();
+        if (isNew) attachToRemote(entry);
+      },
+      onRoomEnd: (entry, expired) => {
+        lobbyChanged();
+        remoteRoomGone(entry, expired);
+      },
+      onLobby: receiveLobby,
+      onEnvelope: receiveEnvelope,
+    })
+    .catch((e) => console.error("cluster start failed:", e.message));
+
+  // Server-seitige Nachricht im Namen eines Users (Broadcaster)
+  function dispatch(user, data) {
+    const handler = handlers[data.type];
+    if (handler) handler(null, null, { ...data, user: { id: user.id, name: user.name } });
+  }
+
+  return {
+    handleConnection,
+    dispatch,
+    sendToUser,
+    endRoom,
+    stopDj,
+    liveRooms,
+    roomIdOf: (userId) => roomFor(userId)?.id || null,
+    rooms,
+  };
+}
+
+module.exports = { createHub, PRESENCE_TTL_MS };
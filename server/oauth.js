@@ -0,0 +1,68 @@
+/**
+ * Celebeaty – Login beim Provider: state (CSRF/Login-Swapping) + optionales PKCE + returnTo
+ * - /login erzeugt eine Nonce; sie steckt signiert im `state` UND im httpOnly-Cookie
+ * - /callback akzeptiert den Code nur, wenn state-Signatur, Ablauf und Cookie-Nonce passen
+ * - PKCE (S256): code_verifier liegt signiert im Cookie, code_challenge geht an den Provider
+ * - returnTo (nur relative Pfade) und der Provider überstehen den Umweg, z.B. "/?follow=<id>"
+ * - Die Auth-URL selbst baut der Provider (server/providers/*)
+ *
+ * ENV:
+ *   SPOTIFY_PKCE=1   (optional)
+ */
+
+const crypto = require("crypto");
+
+const OAUTH_COOKIE = "sp_oauth";
+const STATE_TTL_MS = 10 * 60 * 1000;
+const RETURN_TO_MAX = 512;
+
+function isPkceEnabled(env = process.env) {
+  return ["1", "true", "yes"].includes(String(env.SPOTIFY_PKCE || "").toLowerCase());
+}
+
+// Nur eigene, relative Pfade – keine fremden Hosts ("//evil", "/\\evil") und keine Quotes/Tags
+function sanitizeReturnTo(value) {
+  const v = typeof value === "string" ? value : "";
+  if (!v.startsWith("/") || v.startsWith("//") || v.length > RETURN_TO_MAX) return "/";
+  if (!/^\/[A-Za-z0-9\-._~!$&()*+,;=:@%/?]*$/.test(v)) return "/";
+  return v;
+}
+
+function createOAuth({ signer, pkce = isPkceEnabled() }) {
+  /**
+   * Neuen Login beim Provider beginnen.
+   * → { url, cookie } – cookie muss als OAUTH_COOKIE gesetzt werden (maxAge STATE_TTL_MS)
+   */
+  function begin({ provider, returnTo, forceDialog = false, loginHint } = {}) {
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const state = signer.sign({ n: nonce, r: sanitizeReturnTo(returnTo), p: provider.id }, { ttlMs: STATE_TTL_MS });
+
+    let verifier = null;
+    let codeChallenge = null;
+    if (pkce && provider.supportsPkce) {
+      verifier = crypto.randomBytes(48).toString("base64url");
+      codeChallenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+    }
+    const cookie = signer.sign({ n: nonce, v: verifier }, { ttlMs: STATE_TTL_MS });
+    return { url: provider.authUrl({ state, codeChallenge, forceDialog, loginHint }), cookie };
+  }
+
+  /**
+   * state aus /callback gegen das Cookie prüfen.
+   * → { returnTo, codeVerifier, provider } oder null
+   */
+  function complete(state, cookie) {
+    const fromState = signer.verify(state);
+    const fromCookie = signer.verify(cookie);
+    if (!fromState || !fromCookie || fromState.n !== fromCookie.n) return null;
+    return {
+      returnTo: sanitizeReturnTo(fromState.r),
+      codeVerifier: fromCookie.v || null,
+      provider: fromState.p || "spotify",
+    };
+  }
+
+  return { begin, complete };
+}
+
+module.exports = { createOAuth, sanitizeReturnTo, OAUTH_COOKIE, STATE_TTL_MS };
@@ -0,0 +1,77 @@
+/**
+ * Celebeaty – Playback-Provider: gemeinsame Schnittstelle
+ *
+ * Ein Provider ist ein Objekt mit:
+ *   id, label, supportsPkce
+ *   Auth:      authUrl({ state, codeChallenge, forceDialog, loginHint }) → URL
+ *              exchangeCode(code, { codeVerifier }) → { status, data: { access_token, refresh_token, expires_in } }
+ *              refreshAccessToken(refreshToken)      → { status, data } (gleiche Form)
+ *              (beide: Provider nicht erreichbar → ProviderError 502)
+ *   User:      getMe(sid)                            → { id, display_name, email?, country?, product? }
+ *   Playback:  getNowPlaying(sid)                    → { is_playing, progress_ms, track } | { reason, message }
+ *              getDevices(sid)                       → { devices: [{ id, name, type, is_active, is_restricted }] }
+ *              transfer(sid, deviceId, play)
+ *              play(sid, { track, position_ms })     → Match (siehe server/trackMatcher.js) | undefined
+ *                                                    (track = null → fortsetzen)
+ *              pause(sid), seek(sid, position_ms)
+ *   Lookup:    getTrack(sid, id)                     → Track | null
+ *              searchTracks(sid, { query, isrc, title, artists, limit }) → Track[]  (query = Freitext)
+ *   Optional:  queue(sid, track)                     → Match (Track hinten an die Warteschlange)
+ *              createPlaylist(sid, { name, description, isPublic, tracks }) → { id, name, url, added, skipped }
+ *
+ * Track (provider-neutral, so geht er auch über /ws):
+ *   { provider, id, uri, isrc, title, artists[], album, duration_ms, image, url, playable }
+ *   playable: im Markt des Users abspielbar (null = unbekannt)
+ *
+ * Fehler immer als ProviderError { status, code, retryAfter, details }.
+ */
+
+class ProviderError extends Error {
+  constructor(status, code, { retryAfter = null, details = null } = {}) {
+    super(`Provider ${status}: ${code}`);
+    this.name = "ProviderError";
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+function makeTrack(provider, t = {}) {
+  return {
+    provider,
+    id: String(t.id),
+    uri: t.uri || null,
+    isrc: t.isrc ? String(t.isrc).toUpperCase() : null,
+    title: t.title || "",
+    artists: Array.isArray(t.artists) ? t.artists.map(String) : [],
+    album: t.album || null,
+    duration_ms: Number.isFinite(t.duration_ms) ? t.duration_ms : null,
+    image: t.image || null,
+    url: t.url || null,
+    playable: typeof t.playable === "boolean" ? t.playable : null,
+  };
+}
+
+// Track von einem Client (WS/HTTP) annehmen: nur bekannte Felder, sonst null
+function parseTrack(value) {
+  if (!value || typeof value !== "object") return null;
+  if (typeof value.provider !== "string" || value.id == null) return null;
+  return makeTrack(value.provider, value);
+}
+
+// Einheitliche Fehlerantwort für Express-Routen
+function sendProviderError(res, err, fallbackCode) {
+  if (err instanceof ProviderError) {
+    if (err.retryAfter != null) res.set("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({
+      error: err.code,
+      ...(err.retryAfter != null ? { retry_after: err.retryAfter } : {}),
+      ...(err.details ? { details: err.details } : {}),
+    });
+  }
+  console.error(`${fallbackCode}:`, err.message);
+  return res.status(500).json({ error: fallbackCode });
+}
+
+module.exports = { ProviderError, makeTrack, parseTrack, sendProviderError };
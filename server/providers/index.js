@@ -0,0 +1,56 @@
+/**
+ * Celebeaty – Provider-Registry
+ * - Welche Provider aktiv sind, steuert PROVIDERS (Standard: "spotify")
+ * - Jede Session gehört zu genau einem Provider (session.provider, alte Sessions = spotify)
+ * - Ein gemeinsamer Track-Matcher (server/trackMatcher.js) bildet fremde Tracks auf den Provider ab
+ *
+ * ENV:
+ *   PROVIDERS=spotify,mock   (mock: lokaler Fake-Player für Entwicklung/Tests)
+ */
+
+const { createSpotifyProvider } = require("./spotify");
+const { createMockProvider } = require("./mock");
+const { ProviderError } = require("./base");
+const { createTrackMatcher } = require("../trackMatcher");
+
+const FACTORIES = {
+  spotify: createSpotifyProvider,
+  mock: createMockProvider,
+};
+const DEFAULT_PROVIDER = "spotify";
+
+function enabledFromEnv(env = process.env) {
+  const ids = String(env.PROVIDERS || DEFAULT_PROVIDER)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((id) => FACTORIES[id]);
+  return ids.length ? [...new Set(ids)] : [DEFAULT_PROVIDER];
+}
+
+function createProviders({ sessions, enabled = enabledFromEnv(), matcher = createTrackMatcher({ sessions }) }) {
+  const providers = new Map(enabled.map((id) => [id, FACTORIES[id]({ sessions, matcher })]));
+  const fallback = providers.get(DEFAULT_PROVIDER) || providers.values().next().value;
+
+  // Unbekannte/abgeschaltete IDs → null (Routen antworten dann mit 400)
+  function get(id) {
+    if (!id) return fallback;
+    return providers.get(id) || null;
+  }
+
+  // Provider der Session; ohne Session → ProviderError 401
+  async function forSession(sid) {
+    const record = sid ? await sessions.get(sid) : null;
+    if (!record) throw new ProviderError(401, "no_session");
+    const provider = get(record.provider || DEFAULT_PROVIDER);
+    if (!provider) throw new ProviderError(401, "provider_disabled");
+    return provider;
+  }
+
+  function list() {
+    return [...providers.values()].map((p) => ({ id: p.id, label: p.label }));
+  }
+
+  return { get, forSession, list, default: fallback };
+}
+
+module.exports = { createProviders, DEFAULT_PROVIDER };
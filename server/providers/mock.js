@@ -0,0 +1,195 @@
+/**
+ * Celebeaty – Lokaler Mock-Provider für Entwicklung und Tests
+ * - Login ohne externen Dienst: /login?provider=mock&name=Alice → direkt zurück auf /callback
+ * - Ein virtuelles Gerät pro Session, Wiedergabe läuft rein rechnerisch (Startzeit + Position);
+ *   am Trackende geht's mit der Warteschlange weiter, sonst Endlosschleife
+ * - Kleiner Katalog mit ISRCs; fremde Tracks (z.B. von Spotify) werden "abgespielt",
+ *   indem der Mock sie aus den neutralen Metadaten übernimmt
+ */
+
+const crypto = require("crypto");
+const { makeTrack, ProviderError } = require("./base");
+
+const TOKEN_TTL_S = 30 * 24 * 3600;
+
+const CATALOG = [
+  { id: "mock-1", isrc: "QZMCK2500001", title: "Lokaler Sonnenaufgang", artists: ["Die Platzhalter"], duration_ms: 183000 },
+  { id: "mock-2", isrc: "QZMCK2500002", title: "Kein Netz, kein Problem", artists: ["Offline Orchester"], duration_ms: 214000 },
+  { id: "mock-3", isrc: "QZMCK2500003", title: "Testfall", artists: ["Jest & Friends", "Node"], duration_ms: 156000 },
+].map((t) => makeTrack("mock", { ...t, uri: `mock:track:${t.id}`, album: "Celebeaty Mock Sessions" }));
+
+function createMockProvider({ sessions, matcher }) {
+  const tracks = new Map(CATALOG.map((t) => [t.id, t]));
+  // sid -> { track, is_playing, position_ms, since, active, queue }
+  const players = new Map();
+  const playlists = new Map(); // id -> { id, name, owner, tracks }
+
+  async function userFor(sid) {
+    const t = await sessions.getAccessToken(sid);
+    if (t.error) throw new ProviderError(t.error.status, t.error.body?.error || "no_session");
+    const name = Buffer.from(String(t.accessToken).split(".")[1] || "", "base64url").toString("utf8") || "Mock";
+    return { id: `mock:${name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`, name };
+  }
+
+  async function player(sid) {
+    await userFor(sid); // wirft ohne gültige Session
+    if (!players.has(sid)) {
+      players.set(sid, { track: CATALOG[0], is_playing: true, position_ms: 0, since: Date.now(), active: true, queue: [] });
+    }
+    return players.get(sid);
+  }
+
+  function positionOf(p, now = Date.now()) {
+    if (!p.is_playing) return p.position_ms;
+    const pos = p.position_ms + (now - p.since);
+    return p.track.duration_ms ? pos % p.track.duration_ms : pos; // Endlosschleife
+  }
+
+  // Abgelaufene Tracks durch die nächsten aus der Warteschlange ersetzen
+  function advanceQueue(p, now = Date.now()) {
+    while (p.is_playing && p.queue.length && p.track.duration_ms) {
+      const left = p.track.duration_ms - p.position_ms;
+      if (now - p.since < left) break;
+      p.since += left;
+      p.position_ms = 0;
+      p.track = p.queue.shift();
+    }
+  }
+
+  function setPosition(p, position_ms, is_playing = p.is_playing) {
+    p.position_ms = Math.max(0, position_ms);
+    p.is_playing = is_playing;
+    p.since = Date.now();
+  }
+
+  const provider = {
+    id: "mock",
+    label: "Mock",
+    supportsPkce: false,
+
+    authUrl({ state, loginHint } = {}) {
+      const name = String(loginHint || `Mock-${crypto.randomBytes(2).toString("hex")}`).slice(0, 40);
+      const params = new URLSearchParams({ code: Buffer.from(name).toString("base64url") });
+      if (state) params.set("state", state);
+      return `/callback?${params.toString()}`;
+    },
+
+    async exchangeCode(code) {
+      if (!code) return { status: 400, data: { error: "invalid_grant" } };
+      const token = `mock.${code}.${crypto.randomBytes(8).toString("hex")}`;
+      return { status: 200, data: { access_token: token, refresh_token: token, expires_in: TOKEN_TTL_S } };
+    },
+
+    async refreshAccessToken(refreshToken) {
+      return { status: 200, data: { access_token: refreshToken, expires_in: TOKEN_TTL_S } };
+    },
+
+    async getMe(sid) {
+      const u = await userFor(sid);
+      return { id: u.id, display_name: u.name, product: "mock" };
+    },
+
+    async getNowPlaying(sid) {
+      const p = await player(sid);
+      if (!p.active || !p.track) return { reason: "no_item", message: "Kein Song wird gerade gespielt." };
+      advanceQueue(p);
+      return { is_playing: p.is_playing, progress_ms: Math.round(positionOf(p)), track: p.track };
+    },
+
+    async getDevices(sid) {
+      const p = await player(sid);
+      return {
+        devices: [{ id: "mock-device", name: "Mock Player", type: "Computer", is_active: p.active, is_restricted: false }],
+      };
+    },
+
+    async transfer(sid, deviceId, play = true) {
+      const p = await player(sid);
+      if (deviceId !== "mock-device") throw new ProviderError(404, "device_not_found");
+      p.active = true;
+      if (play) setPosition(p, positionOf(p), true);
+    },
+
+    async play(sid, { track = null, position_ms } = {}) {
+      const p = await player(sid);
+      let match;
+      if (track) {
+        match = await matcher.match(provider, sid, track);
+        if (!match) throw new ProviderError(404, "track_not_found");
+        p.track = match.track;
+      }
+      p.active = true;
+      setPosition(p, Number.isFinite(position_ms) ? position_ms : track ? 0 : positionOf(p), true);
+      return match;
+    },
+
+    async queue(sid, track) {
+      const p = await player(sid);
+      const match = await matcher.match(provider, sid, track);
+      if (!match) throw new ProviderError(404, "track_not_found");
+      advanceQueue(p);
+      p.queue.push(match.track);
+      return match;
+    },
+
+    async pause(sid) {
+      const p = await player(sid);
+      setPosition(p, positionOf(p), false);
+    },
+
+    async seek(sid, position_ms) {
+      const p = await player(sid);
+      setPosition(p, position_ms);
+    },
+
+    async getTrack(sid, id) {
+      await userFor(sid);
+      return tracks.get(String(id)) || null;
+    },
+
+    async createPlaylist(sid, { name, tracks = [] }) {
+      const owner = await userFor(sid);
+      const ids = [];
+      let skipped = 0;
+      for (const t of tracks) {
+        const own = t.provider === provider.id ? t : (await matcher.match(provider, sid, t))?.track;
+        if (!own) skipped += 1;
+        else if (!ids.includes(own.id)) ids.push(own.id);
+      }
+      const id = `mock-pl-${crypto.randomBytes(4).toString("hex")}`;
+      playlists.set(id, { id, name, owner: owner.id, tracks: ids });
+      return { id, name, url: null, added: ids.length, skipped };
+    },
+
+    async searchTracks(sid, { query, isrc, title, artists, limit = 5 } = {}) {
+      await userFor(sid);
+      if (query && !isrc) {
+        const q = String(query).toLowerCase();
+        return [...tracks.values()]
+          .filter((t) => [t.title, ...t.artists].some((s) => s.toLowerCase().includes(q)))
+          .slice(0, limit);
+      }
+      const wanted = isrc ? String(isrc).toUpperCase() : null;
+      let hits = [...tracks.values()].filter((t) =>
+        wanted ? t.isrc === wanted : title && t.title.toLowerCase() === String(title).toLowerCase()
+      );
+      if (!hits.length && (wanted || title)) {
+        // "Spielt alles": unbekannten Track aus den Metadaten anlegen
+        const t = makeTrack("mock", {
+          id: `mock-${wanted || crypto.createHash("sha1").update(`${title}|${artists}`).digest("hex").slice(0, 12)}`,
+          isrc: wanted,
+          title: title || wanted,
+          artists: artists || [],
+          duration_ms: 240000,
+        });
+        t.uri = `mock:track:${t.id}`;
+        tracks.set(t.id, t);
+        hits = [t];
+      }
+      return hits.slice(0, limit);
+    },
+  };
+  return provider;
+}
+
+module.exports = { createMockProvider, CATALOG };
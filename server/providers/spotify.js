@@ -0,0 +1,198 @@
+/**
+ * Celebeaty – Spotify als Playback-Provider (Schnittstelle: server/providers/base.js)
+ * - HTTP, Refresh, Backoff und Budget macht der zentrale Client (server/spotify.js)
+ * - Hier nur: Auth-URL/Scopes, Mapping auf neutrale Tracks, Player-Befehle
+ */
+
+const { createSpotifyClient, refreshAccessToken, exchangeCode } = require("../spotify");
+const { makeTrack, ProviderError } = require("./base");
+
+const SCOPES = [
+  "user-read-playback-state",
+  "user-read-currently-playing",
+  "user-modify-playback-state",
+  "user-read-email",
+  "user-read-private",
+  "playlist-modify-private", // Session als Playlist speichern
+  "playlist-modify-public",
+];
+const PLAYLIST_CHUNK = 100; // max. Tracks je Add-Request
+const PLAYLIST_MATCH_MAX = 20; // fremde Tracks, die ein Export höchstens sucht (je bis zu 2 Suchen)
+const MATCH_COST = 2; // ISRC- + unscharfe Suche
+const BUDGET_HEADROOM = 5; // Rest fürs Budget lassen (Broadcaster-Poll läuft weiter)
+
+function toTrack(item) {
+  return makeTrack("spotify", {
+    id: item.id,
+    uri: item.uri || `spotify:track:${item.id}`,
+    isrc: item.external_ids?.isrc,
+    title: item.name,
+    artists: (item.artists || []).map((a) => a.name),
+    album: item.album?.name || null,
+    duration_ms: item.duration_ms,
+    image: item.album?.images?.[0]?.url || null,
+    url: item.external_urls?.spotify || null,
+    playable: item.is_playable, // nur gesetzt, wenn mit market abgefragt
+  });
+}
+
+// Suchanfrage im Spotify-Format ("isrc:…", Freitext bzw. track:/artist:-Filter)
+function buildQuery({ query, isrc, title, artists }) {
+  if (isrc) return `isrc:${isrc}`;
+  if (query) return String(query);
+  const parts = [];
+  if (title) parts.push(`track:${title}`);
+  if (artists?.[0]) parts.push(`artist:${artists[0]}`);
+  return parts.join(" ");
+}
+
+// client: zum Testen austauschbar
+function createSpotifyProvider({ sessions, matcher, client = createSpotifyClient({ sessions }) }) {
+  const provider = {
+    id: "spotify",
+    label: "Spotify",
+    supportsPkce: true,
+    client, // für Spotify-spezifische Routen (/spotify/*)
+
+    authUrl({ state, codeChallenge, forceDialog = false } = {}) {
+      const params = new URLSearchParams({
+        response_type: "code",
+        client_id: process.env.SPOTIFY_CLIENT_ID,
+        scope: SCOPES.join(" "),
+        redirect_uri: process.env.REDIRECT_URI,
+      });
+      if (state) params.set("state", state);
+      if (codeChallenge) {
+        params.set("code_challenge_method", "S256");
+        params.set("code_challenge", codeChallenge);
+      }
+      if (forceDialog) params.set("show_dialog", "true");
+      return `https://accounts.spotify.com/authorize?${params.toString()}`;
+    },
+
+    exchangeCode,
+    refreshAccessToken,
+
+    async getMe(sid) {
+      const r = await client.get(sid, "/me");
+      return r.data || {};
+    },
+
+    async getNowPlaying(sid) {
+      const r = await client.get(sid, "/me/player/currently-playing");
+      if (r.status === 204 || !r.data) return { reason: "no_item", message: "Kein Song wird gerade gespielt." };
+      if (!r.data.item?.id) {
+        const ad = r.data.currently_playing_type === "ad";
+        return {
+          reason: r.data.currently_playing_type || "no_item",
+          message: ad ? "Werbung läuft." : "Kein item. Evtl. Werbung oder private session.",
+        };
+      }
+      return { is_playing: !!r.data.is_playing, progress_ms: r.data.progress_ms || 0, track: toTrack(r.data.item) };
+    },
+
+    async getDevices(sid) {
+      const r = await client.get(sid, "/me/player/devices");
+      return { devices: r.data?.devices || [] };
+    },
+
+    async transfer(sid, deviceId, play = true) {
+      await client.put(sid, "/me/player", { device_ids: [deviceId], play });
+    },
+
+    async play(sid, { track = null, position_ms } = {}) {
+      if (!track) return void (await client.put(sid, "/me/player/play", {}));
+      const match = await matcher.match(provider, sid, track);
+      if (!match) throw new ProviderError(404, "track_not_found");
+      const own = match.track;
+      await client.put(sid, "/me/player/play", { uris: [own.uri || `spotify:track:${own.id}`], position_ms });
+      return match;
+    },
+
+    // Track (auch von anderem Provider) hinten an die Warteschlange → Match
+    async queue(sid, track) {
+      const match = await matcher.match(provider, sid, track);
+      if (!match) throw new ProviderError(404, "track_not_found");
+      const own = match.track;
+      await client.post(sid, "/me/player/queue", undefined, { query: { uri: own.uri || `spotify:track:${own.id}` } });
+      return match;
+    },
+
+    async pause(sid) {
+      await client.put(sid, "/me/player/pause", {});
+    },
+
+    async seek(sid, position_ms) {
+      await client.put(sid, "/me/player/seek", undefined, { query: { position_ms } });
+    },
+
+    async getTrack(sid, id) {
+      try {
+        // market=from_token → is_playable + Relinking für den Markt des Users
+        const r = await client.get(sid, `/tracks/${encodeURIComponent(id)}`, { query: { market: "from_token" } });
+        return r.data?.id ? toTrack(r.data) : null;
+      } catch (e) {
+        if (e.status === 404 || e.status === 400) return null;
+        throw e;
+      }
+    },
+
+    /**
+     * Playlist mit den Tracks anlegen (Reihenfolge bleibt, Duplikate fliegen raus).
+     * Fremde Tracks laufen über den Matcher – höchstens PLAYLIST_MATCH_MAX und nur, solange das
+     * Session-Budget für Anlegen + Hinzufügen reicht. Nicht gefundene, nicht mehr gesuchte oder
+     * fehlgeschlagene zählen als skipped; der Matcher-Cache hilft beim nächsten Export.
+     */
+    async createPlaylist(sid, { name, description = "", isPublic = false, tracks = [] }) {
+      const uris = [];
+      const seen = new Set();
+      let skipped = 0;
+      let matchesLeft = PLAYLIST_MATCH_MAX;
+      const reserve = 1 + Math.ceil(tracks.length / PLAYLIST_CHUNK) + BUDGET_HEADROOM;
+      const matchOwn = async (t) => {
+        if (matchesLeft <= 0 || client.remaining(sid) < reserve + MATCH_COST) return null;
+        matchesLeft -= 1;
+        try {
+          return (await matcher.match(provider, sid, t))?.track;
+        } catch (e) {
+          if (e.status === 401 || e.status === 403) throw e;
+          if (e.status === 429) matchesLeft = 0; // Budget/Rate-Limit: Rest überspringen
+          return null;
+        }
+      };
+      for (const t of tracks) {
+        const own = t.provider === provider.id ? t : await matchOwn(t);
+        if (!own) {
+          skipped += 1;
+          continue;
+        }
+        const uri = own.uri || `spotify:track:${own.id}`;
+        if (seen.has(uri)) continue;
+        seen.add(uri);
+        uris.push(uri);
+      }
+      try {
+        const created = await client.post(sid, "/me/playlists", { name, description, public: isPublic });
+        const playlist = created.data;
+        for (let i = 0; i < uris.length; i += PLAYLIST_CHUNK) {
+          await client.post(sid, `/playlists/${playlist.id}/tracks`, { uris: uris.slice(i, i + PLAYLIST_CHUNK) });
+        }
+        return { id: playlist.id, name: playlist.name, url: playlist.external_urls?.spotify || null, added: uris.length, skipped };
+      } catch (e) {
+        // Login von vor den Playlist-Scopes → neu einloggen
+        if (e.status === 403) throw new ProviderError(403, "missing_scope", { details: e.details });
+        throw e;
+      }
+    },
+
+    async searchTracks(sid, { query, isrc, title, artists, limit = 5 } = {}) {
+      const q = buildQuery({ query, isrc, title, artists });
+      if (!q) return [];
+      const r = await client.get(sid, "/search", { query: { q, type: "track", limit, market: "from_token" } });
+      return (r.data?.tracks?.items || []).filter((i) => i?.id).map(toTrack);
+    },
+  };
+  return provider;
+}
+
+module.exports = { createSpotifyProvider, SCOPES };
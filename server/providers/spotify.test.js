@@ -0,0 +1,92 @@
+// Playlist-Export des Spotify-Providers (server/providers/spotify.js) mit Fake-Client und -Matcher:
+// fremde Tracks kosten Suchen aus dem Session-Budget. Start: npm test
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createSpotifyProvider } = require("./spotify");
+const { ProviderError } = require("./base");
+
+const own = (id) => ({ provider: "spotify", id, uri: `spotify:track:${id}`, title: id });
+const foreign = (id) => ({ provider: "mock", id, title: id });
+
+// Budget wie server/spotify.js: jeder Request kostet eins, bei 0 → budget_exceeded
+function fakeClient(budget) {
+  const client = {
+    budget,
+    posts: [],
+    remaining: () => client.budget,
+    spend() {
+      if (client.budget <= 0) throw new ProviderError(429, "budget_exceeded", { retryAfter: 30 });
+      client.budget -= 1;
+    },
+    async post(sid, url, body) {
+      client.spend();
+      client.posts.push({ url, body });
+      return { data: url === "/me/playlists" ? { id: "pl1", name: body.name, external_urls: {} } : {} };
+    },
+  };
+  return client;
+}
+
+// Findet jeden fremden Track (zwei Suchen je Track), außer denen in `missing`
+function fakeMatcher(client, { missing = [], fail = [] } = {}) {
+  return {
+    calls: 0,
+    async match(provider, sid, track) {
+      this.calls += 1;
+      client.spend();
+      client.spend();
+      if (fail.includes(track.id)) throw new ProviderError(502, "spotify_unreachable");
+      return missing.includes(track.id) ? null : { track: own(`from-${track.id}`) };
+    },
+  };
+}
+
+function setup(budget, opts) {
+  const client = fakeClient(budget);
+  const matcher = fakeMatcher(client, opts);
+  const provider = createSpotifyProvider({ sessions: null, matcher, client });
+  return { client, matcher, provider };
+}
+
+const addedUris = (client) => client.posts.filter((p) => p.url.endsWith("/tracks")).flatMap((p) => p.body.uris);
+
+describe("createPlaylist", () => {
+  test("keeps the order and matches foreign tracks", async () => {
+    const { client, provider } = setup(60, { missing: ["m2"] });
+    const result = await provider.createPlaylist("sid", {
+      name: "Set",
+      tracks: [own("a"), foreign("m1"), foreign("m2"), own("a"), own("b")],
+    });
+    assert.deepEqual(addedUris(client), ["spotify:track:a", "spotify:track:from-m1", "spotify:track:b"]);
+    assert.equal(result.added, 3);
+    assert.equal(result.skipped, 1);
+  });
+
+  test("skips foreign tracks instead of running out of budget", async () => {
+    const { client, matcher, provider } = setup(60);
+    const tracks = [own("a"), ...Array.from({ length: 40 }, (_, i) => foreign(`m${i}`)), own("b")];
+    const result = await provider.createPlaylist("sid", { name: "Lang", tracks });
+    assert.equal(client.posts[0].url, "/me/playlists");
+    assert.ok(matcher.calls <= 20);
+    assert.equal(result.added, 2 + matcher.calls);
+    assert.equal(result.skipped, 40 - matcher.calls);
+    assert.deepEqual(addedUris(client).slice(-1), ["spotify:track:b"]);
+  });
+
+  test("stops matching when the session budget is nearly used up", async () => {
+    const { client, matcher, provider } = setup(14);
+    const tracks = Array.from({ length: 10 }, (_, i) => foreign(`m${i}`));
+    const result = await provider.createPlaylist("sid", { name: "Knapp", tracks: [own("a"), ...tracks] });
+    assert.equal(matcher.calls, 3); // danach 8 frei < Reserve (1 + 1 + 5) + 2 → keine vierte Suche
+    assert.equal(result.added, 4);
+    assert.equal(result.skipped, 7);
+    assert.ok(client.budget >= 0);
+  });
+
+  test("skips a track whose lookup fails", async () => {
+    const { provider } = setup(60, { fail: ["m1"] });
+    const result = await provider.createPlaylist("sid", { name: "Fehler", tracks: [foreign("m1"), foreign("m2")] });
+    assert.equal(result.added, 1);
+    assert.equal(result.skipped, 1);
+  });
+});
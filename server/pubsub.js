@@ -0,0 +1,157 @@
+/**
+ * Celebeaty – Pub/Sub-Adapter (austauschbar; verbindet mehrere Instanzen hinter dem Load Balancer)
+ * Gemeinsame, asynchrone Schnittstelle:
+ *   publish(channel, message)       → Nachricht (JSON-fähig) an alle Abonnenten aller Instanzen,
+ *                                      auch an die eigenen; Reihenfolge je Kanal bleibt erhalten
+ *   subscribe(channel, handler)     → unsubscribe(); handler(message) bekommt eine Kopie
+ *   hset(key, field, value), hdel(key, field), hgetall(key) → { field: value }
+ *                                    → gemeinsamer Zustand (Werte JSON-fähig)
+ *   close()                         → keine Zustellung mehr, Verbindungen zu
+ * - memory: in-process (Standard, eine Instanz); mehrere Adapter auf einem Bus simulieren Instanzen
+ * - redis: jeder Redis-kompatible Server (Redis, Valkey, KeyDB) über node-redis v4;
+ *   Pub/Sub braucht eine eigene Verbindung (subscriber)
+ * - Verhalten beider Varianten prüft server/pubsub.test.js (npm test)
+ *
+ * ENV:
+ *   PUBSUB=memory|redis   (Default: memory)
+ *   REDIS_URL=redis://localhost:6379   (nur bei PUBSUB=redis)
+ * Das Paket redis (node-redis v4) steht in optionalDependencies: npm install bringt es mit,
+ * `npm install --omit=optional` spart es für Single-Instanz-Deployments
+ */
+
+/* -------------------- Memory -------------------- */
+// Bus = der „Server“: Kanäle und Hashes, die sich alle Adapter darauf teilen
+function createMemoryBus() {
+  return { channels: new Map(), hashes: new Map() };
+}
+
+function createMemoryPubSub({ bus = createMemoryBus() } = {}) {
+  const own = new Set(); // [channel, handler] dieses Adapters
+  let closed = false;
+
+  function hash(key) {
+    if (!bus.hashes.has(key)) bus.hashes.set(key, new Map());
+    return bus.hashes.get(key);
+  }
+
+  return {
+    async publish(channel, message) {
+      const payload = JSON.stringify(message);
+      const handlers = [...(bus.channels.get(channel) || [])];
+      // asynchron wie bei Redis – Aufrufer darf sich nicht auf sofortige Zustellung verlassen
+      handlers.forEach((handler) => setImmediate(() => handler(JSON.parse(payload))));
+    },
+    async subscribe(channel, handler) {
+      if (closed) throw new Error("pubsub closed");
+      if (!bus.channels.has(channel)) bus.channels.set(channel, new Set());
+      bus.channels.get(channel).add(handler);
+      const entry = [channel, handler];
+      own.add(entry);
+      return async () => {
+        bus.channels.get(channel)?.delete(handler);
+        own.delete(entry);
+      };
+    },
+    async hset(key, field, value) {
+      hash(key).set(field, JSON.stringify(value));
+    },
+    async hdel(key, field) {
+      bus.hashes.get(key)?.delete(field);
+    },
+    async hgetall(key) {
+      const result = {};
+      (bus.hashes.get(key) || new Map()).forEach((value, field) => {
+        result[field] = JSON.parse(value);
+      });
+      return result;
+    },
+    async close() {
+      closed = true;
+      own.forEach(([channel, handler]) => bus.channels.get(channel)?.delete(handler));
+      own.clear();
+    },
+  };
+}
+
+/* -------------------- Redis -------------------- */
+// client/subscriber: verbundene node-redis-Clients (v4-API); ready: Promise bis beide verbunden sind
+function createRedisPubSub({ client, subscriber, ready = Promise.resolve() }) {
+  const listeners = new Set(); // [channel, listener]
+
+  return {
+    async publish(channel, message) {
+      await ready;
+      await client.publish(channel, JSON.stringify(message));
+    },
+    async subscribe(channel, handler) {
+      await ready;
+      const listener = (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch {
+          return console.warn(`pubsub: unreadable message on ${channel}`);
+        }
+        handler(message);
+      };
+      const entry = [channel, listener];
+      listeners.add(entry);
+      await subscriber.subscribe(channel, listener);
+      return async () => {
+        listeners.delete(entry);
+        await subscriber.unsubscribe(channel, listener);
+      };
+    },
+    async hset(key, field, value) {
+      await ready;
+      await client.hSet(key, field, JSON.stringify(value));
+    },
+    async hdel(key, field) {
+      await ready;
+      await client.hDel(key, field);
+    },
+    async hgetall(key) {
+      await ready;
+      const raw = (await client.hGetAll(key)) || {};
+      const result = {};
+      Object.entries(raw).forEach(([field, value]) => {
+        try {
+          result[field] = JSON.parse(value);
+        } catch {
+          console.warn(`pubsub: unreadable field ${key}/${field}`);
+        }
+      });
+      return result;
+    },
+    async close() {
+      await ready.catch(() => {});
+      await Promise.all([...listeners].map(([channel, listener]) => subscriber.unsubscribe(channel, listener)));
+      listeners.clear();
+      await Promise.all([subscriber.quit(), client.quit()]);
+    },
+  };
+}
+
+function createRedisPubSubFromUrl(url) {
+  let redis;
+  try {
+    redis = require("redis"); // optionalDependency – nur für PUBSUB=redis nötig
+  } catch {
+    throw new Error("PUBSUB=redis braucht das Paket redis (ohne --omit=optional installieren)");
+  }
+  const client = redis.createClient({ url });
+  const subscriber = client.duplicate();
+  [client, subscriber].forEach((c) => c.on("error", (e) => console.warn("redis error:", e.message)));
+  const ready = Promise.all([client.connect(), subscriber.connect()]);
+  ready.catch((e) => console.error("redis connect failed:", e.message));
+  return createRedisPubSub({ client, subscriber, ready });
+}
+
+function createPubSubFromEnv(env = process.env) {
+  const type = (env.PUBSUB || "memory").toLowerCase();
+  if (type === "redis") return createRedisPubSubFromUrl(env.REDIS_URL || "redis://localhost:6379");
+  if (type !== "memory") console.warn(`Unbekanntes PUBSUB "${type}" – nutze memory`);
+  return createMemoryPubSub();
+}
+
+module.exports = { createMemoryBus, createMemoryPubSub, createRedisPubSub, createPubSubFromEnv };
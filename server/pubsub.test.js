@@ -0,0 +1,205 @@
+// Vertrag für Pub/Sub-Adapter (server/pubsub.js): jede Variante muss sich gleich verhalten.
+// Redis läuft gegen einen In-Memory-Fake mit der node-redis-v4-API. Start: npm test
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryBus, createMemoryPubSub, createRedisPubSub } = require("./pubsub");
+
+/* -------------------- Fake-Redis (node-redis v4, nur was der Adapter nutzt) -------------------- */
+function createFakeRedisServer() {
+  const channels = new Map(); // channel -> Set<listener>
+  const hashes = new Map();
+
+  function createClient() {
+    const own = new Set();
+    return {
+      async publish(channel, message) {
+        assert.equal(typeof message, "string", "Redis überträgt nur Strings");
+        const listeners = [...(channels.get(channel) || [])];
+        listeners.forEach((listener) => setImmediate(() => listener(message, channel)));
+        return listeners.length;
+      },
+      async subscribe(channel, listener) {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(listener);
+        own.add([channel, listener]);
+      },
+      async unsubscribe(channel, listener) {
+        channels.get(channel)?.delete(listener);
+      },
+      async hSet(key, field, value) {
+        assert.equal(typeof value, "string", "Redis speichert nur Strings");
+        if (!hashes.has(key)) hashes.set(key, new Map());
+        hashes.get(key).set(field, value);
+      },
+      async hDel(key, field) {
+        hashes.get(key)?.delete(field);
+      },
+      async hGetAll(key) {
+        return Object.fromEntries(hashes.get(key) || []);
+      },
+      async quit() {
+        own.forEach(([channel, listener]) => channels.get(channel)?.delete(listener));
+      },
+    };
+  }
+
+  return { createClient };
+}
+
+/* -------------------- Hilfen -------------------- */
+// Sammelt Nachrichten und wartet, bis count da sind (oder die Zeit um ist)
+function collector() {
+  const messages = [];
+  let waiting = null;
+  return {
+    messages,
+    handler(message) {
+      messages.push(message);
+      if (waiting && messages.length >= waiting.count) waiting.resolve();
+    },
+    until(count, ms = 500) {
+      if (messages.length >= count) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`nur ${messages.length}/${count} Nachrichten`)), ms);
+        waiting = { count, resolve: () => (clearTimeout(timer), resolve()) };
+      });
+    },
+  };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+/* -------------------- Vertrag -------------------- */
+// makeInstances(): zwei Adapter, die sich einen Server teilen (= zwei Instanzen)
+function pubSubContract(name, makeInstances) {
+  describe(name, () => {
+    let a;
+    let b;
+
+    beforeEach(() => {
+      [a, b] = makeInstances();
+    });
+
+    afterEach(async () => {
+      await Promise.all([a.close(), b.close()]);
+    });
+
+    test("delivers to subscribers on every instance, including the publisher", async () => {
+      const onA = collector();
+      const onB = collector();
+      await a.subscribe("room", onA.handler);
+      await b.subscribe("room", onB.handler);
+      await a.publish("room", { type: "presence", n: 1 });
+      await Promise.all([onA.until(1), onB.until(1)]);
+      assert.deepEqual(onA.messages, [{ type: "presence", n: 1 }]);
+      assert.deepEqual(onB.messages, [{ type: "presence", n: 1 }]);
+    });
+
+    test("keeps the order per channel", async () => {
+      const onB = collector();
+      await b.subscribe("room", onB.handler);
+      for (let n = 0; n < 20; n += 1) a.publish("room", { n });
+      await onB.until(20);
+      assert.deepEqual(onB.messages.map((m) => m.n), [...Array(20).keys()]);
+    });
+
+    test("only delivers to subscribers of the channel", async () => {
+      const onOther = collector();
+      await b.subscribe("other", onOther.handler);
+      await a.publish("room", { n: 1 });
+      await settle();
+      assert.deepEqual(onOther.messages, []);
+    });
+
+    test("delivers copies, not the published object", async () => {
+      const onB = collector();
+      await b.subscribe("room", onB.handler);
+      const message = { nested: { n: 1 } };
+      await a.publish("room", message);
+      message.nested.n = 2;
+      await onB.until(1);
+      assert.deepEqual(onB.messages, [{ nested: { n: 1 } }]);
+      assert.notEqual(onB.messages[0], message);
+    });
+
+    test("publishing is asynchronous", async () => {
+      const onA = collector();
+      await a.subscribe("room", onA.handler);
+      a.publish("room", { n: 1 });
+      assert.equal(onA.messages.length, 0);
+      await onA.until(1);
+    });
+
+    test("unsubscribe stops delivery for that handler only", async () => {
+      const first = collector();
+      const second = collector();
+      const unsubscribe = await b.subscribe("room", first.handler);
+      await b.subscribe("room", second.handler);
+      await unsubscribe();
+      await a.publish("room", { n: 1 });
+      await second.until(1);
+      await settle();
+      assert.deepEqual(first.messages, []);
+    });
+
+    test("close stops delivery to that instance", async () => {
+      const onB = collector();
+      const onA = collector();
+      await b.subscribe("room", onB.handler);
+      await a.subscribe("room", onA.handler);
+      await b.close();
+      await a.publish("room", { n: 1 });
+      await onA.until(1);
+      await settle();
+      assert.deepEqual(onB.messages, []);
+    });
+
+    test("shares hashes between instances", async () => {
+      await a.hset("rooms", "mock:alice", { id: "mock:alice", listeners: 2 });
+      await a.hset("rooms", "mock:bob", { id: "mock:bob", listeners: 0 });
+      assert.deepEqual(await b.hgetall("rooms"), {
+        "mock:alice": { id: "mock:alice", listeners: 2 },
+        "mock:bob": { id: "mock:bob", listeners: 0 },
+      });
+      await b.hset("rooms", "mock:alice", { id: "mock:alice", listeners: 3 });
+      await b.hdel("rooms", "mock:bob");
+      assert.deepEqual(await a.hgetall("rooms"), { "mock:alice": { id: "mock:alice", listeners: 3 } });
+    });
+
+    test("returns an empty object for unknown hashes and ignores unknown fields", async () => {
+      assert.deepEqual(await a.hgetall("nothing"), {});
+      await a.hdel("nothing", "field");
+      assert.deepEqual(await b.hgetall("nothing"), {});
+    });
+
+    test("stores copies in hashes", async () => {
+      const value = { n: 1 };
+      await a.hset("rooms", "x", value);
+      value.n = 2;
+      assert.deepEqual(await b.hgetall("rooms"), { x: { n: 1 } });
+    });
+  });
+}
+
+pubSubContract("memory adapter", () => {
+  const bus = createMemoryBus();
+  return [createMemoryPubSub({ bus }), createMemoryPubSub({ bus })];
+});
+
+pubSubContract("redis adapter (fake server)", () => {
+  const server = createFakeRedisServer();
+  const instance = () => createRedisPubSub({ client: server.createClient(), subscriber: server.createClient() });
+  return [instance(), instance()];
+});
+
+test("memory adapters on separate buses do not see each other", async () => {
+  const a = createMemoryPubSub();
+  const b = createMemoryPubSub();
+  const onB = collector();
+  await b.subscribe("room", onB.handler);
+  await a.publish("room", { n: 1 });
+  await a.hset("rooms", "x", 1);
+  await settle();
+  assert.deepEqual(onB.messages, []);
+  assert.deepEqual(await b.hgetall("rooms"), {});
+});
@@ -0,0 +1,177 @@
+/**
+ * Celebeaty – Push-Benachrichtigungen „<Sender> ist live“
+ * - Hörer markieren Lieblings-Sender; jedes Gerät meldet seine Push-Subscription an
+ * - Geht ein Lieblings-Sender öffentlich live (presence start, neuer Raum), bekommt jedes
+ *   Gerät eine Web-Push-Nachricht mit Deep-Link (wie buildFollowLink im Frontend)
+ * - Ein Sender löst höchstens alle LIVE_COOLDOWN_MS eine Benachrichtigung aus (Reconnects, Neustarts)
+ * - Abgemeldete Subscriptions (404/410 vom Push-Dienst) werden automatisch entfernt
+ * - Fans werden parallel benachrichtigt; Zustellung + Aufräumen prüft server/push.test.js (npm test)
+ * - Ablage im Store-Format von server/sessionStore.js:
+ *     user:<userId>     → { subscriptions: [{ endpoint, keys, origin, at }], favorites: [{ id, name, at }] }
+ *     sender:<senderId> → { users: [userId], lastNotified }
+ *
+ * ENV:
+ *   PUSH_STORE=file|memory   (Default: file)
+ *   PUSH_FILE=./data/push.json
+ *   (+ VAPID_* siehe server/webPush.js)
+ */
+
+const path = require("path");
+const { createMemoryStore, createFileStore } = require("./sessionStore");
+const { createWebPushFromEnv, PushError } = require("./webPush");
+
+const PUSH_TTL_MS = 365 * 24 * 3600 * 1000;
+const LIVE_COOLDOWN_MS = 30 * 60000;
+const LIVE_PUSH_TTL_S = 15 * 60; // später zugestellt lohnt sich nicht mehr
+const MAX_SUBSCRIPTIONS = 10;    // Geräte je User
+const MAX_FAVORITES = 200;
+const MAX_FANS = 5000;           // Abonnenten je Sender
+
+// Wie buildFollowLink im Frontend
+function buildFollowLink(origin, senderId) {
+  return `${String(origin).replace(/\/+$/, "")}/?follow=${encodeURIComponent(senderId)}`;
+}
+
+function createPush({ store, webPush, now = () => Date.now() }) {
+  async function userRecord(userId) {
+    return (await store.get(`user:${userId}`)) || { subscriptions: [], favorites: [] };
+  }
+
+  async function saveUser(userId, rec) {
+    if (!rec.subscriptions.length && !rec.favorites.length) return store.delete(`user:${userId}`);
+    return store.set(`user:${userId}`, { ...rec, expires: now() + PUSH_TTL_MS });
+  }
+
+  async function senderRecord(senderId) {
+    return (await store.get(`sender:${senderId}`)) || { users: [], lastNotified: 0 };
+  }
+
+  async function saveSender(senderId, rec) {
+    if (!rec.users.length) return store.delete(`sender:${senderId}`);
+    return store.set(`sender:${senderId}`, { ...rec, expires: now() + PUSH_TTL_MS });
+  }
+
+  async function state(userId) {
+    const rec = await userRecord(userId);
+    return { favorites: rec.favorites, devices: rec.subscriptions.length };
+  }
+
+  // origin: Adresse des Frontends, von dem aus abonniert wurde (für den Deep-Link)
+  async function subscribe(userId, subscription, origin) {
+    if (!webPush.isValidSubscription(subscription)) throw new PushError(400, "invalid_subscription");
+    const rec = await userRecord(userId);
+    const others = rec.subscriptions.filter((s) => s.endpoint !== subscription.endpoint);
+    const entry = {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      origin,
+      at: now(),
+    };
+    rec.subscriptions = [...others, entry].slice(-MAX_SUBSCRIPTIONS); // älteste Geräte fliegen raus
+    await saveUser(userId, rec);
+    return state(userId);
+  }
+
+  // Ohne endpoint: alle Geräte abmelden
+  async function unsubscribe(userId, endpoint = null) {
+    const rec = await userRecord(userId);
+    rec.subscriptions = endpoint ? rec.subscriptions.filter((s) => s.endpoint !== endpoint) : [];
+    await saveUser(userId, rec);
+    return state(userId);
+  }
+
+  async function addFavorite(userId, sender) {
+    if (!sender?.id || sender.id === userId) throw new PushError(400, "invalid_sender");
+    const rec = await userRecord(userId);
+    if (!rec.favorites.some((f) => f.id === sender.id)) {
+      if (rec.favorites.length >= MAX_FAVORITES) throw new PushError(409, "too_many_favorites");
+      const fans = await senderRecord(sender.id);
+      if (fans.users.length >= MAX_FANS) throw new PushError(409, "too_many_fans");
+      rec.favorites.push({ id: sender.id, name: String(sender.name || sender.id).slice(0, 100), at: now() });
+      fans.users.push(userId);
+      await saveSender(sender.id, fans);
+    }
+    await saveUser(userId, rec);
+    return state(userId);
+  }
+
+  async function removeFavorite(userId, senderId) {
+    const rec = await userRecord(userId);
+    rec.favorites = rec.favorites.filter((f) => f.id !== senderId);
+    await saveUser(userId, rec);
+    const fans = await senderRecord(senderId);
+    fans.users = fans.users.filter((id) => id !== userId);
+    await saveSender(senderId, fans);
+    return state(userId);
+  }
+
+  /**
+   * Sender ist live gegangen (room: { id, name, visibility }).
+   * Nur öffentliche Räume; → { sent, removed } (Anzahl Geräte)
+   */
+  async function notifyLive(room) {
+    if (room.visibility !== "public") return { sent: 0, removed: 0 };
+    const fans = await senderRecord(room.id);
+    if (!fans.users.length || now() - fans.lastNotified < LIVE_COOLDOWN_MS) return { sent: 0, removed: 0 };
+    fans.lastNotified = now();
+    await saveSender(room.id, fans);
+
+    // Topic: max. 32 Zeichen base64url – ersetzt eine ältere, noch nicht zugestellte „live“-Nachricht
+    const topic = `live-${room.id}`.replace(/[^A-Za-z0-9_-]/g, "-").slice(0, 32);
+    // Alle Fans parallel – ein hängender Push-Dienst oder Store-Fehler hält die anderen nicht auf
+    const results = await Promise.allSettled(fans.users.map((userId) => notifyUser(userId, room, topic)));
+    return results.reduce(
+      (total, r) => {
+        if (r.status === "rejected") {
+          console.warn("push failed:", r.reason?.message);
+          return total;
+        }
+        return { sent: total.sent + r.value.sent, removed: total.removed + r.value.removed };
+      },
+      { sent: 0, removed: 0 }
+    );
+  }
+
+  // Alle Geräte eines Fans benachrichtigen, abgemeldete entfernen → { sent, removed }
+  async function notifyUser(userId, room, topic) {
+    const rec = await userRecord(userId);
+    const gone = [];
+    let sent = 0;
+    await Promise.all(
+      rec.subscriptions.map(async (sub) => {
+        const payload = {
+          type: "live",
+          title: `${room.name || "Ein Sender"} ist live`,
+          body: "Tippe, um mitzuhören.",
+          url: buildFollowLink(sub.origin, room.id),
+          senderId: room.id,
+        };
+        try {
+          await webPush.send(sub, payload, { ttl: LIVE_PUSH_TTL_S, urgency: "high", topic });
+          sent += 1;
+        } catch (e) {
+          if (e.code === "gone" || e.code === "invalid_subscription") gone.push(sub.endpoint);
+          else console.warn("push failed:", e.message);
+        }
+      })
+    );
+    if (gone.length) {
+      rec.subscriptions = rec.subscriptions.filter((s) => !gone.includes(s.endpoint));
+      await saveUser(userId, rec);
+    }
+    return { sent, removed: gone.length };
+  }
+
+  return { publicKey: webPush.publicKey, state, subscribe, unsubscribe, addFavorite, removeFavorite, notifyLive };
+}
+
+function createPushFromEnv(env = process.env) {
+  const webPush = createWebPushFromEnv(env);
+  const type = (env.PUSH_STORE || "file").toLowerCase();
+  if (type === "memory") return createPush({ store: createMemoryStore(), webPush });
+  if (type !== "file") console.warn(`Unbekannter PUSH_STORE "${type}" – nutze file`);
+  const file = env.PUSH_FILE || path.join(__dirname, "..", "data", "push.json");
+  return createPush({ store: createFileStore(file), webPush });
+}
+
+module.exports = { createPush, createPushFromEnv, buildFollowLink, PushError };
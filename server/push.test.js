@@ -0,0 +1,78 @@
+// „Sender ist live“-Push (server/push.js) gegen den lokalen Push-Dienst (server/pushStub.js):
+// echte VAPID-Signatur und aes128gcm-Verschlüsselung, nur über http auf localhost. Start: npm test
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createPush } = require("./push");
+const { createPushStub } = require("./pushStub");
+const { createWebPush, generateVapidKeys } = require("./webPush");
+const { createMemoryStore } = require("./sessionStore");
+
+const ORIGIN = "https://celebeaty.test";
+const ROOM = { id: "mock:alice", name: "Alice", visibility: "public" };
+
+describe("notifyLive", () => {
+  let clock;
+  let push;
+  let stubs;
+
+  // Ein Fan je Stub (= ein Gerät je Fan), alle folgen ROOM
+  async function addFans(count) {
+    for (let i = 0; i < count; i += 1) {
+      const stub = createPushStub();
+      stubs.push(stub);
+      const subscription = await stub.listen();
+      await push.subscribe(`mock:fan${i}`, subscription, ORIGIN);
+      await push.addFavorite(`mock:fan${i}`, { id: ROOM.id, name: ROOM.name });
+    }
+  }
+
+  beforeEach(() => {
+    clock = Date.now(); // der Store prüft expires gegen die echte Uhr
+    stubs = [];
+    const webPush = createWebPush({ ...generateVapidKeys(), subject: "mailto:test@celebeaty.test", allowHttp: true });
+    push = createPush({ store: createMemoryStore(), webPush, now: () => clock });
+  });
+
+  afterEach(async () => {
+    await Promise.all(stubs.map((stub) => stub.close()));
+  });
+
+  test("delivers an encrypted live message to every fan device", async () => {
+    await addFans(3);
+    assert.deepEqual(await push.notifyLive(ROOM), { sent: 3, removed: 0 });
+    stubs.forEach((stub) => {
+      assert.equal(stub.messages.length, 1);
+      const [message] = stub.messages;
+      assert.deepEqual(message.payload, {
+        type: "live",
+        title: "Alice ist live",
+        body: "Tippe, um mitzuhören.",
+        url: `${ORIGIN}/?follow=mock%3Aalice`,
+        senderId: ROOM.id,
+      });
+      assert.equal(message.topic, "live-mock-alice");
+      assert.equal(message.ttl, 15 * 60);
+      assert.equal(message.vapid.aud, new URL(stub.subscription.endpoint).origin);
+    });
+  });
+
+  test("removes subscriptions the push service reports as gone", async () => {
+    await addFans(2);
+    stubs[0].gone(true);
+    assert.deepEqual(await push.notifyLive(ROOM), { sent: 1, removed: 1 });
+    assert.equal((await push.state("mock:fan0")).devices, 0);
+    assert.equal((await push.state("mock:fan1")).devices, 1);
+    assert.equal(stubs[1].messages.length, 1);
+  });
+
+  test("only notifies for public rooms and once per cooldown", async () => {
+    await addFans(1);
+    assert.deepEqual(await push.notifyLive({ ...ROOM, visibility: "unlisted" }), { sent: 0, removed: 0 });
+    assert.deepEqual(await push.notifyLive(ROOM), { sent: 1, removed: 0 });
+    clock += 60000;
+    assert.deepEqual(await push.notifyLive(ROOM), { sent: 0, removed: 0 });
+    clock += 30 * 60000;
+    assert.deepEqual(await push.notifyLive(ROOM), { sent: 1, removed: 0 });
+    assert.equal(stubs[0].messages.length, 2);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Celebeaty – Lokaler Push-Dienst zum Testen (statt FCM/Mozilla/Apple)
+ * - Erzeugt eine Subscription wie ein Browser (p256dh + auth) mit http-Endpoint auf localhost
+ * - Prüft die VAPID-Signatur, entschlüsselt die Nachricht und merkt sie sich (messages)
+ * - gone(true) → antwortet 410, wie ein Push-Dienst bei abgemeldeter Subscription
+ *
+ * Standalone: PUSH_STUB_PORT=4010 node server/pushStub.js
+ *   → druckt die Subscription (JSON) und jede empfangene Nachricht;
+ *     Backend dazu mit PUSH_ALLOW_HTTP=1 starten
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const { decrypt } = require("./webPush");
+
+// "vapid t=<jwt>, k=<key>" → Signatur gegen k prüfen → Claims oder null
+function verifyVapid(authorization) {
+  const m = /^vapid t=([^,\s]+),\s*k=([A-Za-z0-9_-]+)$/.exec(String(authorization || ""));
+  if (!m) return null;
+  const [header, claims, signature] = m[1].split(".");
+  const pub = Buffer.from(m[2], "base64url");
+  if (pub.length !== 65 || !signature) return null;
+  const key = crypto.createPublicKey({
+    key: { kty: "EC", crv: "P-256", x: pub.subarray(1, 33).toString("base64url"), y: pub.subarray(33).toString("base64url") },
+    format: "jwk",
+  });
+  const ok = crypto.verify("sha256", Buffer.from(`${header}.${claims}`), { key, dsaEncoding: "ieee-p1363" }, Buffer.from(signature, "base64url"));
+  return ok ? { ...JSON.parse(Buffer.from(claims, "base64url").toString("utf8")), publicKey: m[2] } : null;
+}
+
+function createPushStub({ port = 0 } = {}) {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+  const messages = [];
+  let goneMode = false;
+  let subscription = null;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      if (req.method !== "POST") return res.writeHead(405).end();
+      if (goneMode) return res.writeHead(410).end();
+      const vapid = verifyVapid(req.headers.authorization);
+      if (!vapid) return res.writeHead(401).end();
+      try {
+        const text = decrypt({ ecdh, auth }, Buffer.concat(chunks)).toString("utf8");
+        let payload = text;
+        try {
+          payload = JSON.parse(text);
+        } catch {}
+        messages.push({ payload, ttl: Number(req.headers.ttl), topic: req.headers.topic || null, vapid, at: Date.now() });
+        res.writeHead(201).end();
+      } catch {
+        res.writeHead(400).end();
+      }
+    });
+  });
+
+  return {
+    messages,
+    get subscription() {
+      return subscription;
+    },
+    gone(on = true) {
+      goneMode = on;
+    },
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+          subscription = {
+            endpoint: `http://127.0.0.1:${server.address().port}/push/${crypto.randomBytes(6).toString("hex")}`,
+            keys: { p256dh: ecdh.getPublicKey().toString("base64url"), auth: auth.toString("base64url") },
+          };
+          resolve(subscription);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createPushStub, verifyVapid };
+
+if (require.main === module) {
+  const stub = createPushStub({ port: Number(process.env.PUSH_STUB_PORT) || 4010 });
+  stub.listen().then((sub) => {
+    console.log("Subscription:", JSON.stringify(sub));
+    const push = stub.messages.push.bind(stub.messages);
+    stub.messages.push = (m) => {
+      console.log("Push:", JSON.stringify(m.payload));
+      return push(m);
+    };
+  });
+}
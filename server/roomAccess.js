@@ -0,0 +1,70 @@
+/**
+ * Celebeaty – Sichtbarkeit & Zugang zu Räumen
+ *   public   → erscheint in „Gerade live“, jeder darf folgen
+ *   unlisted → nicht in der Lobby, folgen nur mit Link (?follow=<id>)
+ *   private  → nicht in der Lobby, folgen nur mit signiertem Invite-Token (+ optional Passcode)
+ */
+
+const crypto = require("crypto");
+const util = require("util");
+
+const VISIBILITIES = ["public", "unlisted", "private"];
+const INVITE_TTL_MS = 24 * 3600 * 1000;
+const PASSCODE_MAX = 64;
+const VERIFIED_MAX = 100; // gemerkte Prüfergebnisse je Passcode
+
+const scrypt = util.promisify(crypto.scrypt);
+
+function normalizeVisibility(value) {
+  return VISIBILITIES.includes(value) ? value : "public";
+}
+
+function createRoomAccess({ signer }) {
+  // scrypt läuft im Threadpool – synchron würde jede Prüfung alle Räume anhalten
+  function hashPasscode(passcode) {
+    const salt = crypto.randomBytes(16);
+    const stored = { salt: salt.toString("base64"), verified: new Map() };
+    stored.hash = scrypt(passcode, salt, 32);
+    stored.hash.catch(() => {}); // Fehler meldet passcodeMatches
+    return stored;
+  }
+
+  // Ergebnis je Eingabe merken: configureRoom prüft alle Follower mit meist demselben Passcode
+  async function passcodeMatches(stored, passcode) {
+    if (typeof passcode !== "string" || !passcode || passcode.length > PASSCODE_MAX) return false;
+    if (!stored.verified.has(passcode)) {
+      if (stored.verified.size >= VERIFIED_MAX) stored.verified.clear();
+      const given = scrypt(passcode, Buffer.from(stored.salt, "base64"), 32);
+      stored.verified.set(passcode, Promise.all([given, stored.hash]).then(([a, b]) => crypto.timingSafeEqual(a, b)));
+    }
+    return stored.verified.get(passcode);
+  }
+
+  // Einstellungen aus presence:start übernehmen (nur private Räume haben einen Passcode)
+  function configure(room, { visibility, passcode } = {}) {
+    room.visibility = normalizeVisibility(visibility);
+    const code = typeof passcode === "string" ? passcode.trim().slice(0, PASSCODE_MAX) : "";
+    room.passcode = room.visibility === "private" && code ? hashPasscode(code) : null;
+  }
+
+  function issueInvite(roomId) {
+    return signer.sign({ room: roomId }, { ttlMs: INVITE_TTL_MS });
+  }
+
+  /**
+   * Darf jemand mit diesen Zugangsdaten folgen? (async, Passcode über scrypt)
+   * → null (ja) oder Grund: "invite_required" | "passcode_required" | "passcode_wrong"
+   */
+  async function check(room, credentials) {
+    const { invite, passcode } = credentials || {};
+    if (room.visibility !== "private") return null;
+    if (signer.verify(invite)?.room !== room.id) return "invite_required";
+    if (!room.passcode) return null;
+    if (!passcode) return "passcode_required";
+    return (await passcodeMatches(room.passcode, passcode)) ? null : "passcode_wrong";
+  }
+
+  return { configure, issueInvite, check };
+}
+
+module.exports = { createRoomAccess, normalizeVisibility, VISIBILITIES };
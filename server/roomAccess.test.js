@@ -0,0 +1,90 @@
+// Zugang zu privaten Räumen (server/roomAccess.js) und die Passcode-Sperre im Hub. Start: npm test
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { createRoomAccess } = require("./roomAccess");
+const { createHub } = require("./hub");
+const { createSigner } = require("./signing");
+
+const HOST = { id: "mock:alice", name: "Alice" };
+const GUEST = { id: "mock:bob", name: "Bob" };
+
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.got = [];
+  ws.send = (raw) => ws.got.push(JSON.parse(raw));
+  ws.message = (msg) => ws.emit("message", JSON.stringify({ v: 1, ...msg }));
+  ws.close = () => {
+    ws.readyState = 3;
+    ws.emit("close");
+  };
+  return ws;
+}
+
+async function frame(ws, predicate, ms = 2000) {
+  const start = Date.now();
+  for (;;) {
+    const found = ws.got.find(predicate);
+    if (found) return found;
+    if (Date.now() - start > ms) throw new Error(`kein passender Frame (bisher: ${ws.got.map((m) => m.type)})`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe("room access", () => {
+  const access = createRoomAccess({ signer: createSigner("test-secret") });
+
+  function privateRoom(passcode) {
+    const room = { id: HOST.id };
+    access.configure(room, { visibility: "private", passcode });
+    return room;
+  }
+
+  test("checks invite and passcode of private rooms", async () => {
+    const room = privateRoom("1234");
+    const invite = access.issueInvite(room.id);
+    assert.equal(await access.check(room, {}), "invite_required");
+    assert.equal(await access.check(room, { invite }), "passcode_required");
+    assert.equal(await access.check(room, { invite, passcode: "0000" }), "passcode_wrong");
+    assert.equal(await access.check(room, { invite, passcode: "1234" }), null);
+    assert.equal(await access.check({ id: "x", visibility: "public" }, null), null);
+  });
+
+  test("hashes a passcode once per input", async () => {
+    const room = privateRoom("1234");
+    const invite = access.issueInvite(room.id);
+    const checks = Array.from({ length: 20 }, () => access.check(room, { invite, passcode: "1234" }));
+    assert.deepEqual(new Set(await Promise.all(checks)), new Set([null]));
+    assert.equal(room.passcode.verified.size, 1);
+  });
+});
+
+describe("passcode attempts", () => {
+  test("are limited per listener and room, also across reconnects", async () => {
+    const signer = createSigner("test-secret");
+    const access = createRoomAccess({ signer });
+    const hub = createHub({ access });
+    const connect = (user) => {
+      const ws = fakeSocket();
+      hub.handleConnection(ws, user, { sid: `sid-${user.id}`, provider: "mock" });
+      return ws;
+    };
+
+    const host = connect(HOST);
+    host.message({ type: "presence", action: "start", visibility: "private", passcode: "1234", user: HOST });
+    const { invite } = await frame(host, (m) => m.type === "room_info");
+
+    for (let i = 0; i < 5; i += 1) {
+      const guest = connect(GUEST); // jeder Versuch auf einer neuen Verbindung
+      guest.message({ type: "follow", targetUserId: HOST.id, invite, passcode: `wrong${i}` });
+      assert.equal((await frame(guest, (m) => m.type === "follow_denied")).reason, "passcode_wrong");
+      guest.close();
+    }
+
+    const guest = connect(GUEST);
+    guest.message({ type: "follow", targetUserId: HOST.id, invite, passcode: "1234" });
+    assert.equal((await frame(guest, (m) => m.type === "follow_denied")).reason, "too_many_attempts");
+    hub.endRoom(HOST.id);
+  });
+});
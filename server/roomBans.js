@@ -0,0 +1,70 @@
+/**
+ * Celebeaty – Sperrlisten je Raum (= je Sender)
+ * - Gebannte Hörer dürfen dem Sender nicht mehr folgen – auch nach Reconnect,
+ *   neuem Teilen oder Server-Neustart
+ * - Ablage im Store-Format von server/sessionStore.js: room:<senderId> → { users: [{ id, name, at }] }
+ * - Der Hub fragt synchron (isBanned); load() holt die Liste eines Raums vorher in den Cache
+ *
+ * ENV:
+ *   BANS_STORE=file|memory   (Default: file)
+ *   BANS_FILE=./data/bans.json
+ */
+
+const path = require("path");
+const { createMemoryStore, createFileStore } = require("./sessionStore");
+
+const BAN_TTL_MS = 365 * 24 * 3600 * 1000;
+const MAX_BANS = 500; // je Raum
+
+function createRoomBans({ store, now = () => Date.now() }) {
+  // roomId -> Map<userId, { id, name, at }>
+  const cache = new Map();
+
+  async function load(roomId) {
+    if (cache.has(roomId)) return cache.get(roomId);
+    const record = await store.get(`room:${roomId}`);
+    // parallele Aufrufe: der erste gewinnt
+    if (!cache.has(roomId)) cache.set(roomId, new Map((record?.users || []).map((u) => [u.id, u])));
+    return cache.get(roomId);
+  }
+
+  function persist(roomId) {
+    const users = [...(cache.get(roomId)?.values() || [])];
+    const write = users.length
+      ? store.set(`room:${roomId}`, { users, expires: now() + BAN_TTL_MS })
+      : store.delete(`room:${roomId}`);
+    write.catch((e) => console.warn("bans write failed:", e.message));
+  }
+
+  function isBanned(roomId, userId) {
+    return !!cache.get(roomId)?.has(userId);
+  }
+
+  function list(roomId) {
+    return [...(cache.get(roomId)?.values() || [])];
+  }
+
+  async function ban(roomId, user) {
+    const users = await load(roomId);
+    if (users.size >= MAX_BANS && !users.has(user.id)) users.delete(users.keys().next().value); // älteste raus
+    users.set(user.id, { id: user.id, name: user.name || user.id, at: now() });
+    persist(roomId);
+  }
+
+  async function unban(roomId, userId) {
+    if (!(await load(roomId)).delete(userId)) return;
+    persist(roomId);
+  }
+
+  return { load, isBanned, list, ban, unban };
+}
+
+function createRoomBansFromEnv(env = process.env) {
+  const type = (env.BANS_STORE || "file").toLowerCase();
+  if (type === "memory") return createRoomBans({ store: createMemoryStore() });
+  if (type !== "file") console.warn(`Unbekannter BANS_STORE "${type}" – nutze file`);
+  const file = env.BANS_FILE || path.join(__dirname, "..", "data", "bans.json");
+  return createRoomBans({ store: createFileStore(file) });
+}
+
+module.exports = { createRoomBans, createRoomBansFromEnv };
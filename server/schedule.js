@@ -0,0 +1,138 @@
+/**
+ * Celebeaty – Geplante Sessions („Freitag 20:00 live“)
+ * - Sender kündigen eine Session an (Titel, Startzeit, Cover), Hörer sagen zu (RSVP)
+ * - Die Lobby zeigt die kommenden Sessions mit Countdown; wer zugesagt hat und die Seite
+ *   offen hat, wird beim Live-Gehen des Senders automatisch verbunden (Frontend)
+ * - Ablage im Store-Format von server/sessionStore.js:
+ *     event:<id> → Record, index → { ids } (alle noch nicht abgelaufenen Events)
+ *
+ * ENV:
+ *   SCHEDULE_STORE=file|memory   (Default: file)
+ *   SCHEDULE_FILE=./data/schedule.json
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createFileStore } = require("./sessionStore");
+
+const MAX_AHEAD_MS = 60 * 24 * 3600 * 1000; // höchstens 60 Tage im Voraus
+const LIVE_GRACE_MS = 6 * 3600 * 1000;       // so lange nach Start noch gelistet
+const MAX_PER_HOST = 10;
+const MAX_RSVPS = 5000;
+const TITLE_MAX = 100;
+const COVER_MAX = 500;
+
+class ScheduleError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function createSchedule({ store, now = () => Date.now() }) {
+  async function ids() {
+    return (await store.get("index"))?.ids || [];
+  }
+
+  async function setIds(list) {
+    await store.set("index", { ids: list });
+  }
+
+  // Alle Events, die noch nicht abgelaufen sind (abgelaufene fallen aus dem Index)
+  async function all() {
+    const list = await ids();
+    const recs = await Promise.all(list.map((id) => store.get(`event:${id}`)));
+    const alive = recs.filter(Boolean);
+    if (alive.length !== list.length) await setIds(alive.map((e) => e.id));
+    return alive;
+  }
+
+  // Nach außen: ohne RSVP-Liste, aber mit Anzahl und ob viewerId zugesagt hat
+  function present(event, viewerId) {
+    return {
+      id: event.id,
+      hostId: event.hostId,
+      hostName: event.hostName,
+      title: event.title,
+      cover: event.cover,
+      startsAt: event.startsAt,
+      rsvps: event.rsvps.length,
+      going: !!viewerId && event.rsvps.some((r) => r.id === viewerId),
+    };
+  }
+
+  function validate({ title, startsAt, cover }) {
+    const name = typeof title === "string" ? title.trim() : "";
+    if (!name || name.length > TITLE_MAX) throw new ScheduleError(400, "invalid_title");
+    const at = typeof startsAt === "string" ? Date.parse(startsAt) : startsAt;
+    if (!Number.isFinite(at) || at <= now() || at > now() + MAX_AHEAD_MS) {
+      throw new ScheduleError(400, "invalid_starts_at");
+    }
+    let image = null;
+    if (cover != null && cover !== "") {
+      if (typeof cover !== "string" || cover.length > COVER_MAX || !/^https:\/\//.test(cover)) {
+        throw new ScheduleError(400, "invalid_cover");
+      }
+      image = cover;
+    }
+    return { title: name, startsAt: Math.round(at), cover: image };
+  }
+
+  // host: { id, name } – der eingeloggte Sender
+  async function create(host, input) {
+    const fields = validate(input || {});
+    const events = await all();
+    if (events.filter((e) => e.hostId === host.id).length >= MAX_PER_HOST) {
+      throw new ScheduleError(409, "too_many_events");
+    }
+    const event = {
+      id: crypto.randomBytes(9).toString("base64url"),
+      hostId: host.id,
+      hostName: host.name || host.id,
+      ...fields,
+      rsvps: [],
+      createdAt: now(),
+      expires: fields.startsAt + LIVE_GRACE_MS,
+    };
+    await store.set(`event:${event.id}`, event);
+    await setIds([...events.map((e) => e.id), event.id]);
+    return present(event, host.id);
+  }
+
+  async function remove(id, userId) {
+    const event = await store.get(`event:${id}`);
+    if (!event) throw new ScheduleError(404, "not_found");
+    if (event.hostId !== userId) throw new ScheduleError(403, "not_host");
+    await store.delete(`event:${id}`);
+    await setIds((await ids()).filter((x) => x !== id));
+  }
+
+  async function rsvp(id, user, going = true) {
+    const event = await store.get(`event:${id}`);
+    if (!event) throw new ScheduleError(404, "not_found");
+    const others = event.rsvps.filter((r) => r.id !== user.id);
+    if (going && others.length >= MAX_RSVPS) throw new ScheduleError(409, "event_full");
+    event.rsvps = going ? [...others, { id: user.id, name: user.name || user.id, at: now() }] : others;
+    await store.set(`event:${id}`, event);
+    return present(event, user.id);
+  }
+
+  // Kommende (und gerade laufende) Events, früheste zuerst
+  async function list(viewerId = null) {
+    const events = await all();
+    return events.sort((a, b) => a.startsAt - b.startsAt).map((e) => present(e, viewerId));
+  }
+
+  return { create, remove, rsvp, list };
+}
+
+function createScheduleFromEnv(env = process.env) {
+  const type = (env.SCHEDULE_STORE || "file").toLowerCase();
+  if (type === "memory") return createSchedule({ store: createMemoryStore() });
+  if (type !== "file") console.warn(`Unbekannter SCHEDULE_STORE "${type}" – nutze file`);
+  const file = env.SCHEDULE_FILE || path.join(__dirname, "..", "data", "schedule.json");
+  return createSchedule({ store: createFileStore(file) });
+}
+
+module.exports = { createSchedule, createScheduleFromEnv, ScheduleError };
@@ -0,0 +1,82 @@
+// Geplante Sessions (server/schedule.js): Anlegen, Prüfung, Zusagen und Löschen. Start: npm test
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createSchedule, ScheduleError } = require("./schedule");
+const { createMemoryStore } = require("./sessionStore");
+
+const HOST = { id: "mock:alice", name: "Alice" };
+const FAN = { id: "mock:bob", name: "Bob" };
+const HOUR = 3600 * 1000;
+
+describe("schedule", () => {
+  let clock;
+  let schedule;
+
+  const rejects = (promise, code) => assert.rejects(promise, (e) => e instanceof ScheduleError && e.code === code);
+
+  beforeEach(() => {
+    clock = Date.now(); // der Store prüft expires gegen die echte Uhr
+    schedule = createSchedule({ store: createMemoryStore(), now: () => clock });
+  });
+
+  test("creates an event and lists upcoming ones, earliest first", async () => {
+    const later = await schedule.create(HOST, { title: "  Freitag live  ", startsAt: clock + 48 * HOUR });
+    const sooner = await schedule.create(HOST, {
+      title: "Morgen",
+      startsAt: new Date(clock + 24 * HOUR).toISOString(),
+      cover: "https://img.test/cover.jpg",
+    });
+    assert.equal(later.title, "Freitag live");
+    assert.equal(later.hostName, "Alice");
+    assert.equal(later.rsvps, 0);
+    assert.equal(sooner.cover, "https://img.test/cover.jpg");
+    assert.deepEqual((await schedule.list()).map((e) => e.id), [sooner.id, later.id]);
+  });
+
+  test("rejects empty or too long titles", async () => {
+    await rejects(schedule.create(HOST, { title: "   ", startsAt: clock + HOUR }), "invalid_title");
+    await rejects(schedule.create(HOST, { title: "x".repeat(101), startsAt: clock + HOUR }), "invalid_title");
+    await rejects(schedule.create(HOST, {}), "invalid_title");
+  });
+
+  test("rejects start times in the past or too far ahead", async () => {
+    await rejects(schedule.create(HOST, { title: "Gestern", startsAt: clock - HOUR }), "invalid_starts_at");
+    await rejects(schedule.create(HOST, { title: "Jetzt", startsAt: clock }), "invalid_starts_at");
+    await rejects(schedule.create(HOST, { title: "Bald", startsAt: "kein Datum" }), "invalid_starts_at");
+    await rejects(schedule.create(HOST, { title: "Später", startsAt: clock + 61 * 24 * HOUR }), "invalid_starts_at");
+  });
+
+  test("only accepts https covers", async () => {
+    await rejects(schedule.create(HOST, { title: "Cover", startsAt: clock + HOUR, cover: "http://img.test/a.jpg" }), "invalid_cover");
+  });
+
+  test("toggles an RSVP", async () => {
+    const { id } = await schedule.create(HOST, { title: "Party", startsAt: clock + HOUR });
+    const going = await schedule.rsvp(id, FAN, true);
+    assert.equal(going.rsvps, 1);
+    assert.equal(going.going, true);
+    assert.equal((await schedule.rsvp(id, FAN, true)).rsvps, 1, "doppelte Zusage zählt einmal");
+    assert.equal((await schedule.list(FAN.id))[0].going, true);
+    assert.equal((await schedule.list(HOST.id))[0].going, false);
+
+    const notGoing = await schedule.rsvp(id, FAN, false);
+    assert.equal(notGoing.rsvps, 0);
+    assert.equal(notGoing.going, false);
+    await rejects(schedule.rsvp("gibt-es-nicht", FAN), "not_found");
+  });
+
+  test("lets only the host remove an event", async () => {
+    const { id } = await schedule.create(HOST, { title: "Party", startsAt: clock + HOUR });
+    await rejects(schedule.remove(id, FAN.id), "not_host");
+    assert.equal((await schedule.list()).length, 1);
+    await schedule.remove(id, HOST.id);
+    assert.deepEqual(await schedule.list(), []);
+    await rejects(schedule.remove(id, HOST.id), "not_found");
+  });
+
+  test("limits events per host", async () => {
+    for (let i = 0; i < 10; i += 1) await schedule.create(HOST, { title: `#${i}`, startsAt: clock + (i + 1) * HOUR });
+    await rejects(schedule.create(HOST, { title: "#11", startsAt: clock + 20 * HOUR }), "too_many_events");
+    await schedule.create(FAN, { title: "Andere", startsAt: clock + HOUR });
+  });
+});
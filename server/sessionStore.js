@@ -0,0 +1,192 @@
+/**
+ * Celebeaty – Session-Stores (austauschbar; auch für die Hör-Historie genutzt)
+ * Gemeinsame, asynchrone Schnittstelle:
+ *   get(id) → record|null, set(id, record), delete(id), prune(now)
+ * Jeder Record trägt `expires` (ms); abgelaufene Records liefert get() nicht mehr aus.
+ * - memory: nur im Prozess
+ * - file: eine JSON-Datei, verzögert komplett neu geschrieben (wenige, kleine Records)
+ * - log: JSONL, Änderungen werden gesammelt asynchron angehängt (viele Änderungen, z.B. Historie)
+ *
+ * ENV:
+ *   SESSION_STORE=memory|file   (Default: memory – Sessions enthalten Provider-Tokens, file nur bewusst)
+ *   SESSION_FILE=./data/sessions.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const FILE_WRITE_DELAY_MS = 500;
+const COMPACT_MIN_LINES = 1000; // Log-Store: erst ab so vielen veralteten Zeilen kompaktieren
+
+function isExpired(record, now = Date.now()) {
+  return !record || (record.expires && record.expires <= now);
+}
+
+/* -------------------- Memory -------------------- */
+// onChange(id): optionaler Hook nach jeder Änderung (für persistente Varianten)
+function createMemoryStore(map = new Map(), onChange = () => {}) {
+  return {
+    async get(id) {
+      const record = map.get(id);
+      if (!record) return null;
+      if (isExpired(record)) {
+        map.delete(id);
+        onChange(id);
+        return null;
+      }
+      return record;
+    },
+    async set(id, record) {
+      map.set(id, record);
+      onChange(id);
+    },
+    async delete(id) {
+      if (map.delete(id)) onChange(id);
+    },
+    async prune(now = Date.now()) {
+      map.forEach((record, id) => {
+        if (isExpired(record, now)) {
+          map.delete(id);
+          onChange(id);
+        }
+      });
+    },
+  };
+}
+
+/* -------------------- File (JSON) -------------------- */
+// Hält alles im Speicher und schreibt verzögert + atomar (tmp → rename) auf die Platte
+function createFileStore(file) {
+  const map = new Map();
+  let writeTimer = null;
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    Object.entries(raw || {}).forEach(([id, record]) => {
+      if (!isExpired(record)) map.set(id, record);
+    });
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`store file ${file} unreadable:`, e.message);
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      const tmp = `${file}.tmp`;
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(map)), { mode: 0o600 });
+        fs.renameSync(tmp, file);
+      } catch (e) {
+        console.error(`store file ${file} write failed:`, e.message);
+      }
+    }, FILE_WRITE_DELAY_MS);
+  }
+
+  return createMemoryStore(map, scheduleWrite);
+}
+
+/* -------------------- Log (JSONL, nur anhängen) -------------------- */
+// Je Änderung eine Zeile – {"id":…,"record":{…}} oder {"id":…,"deleted":true} –, je ID gewinnt
+// die letzte. Geänderte IDs werden gesammelt und asynchron angehängt; die Datei wird nie im
+// laufenden Betrieb komplett neu geschrieben, außer zum Kompaktieren (beim Laden: abgelaufene
+// Records fliegen raus; danach, sobald mehr als die Hälfte der Zeilen veraltet ist).
+// legacyFile: JSON-Datei im Format von createFileStore, übernommen solange file noch fehlt
+function createLogStore(file, { legacyFile = null } = {}) {
+  const map = new Map();
+  const pending = new Set(); // seit dem letzten Anhängen geänderte IDs
+  let lines = 0; // Zeilen in der Datei
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  // Zeile ohne id = ganze Datei im Format von createFileStore (eine Zeile, { id: record })
+  function readLines(source) {
+    fs.readFileSync(source, "utf8").split("\n").forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.id === undefined) Object.entries(entry).forEach(([id, record]) => map.set(id, record));
+        else if (entry.deleted) map.delete(entry.id);
+        else map.set(entry.id, entry.record);
+      } catch {
+        console.warn(`store file ${source}: skipping broken line`); // z.B. Absturz mitten im Schreiben
+      }
+    });
+  }
+
+  function serialize() {
+    return [...map].map(([id, record]) => `${JSON.stringify({ id, record })}\n`).join("");
+  }
+
+  try {
+    readLines(fs.existsSync(file) || !legacyFile ? file : legacyFile);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`store file ${file} unreadable:`, e.message);
+  }
+  map.forEach((record, id) => {
+    if (isExpired(record)) map.delete(id);
+  });
+  // Beim Start einmal kompaktieren (synchron – es läuft noch nichts anderes)
+  try {
+    if (map.size || fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, serialize(), { mode: 0o600 });
+      fs.renameSync(`${file}.tmp`, file);
+    }
+    lines = map.size;
+  } catch (e) {
+    console.error(`store file ${file} compaction failed:`, e.message);
+  }
+
+  async function compact() {
+    const data = serialize();
+    await fs.promises.writeFile(`${file}.tmp`, data, { mode: 0o600 });
+    await fs.promises.rename(`${file}.tmp`, file);
+    lines = map.size;
+  }
+
+  async function append(ids) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    if (lines + ids.length > 2 * map.size + COMPACT_MIN_LINES) return compact();
+    const data = ids
+      .map((id) => `${JSON.stringify(map.has(id) ? { id, record: map.get(id) } : { id, deleted: true })}\n`)
+      .join("");
+    await fs.promises.appendFile(file, data, { mode: 0o600 });
+    lines += ids.length;
+  }
+
+  // Schreibvorgänge laufen nacheinander, damit Zeilen nicht durcheinander geraten
+  function flush() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    if (pending.size) {
+      const ids = [...pending];
+      pending.clear();
+      writing = writing
+        .then(() => append(ids))
+        .catch((e) => console.error(`store file ${file} write failed:`, e.message));
+    }
+    return writing;
+  }
+
+  function scheduleWrite(id) {
+    pending.add(id);
+    if (writeTimer) return;
+    writeTimer = setTimeout(flush, FILE_WRITE_DELAY_MS);
+  }
+
+  // flush(): ausstehende Änderungen sofort schreiben (Tests, Herunterfahren)
+  return { ...createMemoryStore(map, scheduleWrite), flush };
+}
+
+function createStoreFromEnv(env = process.env) {
+  const type = (env.SESSION_STORE || "memory").toLowerCase();
+  if (type === "file") {
+    return createFileStore(env.SESSION_FILE || path.join(__dirname, "..", "data", "sessions.json"));
+  }
+  if (type !== "memory") console.warn(`Unbekannter SESSION_STORE "${type}" – nutze memory`);
+  return createMemoryStore();
+}
+
+module.exports = { createMemoryStore, createFileStore, createLogStore, createStoreFromEnv };
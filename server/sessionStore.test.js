@@ -0,0 +1,93 @@
+// Log-Store (JSONL, nur anhängen) aus server/sessionStore.js – Grundlage der Hör-Historie. Start: npm test
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLogStore, createStoreFromEnv } = require("./sessionStore");
+
+const later = () => Date.now() + 3600000;
+const readLines = (file) =>
+  fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+describe("log store", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "celebeaty-store-"));
+    file = path.join(dir, "history.jsonl");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("appends one line per changed record on each flush", async () => {
+    const store = createLogStore(file);
+    await store.set("session:a", { n: 1, expires: later() });
+    await store.set("session:a", { n: 2, expires: later() });
+    await store.set("session:b", { n: 1, expires: later() });
+    await store.flush();
+    assert.deepEqual(readLines(file).map((l) => [l.id, l.record.n]), [["session:a", 2], ["session:b", 1]]);
+
+    await store.set("session:a", { n: 3, expires: later() });
+    await store.delete("session:b");
+    await store.flush();
+    const lines = readLines(file);
+    assert.equal(lines.length, 4, "ältere Zeilen bleiben stehen");
+    assert.equal(lines[2].record.n, 3);
+    assert.deepEqual(lines[3], { id: "session:b", deleted: true });
+  });
+
+  test("replays the log on load, latest line wins", async () => {
+    const store = createLogStore(file);
+    await store.set("session:a", { n: 1, expires: later() });
+    await store.flush();
+    await store.set("session:a", { n: 2, expires: later() });
+    await store.set("session:b", { n: 1, expires: later() });
+    await store.flush();
+    await store.delete("session:b");
+    await store.flush();
+
+    const reloaded = createLogStore(file);
+    assert.equal((await reloaded.get("session:a")).n, 2);
+    assert.equal(await reloaded.get("session:b"), null);
+  });
+
+  test("prunes expired records and compacts on load", async () => {
+    const store = createLogStore(file);
+    await store.set("session:old", { expires: Date.now() + 20 });
+    await store.set("session:new", { expires: later() });
+    await store.set("session:new", { n: 2, expires: later() });
+    await store.flush();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    const reloaded = createLogStore(file);
+    assert.equal(await reloaded.get("session:old"), null);
+    assert.deepEqual(readLines(file).map((l) => l.id), ["session:new"]);
+  });
+
+  test("skips a broken last line (crash while writing)", async () => {
+    fs.writeFileSync(file, `${JSON.stringify({ id: "session:a", record: { n: 1, expires: later() } })}\n{"id":"sess`);
+    const store = createLogStore(file);
+    assert.equal((await store.get("session:a")).n, 1);
+  });
+
+  test("takes over a legacy JSON file", async () => {
+    const legacyFile = path.join(dir, "history.json");
+    fs.writeFileSync(legacyFile, JSON.stringify({ "session:a": { n: 1, expires: later() }, "user:x": { ids: ["a"], expires: later() } }));
+    const store = createLogStore(file, { legacyFile });
+    assert.equal((await store.get("session:a")).n, 1);
+    assert.deepEqual((await store.get("user:x")).ids, ["a"]);
+    assert.equal(readLines(file).length, 2);
+  });
+});
+
+describe("createStoreFromEnv", () => {
+  // Sessions enthalten Provider-Tokens: ohne ausdrückliches SESSION_STORE=file nichts auf die Platte
+  test("keeps sessions in memory unless file is asked for", () => {
+    assert.equal(createStoreFromEnv({}).flush, undefined);
+    assert.equal(createStoreFromEnv({ SESSION_STORE: "redis" }).flush, undefined);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Celebeaty – Server-seitige Sessions
+ * - Cookie trägt nur eine opake Session-ID (sid), Provider-Tokens liegen im Store
+ * - Jede Session gehört zu einem Provider (record.provider, fehlt bei alten Sessions → spotify)
+ * - Token-Refresh passiert ausschließlich hier (parallele Refreshes werden zusammengelegt)
+ * - Feste Laufzeit (SESSION_TTL_MS), Widerruf per destroy() (/logout)
+ * - Das Backend kann so auch ohne offenen Browser im Namen des Users handeln (Broadcaster)
+ */
+
+const crypto = require("crypto");
+
+const SESSION_COOKIE = "sid";
+const SESSION_TTL_MS = 30 * 24 * 3600 * 1000;
+const REFRESH_SKEW_MS = 60 * 1000; // so lange vor Ablauf schon erneuern
+const PRUNE_MS = 10 * 60 * 1000;
+
+function authError(error, details) {
+  return { error: { status: 401, body: details ? { error, details } : { error } } };
+}
+
+// refreshAccessToken(refreshToken, providerId) → { status, data }
+function createSessions({ store, refreshAccessToken }) {
+  const refreshing = new Map(); // sid -> Promise<{ accessToken } | { error }>
+
+  async function create(tokenData, { provider = "spotify" } = {}) {
+    const id = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    await store.set(id, {
+      provider,
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token || null,
+      accessExpiresAt: now + (tokenData.expires_in || 3600) * 1000,
+      user: null,
+      createdAt: now,
+      expires: now + SESSION_TTL_MS,
+    });
+    return id;
+  }
+
+  async function get(id) {
+    if (!id) return null;
+    return store.get(id);
+  }
+
+  async function update(id, patch) {
+    const record = await get(id);
+    if (!record) return null;
+    const next = { ...record, ...patch };
+    await store.set(id, next);
+    return next;
+  }
+
+  async function destroy(id) {
+    if (id) await store.delete(id);
+  }
+
+  async function doRefresh(id, record) {
+    if (!record.refreshToken) return authError("session_expired");
+    const rr = await refreshAccessToken(record.refreshToken, record.provider || "spotify");
+    if (rr.status !== 200) {
+      // invalid_grant: Refresh-Token widerrufen/abgelaufen → Session ist nicht mehr nutzbar
+      if (rr.status === 400 || rr.status === 401) await destroy(id);
+      return authError("refresh_failed", rr.data);
+    }
+    const next = await update(id, {
+      accessToken: rr.data.access_token,
+      refreshToken: rr.data.refresh_token || record.refreshToken,
+      accessExpiresAt: Date.now() + (rr.data.expires_in || 3600) * 1000,
+    });
+    if (!next) return authError("no_session"); // während des Refreshs ausgeloggt
+    return { accessToken: next.accessToken };
+  }
+
+  /**
+   * Gültiges Access Token zur Session.
+   * rejected: Token, das der Provider gerade mit 401 abgelehnt hat → erzwingt Refresh,
+   * außer ein paralleler Request hat schon ein neues geholt.
+   */
+  async function getAccessToken(id, { rejected = null } = {}) {
+    const record = await get(id);
+    if (!record) return authError("no_session");
+    const fresh = record.accessExpiresAt - REFRESH_SKEW_MS > Date.now();
+    if (record.accessToken && fresh && record.accessToken !== rejected) {
+      return { accessToken: record.accessToken };
+    }
+    if (!refreshing.has(id)) {
+      refreshing.set(id, doRefresh(id, record).finally(() => refreshing.delete(id)));
+    }
+    return refreshing.get(id);
+  }
+
+  const pruneTimer = setInterval(() => {
+    store.prune().catch((e) => console.warn("session prune failed:", e.message));
+  }, PRUNE_MS);
+  pruneTimer.unref?.();
+
+  return { create, get, update, destroy, getAccessToken };
+}
+
+module.exports = { createSessions, SESSION_COOKIE, SESSION_TTL_MS };
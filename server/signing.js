@@ -0,0 +1,77 @@
+/**
+ * Celebeaty – Signierte, kurzlebige Tokens (HMAC-SHA256)
+ * Format: base64url(JSON payload) "." base64url(hmac)
+ * payload.exp (ms) wird beim Prüfen erzwungen.
+ * seal/open: dasselbe verschlüsselt (AES-256-GCM) – für Inhalte, die unterwegs niemand lesen darf
+ * (z.B. Session-IDs zwischen Instanzen über Pub/Sub)
+ *
+ * ENV:
+ *   APP_SECRET=...   (ohne: zufällig pro Prozess → Tokens überleben keinen Neustart)
+ */
+
+const crypto = require("crypto");
+
+function createSigner(secret = process.env.APP_SECRET) {
+  if (!secret) {
+    console.warn("⚠️  APP_SECRET nicht gesetzt – signierte Tokens gelten nur bis zum Neustart");
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+
+  function mac(body) {
+    return crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  }
+
+  // ttlMs: Gültigkeit ab jetzt; ohne ttlMs läuft das Token nicht ab
+  function sign(payload, { ttlMs } = {}) {
+    const data = ttlMs ? { ...payload, exp: Date.now() + ttlMs } : payload;
+    const body = Buffer.from(JSON.stringify(data)).toString("base64url");
+    return `${body}.${mac(body)}`;
+  }
+
+  // → payload oder null (falsche Signatur, kaputt, abgelaufen)
+  function verify(token) {
+    if (typeof token !== "string") return null;
+    const [body, sig] = token.split(".");
+    if (!body || !sig) return null;
+    const expected = Buffer.from(mac(body));
+    const given = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      if (payload.exp && payload.exp < Date.now()) return null;
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  const sealKey = crypto.createHash("sha256").update(`seal:${secret}`).digest();
+
+  function seal(payload, { ttlMs } = {}) {
+    const data = ttlMs ? { ...payload, exp: Date.now() + ttlMs } : payload;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", sealKey, iv);
+    const body = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final()]);
+    return [iv, body, cipher.getAuthTag()].map((b) => b.toString("base64url")).join(".");
+  }
+
+  // → payload oder null (fremder Schlüssel, verändert, kaputt, abgelaufen)
+  function open(token) {
+    if (typeof token !== "string") return null;
+    const [iv, body, tag] = token.split(".").map((part) => Buffer.from(part || "", "base64url"));
+    if (!iv?.length || !body?.length || tag?.length !== 16) return null;
+    try {
+      const decipher = crypto.createDecipheriv("aes-256-gcm", sealKey, iv);
+      decipher.setAuthTag(tag);
+      const payload = JSON.parse(Buffer.concat([decipher.update(body), decipher.final()]).toString("utf8"));
+      if (payload.exp && payload.exp < Date.now()) return null;
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  return { sign, verify, seal, open };
+}
+
+module.exports = { createSigner };
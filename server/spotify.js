@@ -0,0 +1,166 @@
+/**
+ * Celebeaty – Zentraler Spotify-Client
+ * - Alle Web-API-Calls laufen hierüber (Spotify-Provider, /spotify/*-Routen)
+ * - Token kommt aus der Server-Session; bei 401 genau ein Refresh + Retry
+ * - 429: wartet Retry-After ab (bis MAX_RETRY_WAIT_MS) und versucht erneut,
+ *   danach Cooldown pro Session, damit Folge-Requests sofort scheitern statt Spotify zu fluten
+ * - Request-Budget pro Session (BUDGET_MAX Requests je BUDGET_WINDOW_MS); remaining(sid) für Sammel-Aufträge
+ * - Fehler immer als SpotifyError { status, code, retryAfter, details } (ein ProviderError)
+ */
+
+const axios = require("axios");
+const { ProviderError } = require("./providers/base");
+
+const API_BASE = "https://api.spotify.com/v1";
+const TOKEN_URL = "https://accounts.spotify.com/api/token";
+
+const MAX_RETRIES = 2;
+const MAX_RETRY_WAIT_MS = 5000;
+const BUDGET_WINDOW_MS = 30000;
+const BUDGET_MAX = 60; // Broadcaster-Poll braucht 15 je Fenster
+
+class SpotifyError extends ProviderError {
+  constructor(status, code, opts) {
+    super(status, code, opts);
+    this.message = `Spotify ${status}: ${code}`;
+    this.name = "SpotifyError";
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Token-Endpoint: Antworten (auch 4xx) als { status, data }, Netzwerkfehler als SpotifyError
+async function postToken(params) {
+  // Ohne Client-Secret (PKCE) fehlt das Feld ganz – sonst käme der String "undefined" an
+  if (process.env.SPOTIFY_CLIENT_SECRET) params.client_secret = process.env.SPOTIFY_CLIENT_SECRET;
+  try {
+    return await axios.post(TOKEN_URL, new URLSearchParams(params), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      validateStatus: () => true,
+    });
+  } catch (e) {
+    throw new SpotifyError(502, "spotify_unreachable", { details: e.message });
+  }
+}
+
+// Refresh-Grant (nur von server/sessions.js genutzt)
+async function refreshAccessToken(refreshToken) {
+  return postToken({
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+    client_id: process.env.SPOTIFY_CLIENT_ID,
+  });
+}
+
+// Authorization-Code gegen Tokens tauschen (codeVerifier nur bei PKCE)
+async function exchangeCode(code, { codeVerifier = null } = {}) {
+  const params = {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: process.env.REDIRECT_URI,
+    client_id: process.env.SPOTIFY_CLIENT_ID,
+  };
+  if (codeVerifier) params.code_verifier = codeVerifier;
+  return postToken(params);
+}
+
+function createSpotifyClient({ sessions }) {
+  // sid -> { windowStart, count, cooldownUntil }
+  const budgets = new Map();
+
+  function takeBudget(sid) {
+    const now = Date.now();
+    let b = budgets.get(sid);
+    if (!b && budgets.size > 1000) {
+      // Alte Fenster ohne Cooldown verwerfen
+      budgets.forEach((v, k) => {
+        if (now - v.windowStart >= BUDGET_WINDOW_MS && v.cooldownUntil <= now) budgets.delete(k);
+      });
+    }
+    if (!b || now - b.windowStart >= BUDGET_WINDOW_MS) {
+      b = { windowStart: now, count: 0, cooldownUntil: b?.cooldownUntil || 0 };
+      budgets.set(sid, b);
+    }
+    if (b.cooldownUntil > now) {
+      throw new SpotifyError(429, "rate_limited", { retryAfter: Math.ceil((b.cooldownUntil - now) / 1000) });
+    }
+    if (b.count >= BUDGET_MAX) {
+      const retryAfter = Math.ceil((b.windowStart + BUDGET_WINDOW_MS - now) / 1000);
+      throw new SpotifyError(429, "budget_exceeded", { retryAfter });
+    }
+    b.count += 1;
+    return b;
+  }
+
+  async function send(method, url, accessToken, { body, query } = {}) {
+    try {
+      return await axios.request({
+        method,
+        url: url.startsWith("http") ? url : `${API_BASE}${url}`,
+        params: query,
+        data: body,
+        headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+        validateStatus: () => true,
+      });
+    } catch (e) {
+      throw new SpotifyError(502, "spotify_unreachable", { details: e.message });
+    }
+  }
+
+  // Requests, die im aktuellen Fenster noch frei sind (0 im Cooldown)
+  function remaining(sid) {
+    const now = Date.now();
+    const b = budgets.get(sid);
+    if (b && b.cooldownUntil > now) return 0;
+    if (!b || now - b.windowStart >= BUDGET_WINDOW_MS) return BUDGET_MAX;
+    return Math.max(0, BUDGET_MAX - b.count);
+  }
+
+  /**
+   * request(sid, method, pathOrUrl, { body, query })
+   * → { status, data, headers } für 2xx, sonst SpotifyError
+   */
+  async function request(sid, method, url, opts = {}) {
+    if (!sid) throw new SpotifyError(401, "no_session");
+    const budget = takeBudget(sid);
+
+    let t = await sessions.getAccessToken(sid);
+    if (t.error) throw new SpotifyError(t.error.status, t.error.body?.error || "no_session");
+
+    let r = await send(method, url, t.accessToken, opts);
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      if (r.status === 401 && !refreshed) {
+        refreshed = true;
+        t = await sessions.getAccessToken(sid, { rejected: t.accessToken });
+        if (t.error) throw new SpotifyError(401, t.error.body?.error || "refresh_failed");
+      } else if (r.status === 429) {
+        const retryAfter = Number(r.headers?.["retry-after"] || 1);
+        if (attempt >= MAX_RETRIES || retryAfter * 1000 > MAX_RETRY_WAIT_MS) {
+          budget.cooldownUntil = Date.now() + retryAfter * 1000;
+          throw new SpotifyError(429, "rate_limited", { retryAfter });
+        }
+        await sleep(retryAfter * 1000);
+      } else {
+        break;
+      }
+      r = await send(method, url, t.accessToken, opts);
+    }
+
+    if (r.status >= 400) {
+      const reason = r.data?.error?.reason || (r.status === 401 ? "unauthorized" : "spotify_error");
+      throw new SpotifyError(r.status, reason.toLowerCase(), { details: r.data });
+    }
+    return { status: r.status, data: r.data, headers: r.headers };
+  }
+
+  return {
+    request,
+    remaining,
+    get: (sid, url, opts) => request(sid, "GET", url, opts),
+    put: (sid, url, body, opts = {}) => request(sid, "PUT", url, { ...opts, body }),
+    post: (sid, url, body, opts = {}) => request(sid, "POST", url, { ...opts, body }),
+  };
+}
+
+module.exports = { createSpotifyClient, refreshAccessToken, exchangeCode, SpotifyError };
@@ -0,0 +1,158 @@
+/**
+ * Celebeaty – Track-Matching über Provider und Märkte hinweg
+ * - Findet für einen neutralen Track (vom Sender) das beste abspielbare Gegenstück beim Hörer:
+ *     1. gleicher Provider + ID, wenn im Markt des Hörers abspielbar  → method "id"
+ *     2. gleiche ISRC (= gleiche Aufnahme)                           → method "isrc"
+ *     3. unscharf über Titel/Artists/Dauer (Score ≥ FUZZY_MIN_SCORE)  → method "fuzzy" (andere Version)
+ * - Ergebnisse (auch "nichts gefunden") werden pro Provider + Markt gecacht
+ * - exact=false heißt: es läuft eine alternative Version → dem Hörer sagen
+ */
+
+const CACHE_TTL_MS = 6 * 3600 * 1000;
+const MISS_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX = 5000;
+const FUZZY_MIN_SCORE = 0.75;
+const FUZZY_CANDIDATES = 10;
+const DURATION_TOLERANCE_MS = 15000; // ab hier zählt die Dauer nicht mehr als ähnlich
+
+// "Song (feat. X) - Remastered 2011" → "song"; nicht-lateinische Schrift bleibt erhalten
+function normalizeTitle(title) {
+  return String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s*[([].*?[)\]]/g, "")
+    .replace(/\s+-\s+.*$/, "")
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, " ") // \p{M}: z.B. Dakuten/Vokalzeichen nach NFKD
+    .trim();
+}
+
+function normalizeArtist(name) {
+  return normalizeTitle(name).replace(/^the /, "");
+}
+
+// Dice-Koeffizient über Zeichen-Bigramme (0..1)
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const grams = (s) => {
+    const m = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.slice(i, i + 2);
+      m.set(g, (m.get(g) || 0) + 1);
+    }
+    return m;
+  };
+  const ga = grams(a);
+  const gb = grams(b);
+  let overlap = 0;
+  ga.forEach((n, g) => {
+    overlap += Math.min(n, gb.get(g) || 0);
+  });
+  const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+  return total ? (2 * overlap) / total : 0;
+}
+
+function artistScore(a = [], b = []) {
+  const na = a.map(normalizeArtist).filter(Boolean);
+  const nb = new Set(b.map(normalizeArtist).filter(Boolean));
+  if (!na.length || !nb.size) return 0;
+  return na.filter((x) => nb.has(x)).length / na.length;
+}
+
+function durationScore(a, b) {
+  if (!a || !b) return 0.5; // unbekannt → neutral
+  return Math.max(0, 1 - Math.abs(a - b) / DURATION_TOLERANCE_MS);
+}
+
+// Wie gut passt candidate zu wanted? (0..1)
+function scoreCandidate(wanted, candidate) {
+  return (
+    0.5 * similarity(normalizeTitle(wanted.title), normalizeTitle(candidate.title)) +
+    0.3 * artistScore(wanted.artists, candidate.artists) +
+    0.2 * durationScore(wanted.duration_ms, candidate.duration_ms)
+  );
+}
+
+function createTrackMatcher({ sessions, now = () => Date.now() } = {}) {
+  // key -> { result, expires }
+  const cache = new Map();
+  const pending = new Map(); // key -> Promise (parallele Hörer desselben Raums)
+
+  function cacheGet(key) {
+    const hit = cache.get(key);
+    if (!hit) return undefined;
+    if (hit.expires < now()) {
+      cache.delete(key);
+      return undefined;
+    }
+    return hit.result;
+  }
+
+  function cacheSet(key, result) {
+    if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value); // ältester Eintrag
+    cache.set(key, { result, expires: now() + (result ? CACHE_TTL_MS : MISS_TTL_MS) });
+  }
+
+  async function marketOf(sid) {
+    const record = sessions ? await sessions.get(sid) : null;
+    return record?.user?.country || "-";
+  }
+
+  async function resolve(provider, sid, track) {
+    if (track.provider === provider.id) {
+      const own = await provider.getTrack(sid, track.id);
+      if (own && own.playable !== false) return { track: own, method: "id", exact: true, score: 1 };
+    }
+    if (track.isrc) {
+      // Titel/Artists nur als Zusatzinfo (z.B. für den Mock), gesucht wird über die ISRC
+      const hits = await provider.searchTracks(sid, {
+        isrc: track.isrc,
+        title: track.title,
+        artists: track.artists,
+        limit: 5,
+      });
+      const hit = hits.find((t) => t.playable !== false && t.isrc === track.isrc);
+      if (hit) return { track: hit, method: "isrc", exact: true, score: 1 };
+    }
+    if (!track.title) return null;
+    const candidates = await provider.searchTracks(sid, {
+      title: normalizeTitle(track.title),
+      artists: track.artists,
+      limit: FUZZY_CANDIDATES,
+    });
+    let best = null;
+    for (const c of candidates) {
+      if (c.playable === false) continue;
+      const score = scoreCandidate(track, c);
+      if (!best || score > best.score) best = { track: c, score };
+    }
+    if (!best || best.score < FUZZY_MIN_SCORE) return null;
+    return { track: best.track, method: "fuzzy", exact: false, score: Math.round(best.score * 100) / 100 };
+  }
+
+  /**
+   * Bestes abspielbares Gegenstück beim Provider des Hörers.
+   * → { track, method: "id"|"isrc"|"fuzzy", exact, score } oder null
+   */
+  async function match(provider, sid, track) {
+    if (!track) return null;
+    const key = `${provider.id}|${await marketOf(sid)}|${track.provider}:${track.id}`;
+    const cached = cacheGet(key);
+    if (cached !== undefined) return cached;
+    if (!pending.has(key)) {
+      const p = resolve(provider, sid, track)
+        .then((result) => {
+          cacheSet(key, result);
+          return result;
+        })
+        .finally(() => pending.delete(key));
+      pending.set(key, p);
+    }
+    return pending.get(key);
+  }
+
+  return { match };
+}
+
+module.exports = { createTrackMatcher, scoreCandidate, normalizeTitle };
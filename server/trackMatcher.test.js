@@ -0,0 +1,120 @@
+// Track-Matching (server/trackMatcher.js): Normalisierung, Score und match() gegen einen Fake-Provider.
+// Start: npm test
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTrackMatcher, scoreCandidate, normalizeTitle } = require("./trackMatcher");
+
+const WANTED = {
+  provider: "spotify",
+  id: "sp1",
+  isrc: "GBAYE0601498",
+  title: "Here Comes the Sun - Remastered 2009",
+  artists: ["The Beatles"],
+  duration_ms: 185000,
+};
+
+// Provider mit fester Trefferliste; merkt sich die Suchanfragen
+function fakeProvider(tracks, { id = "mock" } = {}) {
+  const searches = [];
+  return {
+    id,
+    searches,
+    async getTrack(sid, trackId) {
+      return tracks.find((t) => t.id === trackId) || null;
+    },
+    async searchTracks(sid, query) {
+      searches.push(query);
+      return query.isrc ? tracks.filter((t) => t.isrc === query.isrc) : tracks;
+    },
+  };
+}
+
+describe("normalizeTitle", () => {
+  test("drops remaster and live suffixes after a dash", () => {
+    assert.equal(normalizeTitle("Here Comes the Sun - Remastered 2009"), "here comes the sun");
+    assert.equal(normalizeTitle("Song - Live at Wembley"), "song");
+  });
+
+  test("drops bracketed feat. and version notes", () => {
+    assert.equal(normalizeTitle("Song (feat. Someone)"), "song");
+    assert.equal(normalizeTitle("Song [Radio Edit] (feat. X) - Remastered 2011"), "song");
+  });
+
+  test("folds accents, case and punctuation", () => {
+    assert.equal(normalizeTitle("Déjà Vu!"), "deja vu");
+    assert.equal(normalizeTitle("  Rock'n'Roll  "), "rock n roll");
+    assert.equal(normalizeTitle(null), "");
+  });
+
+  test("keeps non-Latin letters", () => {
+    assert.equal(normalizeTitle("Группа крови - Remastered 2019"), "группа крови");
+    assert.equal(normalizeTitle("Αγάπη μου!"), "αγαπη μου");
+    assert.equal(normalizeTitle("夜に駆ける (Radio Edit)"), normalizeTitle("夜に駆ける"));
+    assert.notEqual(normalizeTitle("夜に駆ける"), "");
+  });
+});
+
+describe("scoreCandidate", () => {
+  test("scores the same recording under another title suffix as a full match", () => {
+    const candidate = { title: "Here Comes The Sun (2019 Mix)", artists: ["Beatles"], duration_ms: 185000 };
+    assert.equal(scoreCandidate(WANTED, candidate), 1);
+  });
+
+  test("penalizes other artists and durations", () => {
+    const cover = { title: "Here Comes the Sun", artists: ["Nina Simone"], duration_ms: 216000 };
+    assert.ok(scoreCandidate(WANTED, cover) < 0.75);
+  });
+
+  test("treats an unknown duration as neutral", () => {
+    const candidate = { title: "Here Comes the Sun", artists: ["The Beatles"] };
+    assert.equal(scoreCandidate(WANTED, candidate), 0.9);
+  });
+});
+
+describe("match", () => {
+  test("uses the same track when the listener has the same provider", async () => {
+    const own = { ...WANTED, playable: true };
+    const result = await createTrackMatcher().match(fakeProvider([own], { id: "spotify" }), "sid", WANTED);
+    assert.deepEqual(result, { track: own, method: "id", exact: true, score: 1 });
+  });
+
+  test("finds the same recording by ISRC", async () => {
+    const hit = { id: "m1", isrc: WANTED.isrc, title: "Here Comes the Sun", artists: ["The Beatles"] };
+    const provider = fakeProvider([{ id: "m0", isrc: "OTHER", title: "x" }, hit]);
+    const result = await createTrackMatcher().match(provider, "sid", WANTED);
+    assert.deepEqual(result, { track: hit, method: "isrc", exact: true, score: 1 });
+    assert.equal(provider.searches[0].isrc, WANTED.isrc);
+  });
+
+  test("skips unplayable ISRC hits and falls back to a fuzzy match", async () => {
+    const blocked = { id: "m1", isrc: WANTED.isrc, title: "Here Comes the Sun", playable: false };
+    const version = { id: "m2", isrc: "OTHER", title: "Here Comes the Sun (feat. Nobody)", artists: ["The Beatles"], duration_ms: 186000 };
+    const provider = fakeProvider([blocked, version]);
+    const result = await createTrackMatcher().match(provider, "sid", WANTED);
+    assert.equal(result.track, version);
+    assert.equal(result.method, "fuzzy");
+    assert.equal(result.exact, false);
+    assert.ok(result.score >= 0.75);
+    assert.equal(provider.searches[1].title, "here comes the sun", "Suche mit normalisiertem Titel");
+  });
+
+  test("matches a non-Latin title fuzzily", async () => {
+    const wanted = { provider: "spotify", id: "sp2", title: "Группа крови", artists: ["Кино"], duration_ms: 287000 };
+    const hit = { id: "m4", title: "Группа крови (Remastered)", artists: ["КИНО"], duration_ms: 288000 };
+    const provider = fakeProvider([hit]);
+    const result = await createTrackMatcher().match(provider, "sid", wanted);
+    assert.equal(result.track, hit);
+    assert.equal(result.method, "fuzzy");
+    assert.equal(provider.searches[0].title, "группа крови");
+  });
+
+  test("returns null below the fuzzy threshold and caches the miss", async () => {
+    const cover = { id: "m3", title: "Here Comes the Sun", artists: ["Nina Simone"], duration_ms: 216000 };
+    const provider = fakeProvider([cover]);
+    const matcher = createTrackMatcher();
+    const wanted = { ...WANTED, isrc: null };
+    assert.equal(await matcher.match(provider, "sid", wanted), null);
+    assert.equal(await matcher.match(provider, "sid", wanted), null);
+    assert.equal(provider.searches.length, 1);
+  });
+});
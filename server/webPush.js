@@ -0,0 +1,185 @@
+/**
+ * Celebeaty – Web Push ohne Fremdbibliothek (nur node:crypto + axios)
+ * - VAPID (RFC 8292): ES256-JWT je Push-Dienst (aud = Origin des Endpoints)
+ * - Verschlüsselung aes128gcm (RFC 8291/8188): ein Record, frisches ECDH-Paar + Salt je Nachricht
+ * - decrypt() ist die Gegenrichtung (Browser-Seite) – für den lokalen Stub (server/pushStub.js)
+ *
+ * ENV:
+ *   VAPID_PUBLIC_KEY=...  VAPID_PRIVATE_KEY=...   (base64url, Paar erzeugen: node server/webPush.js)
+ *   VAPID_SUBJECT=mailto:team@celebeaty.app
+ *   PUSH_ALLOW_HTTP=1                               (http-Endpoints erlauben – nur für den Stub)
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const JWT_TTL_S = 12 * 3600; // Push-Dienste akzeptieren höchstens 24h
+const RECORD_SIZE = 4096;
+const PUSH_TIMEOUT_MS = 10000;
+const MAX_PAYLOAD = 3800;    // < 4096 minus Header/Tag
+
+const b64 = (buf) => Buffer.from(buf).toString("base64url");
+const unb64 = (str) => Buffer.from(String(str || ""), "base64url");
+
+class PushError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Skalar auf 32 Byte auffüllen – getPrivateKey() lässt führende Nullbytes weg (jeder 256. Schlüssel)
+const scalar = (buf) => Buffer.concat([Buffer.alloc(Math.max(0, 32 - buf.length)), buf]);
+
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  return { publicKey: b64(ecdh.getPublicKey()), privateKey: b64(scalar(ecdh.getPrivateKey())) };
+}
+
+// Roh-Schlüssel (65 Byte Punkt + 32 Byte Skalar) → KeyObject für crypto.sign
+function signingKey({ publicKey, privateKey }) {
+  const pub = unb64(publicKey);
+  const d = scalar(unb64(privateKey));
+  if (pub.length !== 65 || d.length !== 32) throw new Error("invalid VAPID keys");
+  return crypto.createPrivateKey({
+    key: { kty: "EC", crv: "P-256", x: b64(pub.subarray(1, 33)), y: b64(pub.subarray(33)), d: b64(d) },
+    format: "jwk",
+  });
+}
+
+function vapidHeader(endpoint, { key, publicKey, subject }, now = Date.now()) {
+  const header = b64(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = b64(
+    JSON.stringify({ aud: new URL(endpoint).origin, exp: Math.floor(now / 1000) + JWT_TTL_S, sub: subject })
+  );
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${claims}`), { key, dsaEncoding: "ieee-p1363" });
+  return `vapid t=${header}.${claims}.${b64(signature)}, k=${publicKey}`;
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+}
+
+// Schlüssel + Nonce für einen Record (beide Seiten gleich)
+function deriveKeys({ secret, auth, uaPublic, asPublic, salt }) {
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]);
+  const ikm = hkdf(auth, secret, keyInfo, 32);
+  return {
+    cek: hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16),
+    nonce: hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12),
+  };
+}
+
+// subscription: { endpoint, keys: { p256dh, auth } } → verschlüsselter Body
+function encrypt(subscription, payload) {
+  const uaPublic = unb64(subscription.keys?.p256dh);
+  const auth = unb64(subscription.keys?.auth);
+  const ecdh = crypto.createECDH("prime256v1");
+  const asPublic = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const { cek, nonce } = deriveKeys({ secret: ecdh.computeSecret(uaPublic), auth, uaPublic, asPublic, salt });
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", cek, nonce);
+  // 0x02 = letzter Record, kein Padding
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body, cipher.getAuthTag()]);
+}
+
+// Gegenrichtung mit dem Empfänger-Schlüssel (ecdh: crypto.ECDH mit p256dh) → Klartext
+function decrypt({ ecdh, auth }, data) {
+  const salt = data.subarray(0, 16);
+  const idLen = data.readUInt8(20);
+  const asPublic = data.subarray(21, 21 + idLen);
+  const record = data.subarray(21 + idLen);
+  const uaPublic = ecdh.getPublicKey();
+  const { cek, nonce } = deriveKeys({ secret: ecdh.computeSecret(asPublic), auth, uaPublic, asPublic, salt });
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", cek, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const plain = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+  let end = plain.length - 1;
+  while (end >= 0 && plain[end] === 0) end -= 1; // Padding
+  if (plain[end] !== 2) throw new Error("invalid record delimiter");
+  return plain.subarray(0, end);
+}
+
+function isValidSubscription(sub, { allowHttp = false } = {}) {
+  if (!sub || typeof sub.endpoint !== "string" || sub.endpoint.length > 1000) return false;
+  let url;
+  try {
+    url = new URL(sub.endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "https:" && !(allowHttp && url.protocol === "http:")) return false;
+  return unb64(sub.keys?.p256dh).length === 65 && unb64(sub.keys?.auth).length === 16;
+}
+
+function createWebPush({ publicKey, privateKey, subject, allowHttp = false, post = axios.post }) {
+  const vapid = { key: signingKey({ publicKey, privateKey }), publicKey, subject };
+
+  /**
+   * Eine Nachricht an eine Subscription.
+   * → { status } bei Erfolg; PushError "gone" (404/410), wenn die Subscription nicht mehr existiert
+   */
+  async function send(subscription, payload, { ttl = 3600, urgency = "normal", topic } = {}) {
+    if (!isValidSubscription(subscription, { allowHttp })) throw new PushError(400, "invalid_subscription");
+    const text = typeof payload === "string" ? payload : JSON.stringify(payload);
+    if (Buffer.byteLength(text) > MAX_PAYLOAD) throw new PushError(413, "payload_too_large");
+
+    const headers = {
+      Authorization: vapidHeader(subscription.endpoint, vapid),
+      "Content-Encoding": "aes128gcm",
+      "Content-Type": "application/octet-stream",
+      TTL: String(ttl),
+      Urgency: urgency,
+    };
+    if (topic) headers.Topic = topic; // gleicher Topic ersetzt eine noch nicht zugestellte Nachricht
+    const r = await post(subscription.endpoint, encrypt(subscription, text), {
+      headers,
+      timeout: PUSH_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+    if (r.status === 404 || r.status === 410) throw new PushError(r.status, "gone");
+    if (r.status < 200 || r.status >= 300) throw new PushError(r.status, "push_failed");
+    return { status: r.status };
+  }
+
+  return { publicKey, send, isValidSubscription: (sub) => isValidSubscription(sub, { allowHttp }) };
+}
+
+function createWebPushFromEnv(env = process.env) {
+  let keys = { publicKey: env.VAPID_PUBLIC_KEY, privateKey: env.VAPID_PRIVATE_KEY };
+  if (!keys.publicKey || !keys.privateKey) {
+    // Ohne feste Schlüssel überleben Subscriptions keinen Neustart
+    console.warn("VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY fehlen – nutze temporäre Schlüssel (node server/webPush.js)");
+    keys = generateVapidKeys();
+  }
+  return createWebPush({
+    ...keys,
+    subject: env.VAPID_SUBJECT || "mailto:team@celebeaty.app",
+    allowHttp: env.PUSH_ALLOW_HTTP === "1",
+  });
+}
+
+module.exports = {
+  createWebPush,
+  createWebPushFromEnv,
+  generateVapidKeys,
+  encrypt,
+  decrypt,
+  isValidSubscription,
+  PushError,
+};
+
+// node server/webPush.js → neues VAPID-Schlüsselpaar für die .env
+if (require.main === module) {
+  const { publicKey, privateKey } = generateVapidKeys();
+  console.log(`VAPID_PUBLIC_KEY=${publicKey}\nVAPID_PRIVATE_KEY=${privateKey}`);
+}
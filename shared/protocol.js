@@ -0,0 +1,196 @@
+/**
+ * Celebeaty – WebSocket-Protokoll (gemeinsam für Backend und Frontend)
+ * - Liegt in shared/ (weder Backend noch Frontend): das Backend lädt es per require, das Frontend
+ *   als lokales Paket celebeaty-shared (frontend/package.json: file:../shared) – CRA erlaubt keine
+ *   Imports außerhalb von src/. CommonJS, damit beide Seiten es ohne Build-Schritt nutzen
+ * - Jede Nachricht trägt `v` (Protokollversion). Fehlt sie, gilt v1 (ältere Tabs)
+ * - SCHEMAS beschreibt alle Nachrichten Client → Server; parseMessage() prüft Größe, JSON,
+ *   Version und Felder und liefert nur die bekannten Felder zurück (Rest fliegt raus)
+ * - Fehler gehen als error-Frame zurück: { type: "error", error, ref, field?, v }
+ * - build.* baut die Nachrichten, die das Frontend an mehreren Stellen schickt
+ * - Lobby-Übersicht (lobby_state per WS, GET /api/live): Sortierungen und Seitengrößen hier,
+ *   damit Frontend und Backend dieselben Werte kennen
+ */
+
+const PROTOCOL_VERSION = 1;
+const MAX_MESSAGE_BYTES = 16 * 1024; // größere Nachrichten → message_too_large
+const ID_MAX = 200;
+const NAME_MAX = 200;
+const CHAT_MAX_LENGTH = 500;
+const REACTIONS = ["🔥", "❤️", "😂", "👏", "🎉", "😮"];
+const VISIBILITIES = ["public", "unlisted", "private"];
+const LOBBY_SORTS = ["listeners", "recent", "name"]; // meiste Hörer / zuletzt gestartet / A–Z
+const LOBBY_PAGE_SIZE = 24;
+const LOBBY_PAGE_MAX = 100;
+
+/* -------------------- Feld-Prüfer -------------------- */
+// Jeder Prüfer: (Wert) → true/false; optional()/nullable() verpacken einen Prüfer
+const string = (max) => (v) => typeof v === "string" && v.length <= max;
+const id = (v) => typeof v === "string" && v.length > 0 && v.length <= ID_MAX;
+const bool = (v) => typeof v === "boolean";
+const number = (min = -Infinity, max = Infinity) => (v) => typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+const int = (min, max) => (v) => Number.isInteger(v) && v >= min && v <= max;
+const oneOf = (...values) => (v) => values.includes(v);
+const arrayOf = (check, max) => (v) => Array.isArray(v) && v.length <= max && v.every(check);
+const object = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const nullable = (check) => (v) => v === null || check(v);
+const user = (v) => object(v) && id(v.id) && (v.name == null || string(NAME_MAX)(v.name));
+
+const required = (check) => ({ check, required: true });
+const optional = (check) => ({ check, required: false });
+
+// Felder, die jede Nachricht haben darf
+const COMMON = {
+  v: optional(int(1, 1000)),
+  ts: optional(number(0)),
+  user: optional(user),
+};
+
+const TRACK_FIELDS = {
+  trackId: optional(id),
+  name: optional(string(NAME_MAX * 2)),
+  artists: optional(arrayOf(string(NAME_MAX), 20)),
+  image: optional(nullable(string(2000))),
+  progress_ms: optional(number(0)),
+  duration_ms: optional(nullable(number(0))),
+  is_playing: optional(bool),
+  track: optional(object), // neutraler Track – Details prüft parseTrack im Backend
+};
+
+/* -------------------- Schemas (Client → Server) -------------------- */
+const SCHEMAS = {
+  hello: { userId: optional(id), name: optional(string(NAME_MAX)) },
+  presence: {
+    action: required(oneOf("start", "stop", "ping")),
+    visibility: optional(oneOf(...VISIBILITIES)),
+    passcode: optional(string(64)),
+    requests: optional(bool),
+    maxListeners: optional(nullable(int(0, 100000))),
+  },
+  follow: { targetUserId: required(id), invite: optional(string(1000)), passcode: optional(string(64)) },
+  unfollow: { targetUserId: required(id) },
+  req_snapshot: { targetUserId: required(id) },
+  time_sync: { t0: required(number(0)) },
+  track: TRACK_FIELDS,
+  pause: TRACK_FIELDS,
+  track_request: { targetUserId: required(id), track: required(object) },
+  request_decision: { id: required(string(64)), approve: required(bool) },
+  room_settings: { requests: optional(bool), maxListeners: optional(nullable(int(0, 100000))) },
+  chat: { targetUserId: optional(nullable(id)), text: required(string(CHAT_MAX_LENGTH)) },
+  reaction: { targetUserId: optional(nullable(id)), emoji: required(oneOf(...REACTIONS)) },
+  moderate: {
+    action: required(oneOf("mute", "unmute", "kick", "ban", "unban")),
+    followerId: required(id),
+    name: optional(string(NAME_MAX)),
+  },
+  set_role: { followerId: required(id), role: required(oneOf("cohost", "listener")) },
+  dj_handoff: { followerId: required(id) },
+  lobby: { sort: optional(oneOf(...LOBBY_SORTS)), limit: optional(int(1, LOBBY_PAGE_MAX)) },
+};
+
+const MESSAGE_TYPES = Object.keys(SCHEMAS);
+
+function errorFrame(error, ref = null, extra = {}) {
+  return { type: "error", v: PROTOCOL_VERSION, error, ref, ...extra, ts: Date.now() };
+}
+
+/**
+ * Objekt gegen das Schema seines Typs prüfen
+ * → { ok: true, message } (nur bekannte Felder) oder { ok: false, error, type, field? }
+ */
+function validateMessage(data) {
+  if (!object(data) || typeof data.type !== "string") return { ok: false, error: "invalid_message", type: null, field: "type" };
+  const { type } = data;
+  const schema = Object.prototype.hasOwnProperty.call(SCHEMAS, type) ? SCHEMAS[type] : null;
+  if (!schema) return { ok: false, error: "unknown_type", type };
+  if (Number.isInteger(data.v) && data.v > PROTOCOL_VERSION) return { ok: false, error: "unsupported_version", type };
+  const fields = { ...COMMON, ...schema };
+  const message = { type };
+  for (const [name, { check, required: isRequired }] of Object.entries(fields)) {
+    const value = data[name];
+    if (value === undefined) {
+      if (isRequired) return { ok: false, error: "invalid_message", type, field: name };
+      continue;
+    }
+    if (!check(value)) return { ok: false, error: "invalid_message", type, field: name };
+    message[name] = value;
+  }
+  return { ok: true, message };
+}
+
+// Rohdaten vom Socket (String/Buffer) → wie validateMessage, plus Größe und JSON
+function parseMessage(raw) {
+  const size = typeof raw === "string" ? raw.length : raw?.length || 0;
+  if (size > MAX_MESSAGE_BYTES) return { ok: false, error: "message_too_large", type: null };
+  let data;
+  try {
+    data = JSON.parse(String(raw));
+  } catch {
+    return { ok: false, error: "invalid_json", type: null };
+  }
+  return validateMessage(data);
+}
+
+// Nachricht mit Version; ungültige Nachrichten sind ein Programmierfehler → Warnung
+function createMessage(type, fields = {}) {
+  const msg = { ...fields, type, v: PROTOCOL_VERSION };
+  const result = validateMessage(msg);
+  if (!result.ok) console.warn("protocol: invalid message", type, result.error, result.field || "");
+  return msg;
+}
+
+/* -------------------- Builder (Frontend) -------------------- */
+// me: { id, display_name } wie im Frontend-State
+const asUser = (me) => ({ id: me.id, name: me.display_name });
+
+const build = {
+  hello: (me) => createMessage("hello", { userId: me.id, name: me.display_name }),
+  presenceStart: (me, { visibility, passcode, requests, maxListeners } = {}) =>
+    createMessage("presence", {
+      action: "start",
+      user: asUser(me),
+      visibility,
+      passcode: visibility === "private" && passcode ? passcode : undefined,
+      requests,
+      maxListeners,
+    }),
+  presenceStop: (me) => createMessage("presence", { action: "stop", user: asUser(me) }),
+  follow: (me, targetUserId, { invite, passcode } = {}) =>
+    createMessage("follow", {
+      targetUserId,
+      user: asUser(me),
+      invite: invite || undefined,
+      passcode: passcode || undefined,
+    }),
+  unfollow: (me, targetUserId) => createMessage("unfollow", { targetUserId, user: asUser(me) }),
+  reqSnapshot: (me, targetUserId) => createMessage("req_snapshot", { targetUserId, user: asUser(me) }),
+  timeSync: () => createMessage("time_sync", { t0: Date.now() }),
+  lobby: ({ sort, limit } = {}) => createMessage("lobby", { sort, limit }),
+  // Raum: targetUserId = Raum-ID (Hörer) bzw. eigene ID (Sender)
+  chat: (targetUserId, text) => createMessage("chat", { targetUserId, text }),
+  reaction: (targetUserId, emoji) => createMessage("reaction", { targetUserId, emoji }),
+  trackRequest: (targetUserId, track) => createMessage("track_request", { targetUserId, track }),
+  // Sender/Co-Host: der Server nimmt den Raum, den der Absender moderiert
+  moderate: (action, followerId, name) => createMessage("moderate", { action, followerId, name }),
+  setRole: (followerId, role) => createMessage("set_role", { followerId, role }),
+  djHandoff: (followerId) => createMessage("dj_handoff", { followerId }),
+  roomSettings: ({ requests, maxListeners } = {}) => createMessage("room_settings", { requests, maxListeners }),
+  requestDecision: (id, approve) => createMessage("request_decision", { id, approve }),
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MAX_MESSAGE_BYTES,
+  CHAT_MAX_LENGTH,
+  REACTIONS,
+  LOBBY_SORTS,
+  LOBBY_PAGE_SIZE,
+  LOBBY_PAGE_MAX,
+  MESSAGE_TYPES,
+  SCHEMAS,
+  validateMessage,
+  parseMessage,
+  createMessage,
+  errorFrame,
+  build,
+};